@@ -0,0 +1,50 @@
+import ArrayBufferStream from '../index.js';
+
+/**
+ * Compares bulk typed-array reads and writes in host byte order, which copy memory in one block,
+ * with the same calls in the other byte order, which convert one value at a time.
+ */
+const COUNT = 0x100000,
+      ROUNDS = 10,
+      HOST_LITTLE_ENDIAN = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+
+/**
+ * @param {function(): void} fn
+ * @returns {number} fastest of ROUNDS runs in milliseconds
+ */
+function time(fn){
+    let best = Infinity;
+
+    for(let i = 0; i < ROUNDS; ++i){
+        const start = process.hrtime.bigint();
+        fn();
+        best = Math.min(best, Number(process.hrtime.bigint() - start) / 1e6);
+    }
+
+    return best;
+}
+
+const values = new Float32Array(COUNT).map((v, i) => i * 0.5),
+      block = new ArrayBufferStream(COUNT * 4, HOST_LITTLE_ENDIAN),
+      perElement = new ArrayBufferStream(COUNT * 4, !HOST_LITTLE_ENDIAN);
+
+/**
+ * @param {ArrayBufferStream} stream
+ * @param {function(ArrayBufferStream): void} fn
+ * @returns {number} fastest run in milliseconds
+ */
+function timeFromStart(stream, fn){
+    return time(() => {
+        stream.setCursor(0);
+        fn(stream);
+    });
+}
+
+const blockWrite = timeFromStart(block, (s) => s.writeFloat32Array(values)),
+      perElementWrite = timeFromStart(perElement, (s) => s.writeFloat32Array(values)),
+      blockRead = timeFromStart(block, (s) => s.getNextFloat32Array(COUNT)),
+      perElementRead = timeFromStart(perElement, (s) => s.getNextFloat32Array(COUNT));
+
+console.log(`${COUNT} FLOAT32 values, block copy vs per element:`);
+console.log(`write ${blockWrite.toFixed(2)}ms vs ${perElementWrite.toFixed(2)}ms`);
+console.log(`read ${blockRead.toFixed(2)}ms vs ${perElementRead.toFixed(2)}ms`);
@@ -1,5 +1,561 @@
+import Struct from './lib/struct.js';
+import Reservation from './lib/reservation.js';
+import { CHECKSUMS, crc32, crc32c, crc16ccitt, adler32, sum8, xor8 } from './lib/checksum.js';
+import AsyncStreamReader from './lib/async-reader.js';
+import ChunkedStreamReader from './lib/chunked-reader.js';
+import AsyncStreamWriter from './lib/async-writer.js';
+import { MessageEncoder, MessageDecoder } from './lib/framing.js';
+import { compress, decompress } from './lib/compression.js';
+import { lengthPrefixByteLength, writeLengthPrefix, getNextLengthPrefix } from './lib/length-prefix.js';
+import { toBytes } from './lib/bytes.js';
+import { StreamError, StreamUnderflowError, EndOfStreamError, StreamOverflowError, InvalidCursorError, UnsupportedSourceError } from './lib/errors.js';
+
 const BYTE_TO_NORM = 1 / 0xFF;
 const SHORT_TO_NORM = 1 / 0xFFFF;
+const INT_TO_NORM = 1 / 0xFFFFFFFF;
+const SBYTE_TO_NORM = 1 / 0x7F;
+const SSHORT_TO_NORM = 1 / 0x7FFF;
+
+const INT64_MIN = -(2n ** 63n);
+const INT64_MAX = 2n ** 63n - 1n;
+const UINT64_MAX = 2n ** 64n - 1n;
+const MAX_SAFE_BIGINT = BigInt(Number.MAX_SAFE_INTEGER);
+
+const MAX_VARINT_BYTES = 10;
+
+const HALF_MIN_NORMAL = 2 ** -14;
+const HALF_MIN_SUBNORMAL = 2 ** -24;
+
+const HOST_LITTLE_ENDIAN = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+
+const HAS_NATIVE_FLOAT16 = typeof DataView.prototype.getFloat16 === 'function';
+
+const CHAR_CODE_CHUNK = 0x2000;
+const UTF8_ENCODER = new TextEncoder();
+const UTF8_DECODER = new TextDecoder('utf-8');
+const UTF16LE_DECODER = new TextDecoder('utf-16le');
+const UTF16BE_DECODER = new TextDecoder('utf-16be');
+
+const SINGLE_BYTE_RANGES = { ascii: 0x7F, latin1: 0xFF };
+
+const MIN_GROWTH = 64;
+const DEFAULT_MAX_SIZE = 0x40000000;
+const DEFAULT_MAX_DECOMPRESSED_SIZE = 0x10000000;
+const HAS_RESIZABLE_BUFFER = typeof ArrayBuffer.prototype.resize === 'function';
+
+/**
+ * Converts a number or BigInt to BigInt, truncating any fractional part
+ * @param {(number|bigint)} val 
+ * @returns {bigint}
+ */
+function toBigInt(val){
+    return typeof val === 'bigint' ? val : BigInt(Math.trunc(val));
+}
+
+/**
+ * @param {bigint} val 
+ * @param {bigint} min 
+ * @param {bigint} max 
+ * @returns {bigint}
+ */
+function clampBigInt(val, min, max){
+    return val < min ? min : (val > max ? max : val);
+}
+
+/**
+ * Converts a BigInt to number, throwing if precision would be lost
+ * @param {bigint} val 
+ * @returns {number}
+ */
+function toSafeNumber(val){
+    if(val > MAX_SAFE_BIGINT || val < -MAX_SAFE_BIGINT){
+        throw new RangeError(`Value ${val} exceeds safe integer range`);
+    }
+
+    return Number(val);
+}
+
+/**
+ * Rounds to the nearest integer, with ties going to the even neighbour
+ * @param {number} val 
+ * @returns {number}
+ */
+function roundTiesToEven(val){
+    const r = Math.round(val);
+    return (r - val === 0.5 && r % 2) ? r - 1 : r;
+}
+
+/**
+ * Rounds to the nearest integer, with ties going away from zero,
+ * so that a value and its negation round to opposite integers
+ * @param {number} val 
+ * @returns {number}
+ */
+function roundHalfAwayFromZero(val){
+    return Math.sign(val) * Math.round(Math.abs(val));
+}
+
+/**
+ * Encodes a number as the bits of an IEEE 754 half precision float.
+ * Used when DataView.prototype.setFloat16 is not available.
+ * @param {number} val 
+ * @returns {number}
+ */
+function toHalfBits(val){
+    val = +val;
+
+    if(isNaN(val))
+        return 0x7E00;
+
+    const sign = (val < 0 || Object.is(val, -0)) ? 0x8000 : 0;
+    val = Math.abs(val);
+
+    // Anything at or above the midpoint of 65504 and 2^16 rounds to infinity
+    if(val >= 65520)
+        return sign | 0x7C00;
+
+    // Subnormal range - a mantissa of 1024 carries over into the smallest normal
+    if(val < HALF_MIN_NORMAL)
+        return sign | roundTiesToEven(val * 0x1000000);
+
+    let exp = Math.floor(Math.log2(val)),
+        mantissa = val / 2 ** exp;
+
+    // Correct for any imprecision in log2
+    if(mantissa >= 2){
+        mantissa /= 2;
+        ++exp;
+    }else if(mantissa < 1){
+        mantissa *= 2;
+        --exp;
+    }
+
+    let bits = roundTiesToEven((mantissa - 1) * 0x400);
+    if(bits === 0x400){
+        bits = 0;
+        ++exp;
+    }
+
+    return sign | ((exp + 15) << 10) | bits;
+}
+
+/**
+ * Decodes the bits of an IEEE 754 half precision float as a number.
+ * Used when DataView.prototype.getFloat16 is not available.
+ * @param {number} bits 
+ * @returns {number}
+ */
+function fromHalfBits(bits){
+    const sign = (bits & 0x8000) ? -1 : 1,
+          exp = (bits >> 10) & 0x1F,
+          mantissa = bits & 0x3FF;
+
+    if(exp === 0)
+        return sign * mantissa * HALF_MIN_SUBNORMAL;
+
+    if(exp === 0x1F)
+        return mantissa ? NaN : sign * Infinity;
+
+    return sign * (1 + mantissa / 0x400) * 2 ** (exp - 15);
+}
+
+/**
+ * Finds the offset of the next null-terminator of the given width.
+ * If none is found, the end of the last complete character is returned.
+ * @param {DataView} dv 
+ * @param {number} start offset to begin searching from
+ * @param {number} end offset to stop searching at
+ * @param {number} width size of a single character in bytes (1 or 2)
+ * @returns {number}
+ */
+function findTerminator(dv, start, end, width){
+    let i = start;
+
+    if(width === 1){
+        while(i < end && dv.getUint8(i)) ++i;
+    }else{
+        while(i + 1 < end && dv.getUint16(i)) i += 2;
+        i = Math.min(i, end - ((end - start) % 2));
+    }
+
+    return i;
+}
+
+/**
+ * In strict terminator mode, throws if a terminated read reached the end of the stream
+ * without finding its terminator, as more data may still follow
+ * @param {ArrayBufferStream} stream 
+ * @param {string} operation name of the read operation, for error reporting
+ * @param {number} start offset at which the read started
+ * @param {number} end offset of the terminator, or the end of the data if none was found
+ * @param {number} width size of the terminator in bytes
+ */
+function checkTerminator(stream, operation, start, end, width){
+    if(stream.strictTerminators && end + width > stream.size)
+        throw new StreamUnderflowError(operation, start, end - start + width, stream.size);
+}
+
+/**
+ * Validates an integer for variable-length encoding and converts it to BigInt
+ * @param {(number|bigint)} val 
+ * @param {bigint} min 
+ * @param {bigint} max 
+ * @returns {bigint}
+ */
+function toVarintBigInt(val, min, max){
+    if(typeof val !== 'bigint'){
+        if(!Number.isSafeInteger(val))
+            throw new RangeError(`Invalid value for varint: ${val}`);
+
+        val = BigInt(val);
+    }
+
+    if(val < min || val > max)
+        throw new RangeError(`Value ${val} exceeds 64-bit varint range`);
+
+    return val;
+}
+
+/**
+ * Writes a LEB128 variable-length integer, advances cursor
+ * @param {ArrayBufferStream} stream 
+ * @param {bigint} val 
+ * @param {boolean} signed 
+ * @returns {number} number of bytes written
+ */
+function writeLEB128(stream, val, signed){
+    const bytes = [];
+
+    for(;;){
+        const byte = Number(val & 0x7Fn);
+        val >>= 7n;
+
+        const last = signed
+            ? (val === 0n && !(byte & 0x40)) || (val === -1n && (byte & 0x40))
+            : val === 0n;
+
+        bytes.push(last ? byte : byte | 0x80);
+
+        if(last)
+            break;
+    }
+
+    // Written in one call so that checked mode can reject the whole value up front
+    stream.writeUint8(...bytes);
+
+    return bytes.length;
+}
+
+/**
+ * Reads a LEB128 variable-length integer, advances cursor.
+ * Throws if the encoding does not fit in 64 bits. On failure the cursor is left where it was.
+ * @template T
+ * @param {ArrayBufferStream} stream 
+ * @param {boolean} signed 
+ * @param {string} operation name of the read operation, for error reporting
+ * @param {function(bigint): T} [convert] conversion of the value, e.g. to number
+ * @returns {T}
+ */
+function readLEB128(stream, signed, operation, convert = (val) => val){
+    const {cursor} = stream;
+
+    let val = 0n,
+        shift = 0n,
+        count = 0,
+        byte;
+
+    try{
+        do{
+            byte = stream.getNextUint8();
+            ++count;
+
+            // The last byte holds bit 63 only, the rest must be zero or a sign extension of it
+            if(count === MAX_VARINT_BYTES && (signed ? byte !== 0x00 && byte !== 0x7F : byte > 0x01)){
+                throw new StreamError(`Varint exceeds 64 bits at offset ${cursor}`,
+                    { operation, cursor, byteCount: count, size: stream.size });
+            }
+
+            val |= BigInt(byte & 0x7F) << shift;
+            shift += 7n;
+        }while(byte & 0x80);
+
+        if(signed && (byte & 0x40))
+            val -= 1n << shift;
+
+        return convert(val);
+    }catch(e){
+        stream.cursor = cursor;
+
+        if(e instanceof StreamUnderflowError)
+            throw new StreamUnderflowError(operation, cursor, count + 1, stream.size);
+
+        throw toStreamError(stream, e, operation, cursor, count);
+    }
+}
+
+/**
+ * Decodes a ZigZag encoded integer
+ * @param {bigint} val 
+ * @returns {bigint}
+ */
+function fromZigZag(val){
+    return (val & 1n) ? -((val + 1n) >> 1n) : val >> 1n;
+}
+
+/**
+ * Encodes a string as bytes in the given single-byte or UTF-8 encoding.
+ * Characters outside of the ASCII or Latin-1 range are replaced with '?'.
+ * @param {string} str 
+ * @param {('ascii'|'latin1'|'utf8')} encoding 
+ * @returns {Uint8Array}
+ */
+function encodeString(str, encoding){
+    str = str ?? '';
+
+    if(encoding === 'utf8')
+        return UTF8_ENCODER.encode(str);
+
+    const max = SINGLE_BYTE_RANGES[encoding];
+    if(max === undefined)
+        throw new TypeError(`Unsupported encoding: ${encoding}`);
+
+    const len = str.length,
+          bytes = new Uint8Array(len);
+
+    for(let i = 0; i < len; ++i){
+        const c = str.charCodeAt(i);
+        bytes[i] = c > max ? 0x3F : c;
+    }
+
+    return bytes;
+}
+
+/**
+ * Decodes bytes as a string in the given single-byte or UTF-8 encoding
+ * @param {Uint8Array} bytes 
+ * @param {('ascii'|'latin1'|'utf8')} encoding 
+ * @returns {string}
+ */
+function decodeString(bytes, encoding){
+    if(encoding === 'utf8')
+        return UTF8_DECODER.decode(bytes);
+
+    if(SINGLE_BYTE_RANGES[encoding] === undefined)
+        throw new TypeError(`Unsupported encoding: ${encoding}`);
+
+    let val = '';
+
+    // Decode in chunks so that long strings do not exceed the argument limit
+    for(let i = 0; i < bytes.length; i += CHAR_CODE_CHUNK){
+        val += String.fromCharCode(...bytes.subarray(i, i + CHAR_CODE_CHUNK));
+    }
+
+    return val;
+}
+
+/**
+ * Creates a byte view over part of the stream. Views are bounds-checked against the stream,
+ * not the underlying buffer, so that a stream over a window never touches memory outside of it.
+ * @param {ArrayBufferStream} stream 
+ * @param {number} start offset within the stream in bytes
+ * @param {number} length number of bytes
+ * @returns {Uint8Array}
+ */
+function byteView(stream, start, length){
+    if(start < 0 || length < 0 || start + length > stream.size)
+        throw new RangeError(`Offset is outside the bounds of the stream`);
+
+    return new Uint8Array(stream.buffer, stream.byteOffset + start, length);
+}
+
+/**
+ * Creates a byte view over the range [start, end) of a stream, for operations that take a byte range
+ * @param {ArrayBufferStream} stream 
+ * @param {number} start offset of the first byte
+ * @param {number} end offset after the last byte
+ * @param {string} operation name of the operation, for error reporting
+ * @returns {Uint8Array}
+ */
+function rangeView(stream, start, end, operation){
+    if(!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start)
+        throw new RangeError(`Invalid byte range: ${start} to ${end}`);
+
+    if(end > stream.size)
+        throw new StreamUnderflowError(operation, start, end - start, stream.size);
+
+    return byteView(stream, start, end - start);
+}
+
+/**
+ * @param {*} array 
+ * @returns {boolean} whether array is a BigInt64Array or BigUint64Array
+ */
+function isBigIntArray(array){
+    return array instanceof BigInt64Array || array instanceof BigUint64Array;
+}
+
+/**
+ * Copies `length` elements at the cursor into dest in one block, if the byte order of the stream
+ * matches the host. Destinations of the same type are copied byte for byte at any alignment,
+ * other typed arrays are converted through a view when the cursor is aligned.
+ * The cursor is not advanced.
+ * @param {ArrayBufferStream} stream 
+ * @param {Function} ArrayType typed array constructor matching the stored type
+ * @param {number} length number of elements to read
+ * @param {ArrayLike<number>} dest destination buffer
+ * @param {number} offset write offset in destination buffer
+ * @returns {boolean} whether the elements were copied
+ */
+function bulkRead(stream, ArrayType, length, dest, offset){
+    const size = ArrayType.BYTES_PER_ELEMENT;
+
+    if((size > 1 && stream.littleEndian !== HOST_LITTLE_ENDIAN) || !ArrayBuffer.isView(dest) || offset + length > dest.length)
+        return false;
+
+    if(dest instanceof ArrayType){
+        const byteLength = length * size;
+        new Uint8Array(dest.buffer, dest.byteOffset + offset * size, byteLength)
+            .set(byteView(stream, stream.cursor, byteLength));
+
+        return true;
+    }
+
+    if((stream.byteOffset + stream.cursor) % size === 0 && isBigIntArray(dest) === (ArrayType === BigInt64Array || ArrayType === BigUint64Array)){
+        const bytes = byteView(stream, stream.cursor, length * size);
+        dest.set(new ArrayType(bytes.buffer, bytes.byteOffset, length), offset);
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Copies the elements of array to the cursor in one block, if the byte order of the stream
+ * matches the host. Arrays of the same type are copied byte for byte at any alignment,
+ * anything else is converted through a view when the cursor is aligned.
+ * The cursor is not advanced.
+ * @param {ArrayBufferStream} stream 
+ * @param {Function} ArrayType typed array constructor matching the stored type
+ * @param {ArrayLike<number>} array values to write
+ * @returns {boolean} whether the elements were copied
+ */
+function bulkWrite(stream, ArrayType, array){
+    const size = ArrayType.BYTES_PER_ELEMENT,
+          n = array.length;
+
+    if(size > 1 && stream.littleEndian !== HOST_LITTLE_ENDIAN)
+        return false;
+
+    if(array instanceof ArrayType){
+        byteView(stream, stream.cursor, n * size)
+            .set(new Uint8Array(array.buffer, array.byteOffset, n * size));
+
+        return true;
+    }
+
+    if((stream.byteOffset + stream.cursor) % size === 0 && isBigIntArray(array) === (ArrayType === BigInt64Array || ArrayType === BigUint64Array)){
+        const bytes = byteView(stream, stream.cursor, n * size);
+        new ArrayType(bytes.buffer, bytes.byteOffset, n).set(array);
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Moves the cursor of a stream to an absolute offset, discarding any partial byte from the bit cursor
+ * @param {ArrayBufferStream} stream 
+ * @param {number} cursor new offset in bytes
+ * @param {string} operation name of the operation, for error reporting
+ * @returns {number} the new cursor
+ */
+function moveCursor(stream, cursor, operation){
+    const i = +cursor;
+
+    if(isNaN(i) || i > stream.size || i < 0)
+        throw new InvalidCursorError(operation, cursor, stream.size);
+
+    stream.cursor = Math.floor(i);
+    stream.bitOffset = 0;
+
+    return stream.cursor;
+}
+
+/**
+ * Ends an annotated read. Once the outermost read has ended, its byte range is recorded
+ * if it consumed any bytes.
+ * @param {ArrayBufferStream} stream 
+ * @param {number} start cursor at the start of the read
+ * @param {string} name name to record the range under
+ */
+function endAnnotation(stream, start, name){
+    if(--stream.annotationDepth === 0 && stream.cursor > start)
+        stream.annotations.push({ start, end: stream.cursor, name });
+}
+
+/**
+ * Throws if fields cannot be reserved at the cursor. The body of a varint-prefixed writeSized block
+ * moves once its length is known, which would leave reservations inside it pointing at the wrong bytes.
+ * @param {ArrayBufferStream} stream 
+ */
+function checkReservable(stream){
+    if(stream.varintBlockDepth > 0)
+        throw new TypeError('Cannot reserve fields inside the body of a varint-prefixed writeSized block');
+}
+
+/**
+ * Throws if a bit-level read or write cannot handle the number of bits
+ * @param {number} count 
+ */
+function checkBitCount(count){
+    if(!Number.isInteger(count) || count < 1 || count > 32)
+        throw new RangeError(`Bit count must be an integer from 1 to 32: ${count}`);
+}
+
+/**
+ * Formats an offset for hex dumps
+ * @param {number} offset 
+ * @returns {string}
+ */
+function toHexOffset(offset){
+    return offset.toString(16).padStart(8, '0');
+}
+
+/**
+ * Formats bytes as space separated hex pairs
+ * @param {Uint8Array} bytes 
+ * @returns {string}
+ */
+function toHexBytes(bytes){
+    return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join(' ');
+}
+
+/**
+ * Restores the cursor after a failed operation and translates out of range errors
+ * from DataView and typed arrays into StreamUnderflowError or StreamOverflowError.
+ * Other range errors within the bounds of the stream, such as values that cannot be
+ * represented, become a StreamError with the context of the operation.
+ * Any other error is returned unchanged.
+ * @param {ArrayBufferStream} stream 
+ * @param {Error} error error thrown by the operation
+ * @param {string} operation name of the operation
+ * @param {number} cursor cursor at the start of the operation
+ * @param {number} byteCount number of bytes requested by the operation
+ * @returns {Error}
+ */
+function toStreamError(stream, error, operation, cursor, byteCount){
+    stream.cursor = cursor;
+
+    if(!(error instanceof RangeError) || error instanceof StreamError)
+        return error;
+
+    if(cursor + byteCount <= stream.size)
+        return new StreamError(error.message, { operation, cursor, byteCount, size: stream.size });
+
+    return operation.startsWith('write')
+        ? new StreamOverflowError(operation, cursor, byteCount, stream.size)
+        : new StreamUnderflowError(operation, cursor, byteCount, stream.size);
+}
 
 /**
  * Wraps an ArrayBuffer object with a stream-like interface
@@ -8,99 +564,398 @@ const SHORT_TO_NORM = 1 / 0xFFFF;
 class ArrayBufferStream{
     /**
      * Constructs an ArrayBufferStream
-     * @param {(number|ArrayBufferLike|object)} arg Size of ArrayBuffer to allocate or existing allocation
+     * @param {(number|ArrayBufferLike|ArrayBufferView)} arg Size of ArrayBuffer to allocate, or existing memory.
+     * ArrayBuffers, SharedArrayBuffers and views such as TypedArrays, DataViews and Node Buffers are used
+     * in place without copying, limited to the byteOffset and byteLength of the view.
      * @param {boolean} [littleEndian=false] Whether to use "Little Endian" for byte order
+     * @param {object} [options]
+     * @param {boolean} [options.growable=false] Whether writes past the end should grow the buffer
+     * @param {number} [options.maxSize=Infinity] Maximum size in bytes that a growable stream can grow to
+     * @param {boolean} [options.floorNormalized=false] Whether UNORM writes truncate instead of rounding
+     * @param {('msb'|'lsb')} [options.bitOrder='msb'] Bit order for bit-level reads and writes
+     * @param {boolean} [options.checked=false] Whether to validate the byte range of each operation before it runs
+     * @param {boolean} [options.strictTerminators=false] Whether terminated reads throw when no terminator is found
+     * @param {boolean} [options.copy=false] Whether to copy existing memory instead of using it in place
+     * @param {boolean} [options.annotate=false] Whether to record the byte range of each read, see enableAnnotations
      */
-    constructor(arg, littleEndian){
-        const numValue = +arg;
+    constructor(arg, littleEndian, options){
+        /**
+         * Whether writes past the end of the buffer reallocate instead of throwing
+         * @type {boolean}
+         */
+        this.growable = !!options?.growable;
+
+        /**
+         * Maximum size in bytes that a growable stream can grow to.
+         * Writes that need a larger buffer throw StreamOverflowError.
+         * @type {number}
+         */
+        this.maxSize = options?.maxSize ?? Infinity;
+
+        if(!(this.maxSize >= 0))
+            throw new RangeError(`Maximum size must be a non-negative number: ${options.maxSize}`);
+
+        /**
+         * Whether UNORM writes truncate with Math.floor (legacy behaviour) instead of rounding to nearest
+         * @type {boolean}
+         */
+        this.floorNormalized = !!options?.floorNormalized;
+
+        /**
+         * Whether writes and array reads validate their whole byte range up front,
+         * so that a failing operation leaves the buffer untouched
+         * @type {boolean}
+         */
+        this.checked = !!options?.checked;
+
+        /**
+         * Whether terminated strings and lines that reach the end of the buffer without a terminator
+         * throw StreamUnderflowError instead of returning the rest of the buffer,
+         * for buffers that hold a prefix of data that is still arriving
+         * @type {boolean}
+         */
+        this.strictTerminators = !!options?.strictTerminators;
 
         /**
          * Underlying ArrayBuffer instance with data for read/write
-         * @type {ArrayBuffer}
+         * @type {ArrayBufferLike}
          */
         this.buffer = null;
 
-        if(!isNaN(numValue)){
+        /**
+         * Offset of the stream within the underlying buffer in bytes
+         * @type {number}
+         */
+        this.byteOffset = 0;
+
+        /**
+         * Size of the stream in bytes
+         * @type {number}
+         */
+        this.size = 0;
+
+        if(arg !== null && typeof arg === 'object'){
+            // ArrayBuffer, SharedArrayBuffer or a view such as a TypedArray, DataView or Node Buffer,
+            // limited to the same window of memory
+            const bytes = toBytes(arg);
+
+            if(bytes && options?.copy){
+                this.buffer = bytes.slice().buffer;
+                this.size = bytes.length;
+            }else if(bytes){
+                this.buffer = bytes.buffer;
+                this.byteOffset = bytes.byteOffset;
+                this.size = bytes.length;
+            }
+        }else if(!isNaN(+arg)){
             // Numeric value for size
-            this.buffer = new ArrayBuffer(Math.floor(numValue));
-        }else if(typeof arg === 'object'){
-            if(Object.prototype.toString(arg).indexOf('ArrayBuffer') >= 0){
-                // ArrayBuffer object passed directly
-                this.buffer = arg;
-            }else if(Object.prototype.toString(arg.data).indexOf('ArrayBuffer') >= 0){
-                // Node Buffer is passed
-                const {buffer, byteOffset, byteLength} = arg;
-
-                if(!isNaN(+byteOffset) && !isNaN(+byteLength)){
-                    this.buffer = buffer.slice(byteOffset, byteOffset + byteLength);
-                }
+            const size = Math.floor(+arg);
+
+            if(this.growable && HAS_RESIZABLE_BUFFER){
+                const maxByteLength = Math.max(size, Math.min(this.maxSize, DEFAULT_MAX_SIZE));
+                this.buffer = new ArrayBuffer(size, { maxByteLength });
+            }else{
+                this.buffer = new ArrayBuffer(size);
             }
+
+            this.size = size;
         }
 
         if(!this.buffer)
-            throw `Unsupported: [${typeof arg}] ${arg}`;
+            throw new UnsupportedSourceError(arg);
+
+        /**
+         * Current read/write offset in bytes
+         * @type {number}
+         */
+        this.cursor = 0;
 
         /**
-         * Size of underlying buffer in bytes
+         * Number of bits (0-7) already read or written in the byte at the cursor
          * @type {number}
          */
-        this.size = this.buffer.byteLength;
+        this.bitOffset = 0;
 
         /**
-         * Current read/write offset in bytes
+         * Cursors saved by pushCursor, most recent last
+         * @type {Array<{cursor: number, bitOffset: number}>}
+         */
+        this.cursorStack = [];
+
+        /**
+         * Number of varint-prefixed writeSized bodies being written, see writeSized
          * @type {number}
          */
-        this.cursor = 0;
+        this.varintBlockDepth = 0;
+
+        /**
+         * Order in which bits are packed within a byte, most or least significant bit first
+         * @type {('msb'|'lsb')}
+         */
+        this.bitOrder = options?.bitOrder === 'lsb' ? 'lsb' : 'msb';
     
         /**
          * @type {DataView}
          */
-        this.dv = new DataView(this.buffer);
+        this.dv = new DataView(this.buffer, this.byteOffset, this.size);
 
         /**
          * @type {boolean}
          */
         this.littleEndian = !!littleEndian;
+
+        /**
+         * Byte ranges consumed by reads, in order, when annotation mode is enabled. Otherwise null.
+         * @type {?Array<{start: number, end: number, name: string}>}
+         */
+        this.annotations = null;
+
+        /**
+         * Nesting depth of annotated reads, so that reads made by other reads are not recorded separately
+         * @type {number}
+         */
+        this.annotationDepth = 0;
+
+        if(options?.annotate)
+            this.enableAnnotations();
     }
 
     /**
-     * Sets read/write cursor at specified location
+     * Sets read/write cursor at specified location.
+     * Any partially read or written byte is discarded from the bit cursor.
      * @param {number} cursor 
      */
     setCursor(cursor){
-        const i = +cursor;
+        moveCursor(this, cursor, 'setCursor');
+    }
 
-        if(isNaN(i)){
-            throw `Invalid value for cursor: ${cursor}`;
-        }
+    /**
+     * Saves the cursor on a stack so that it can be restored with popCursor,
+     * then optionally moves it to an absolute offset
+     * @param {number} [offset] absolute offset in bytes to move to
+     */
+    pushCursor(offset){
+        const {cursor, bitOffset} = this;
 
-        if(i > this.size || i < 0){
-            throw `Cursor out of range (cursor: ${cursor}, length: ${this.size})`;
-        }
+        if(offset !== undefined)
+            this.setCursor(offset);
 
-        this.cursor = Math.floor(i);
+        this.cursorStack.push({cursor, bitOffset});
     }
 
     /**
-     * Adds numeric value(s) as UINT8, advances cursor
-     * @param  {...number} val 
+     * Restores the cursor saved by the most recent pushCursor
+     * @returns {number} the restored cursor
      */
-    writeUint8(...val){
-        const n = val?.length;
-        for(let i = 0; i < n; ++i){
-            this.dv.setUint8(this.cursor++, val[i]);
-        }
-    }
+    popCursor(){
+        const saved = this.cursorStack.pop();
 
-    /**
+        if(!saved)
+            throw new RangeError('popCursor called without a matching pushCursor');
+
+        this.cursor = saved.cursor;
+        this.bitOffset = saved.bitOffset;
+
+        return this.cursor;
+    }
+
+    /**
+     * Moves the cursor to an absolute offset, calls fn, then restores the cursor,
+     * even if fn throws. fn must complete synchronously.
+     * @template T
+     * @param {number} offset absolute offset in bytes
+     * @param {function(ArrayBufferStream): T} fn callback that receives this stream
+     * @returns {T} result of fn
+     */
+    withCursor(offset, fn){
+        const {cursor, bitOffset} = this;
+
+        try{
+            this.setCursor(offset);
+            return fn.call(this, this);
+        }finally{
+            this.cursor = cursor;
+            this.bitOffset = bitOffset;
+        }
+    }
+
+    /**
+     * Moves the cursor relative to the start, the current position or the end of the stream.
+     * Any partially read or written byte is discarded from the bit cursor.
+     * @param {number} offset number of bytes to move, may be negative
+     * @param {('start'|'current'|'end')} [whence='start'] position that the offset is relative to
+     * @returns {number} the new cursor
+     */
+    seek(offset, whence = 'start'){
+        let base;
+
+        switch(whence){
+            case 'start':
+                base = 0;
+                break;
+            case 'current':
+                base = this.cursor;
+                break;
+            case 'end':
+                base = this.size;
+                break;
+            default:
+                throw new TypeError(`Unsupported seek origin: ${whence}`);
+        }
+
+        return moveCursor(this, base + +offset, 'seek');
+    }
+
+    /**
+     * Moves the cursor forward by a number of bytes without reading them
+     * @param {number} byteCount number of bytes to skip, may be negative to step back
+     * @returns {number} the new cursor
+     */
+    skip(byteCount){
+        return moveCursor(this, this.cursor + +byteCount, 'skip');
+    }
+
+    /**
+     * Advances the cursor to the next multiple of `alignment` bytes from the start of the stream.
+     * The cursor is unchanged if it is already aligned. In growable mode the buffer is enlarged
+     * if the aligned position is past the end. Bytes that are skipped over are not written,
+     * use writePadding to fill them.
+     * @param {number} alignment alignment in bytes, e.g. 4 or 16
+     * @returns {number} the new cursor
+     */
+    align(alignment){
+        if(!Number.isInteger(alignment) || alignment < 1)
+            throw new RangeError(`Alignment must be a positive integer: ${alignment}`);
+
+        const padding = (alignment - this.cursor % alignment) % alignment;
+
+        if(this.growable)
+            this.ensureCapacity(padding, 'align');
+
+        return moveCursor(this, this.cursor + padding, 'align');
+    }
+
+    /**
+     * Writes a run of identical bytes, e.g. to pad a section to an aligned size
+     * @param {number} byteCount number of bytes to write
+     * @param {number} [fillByte=0] value of each byte
+     */
+    writePadding(byteCount, fillByte = 0){
+        const {cursor} = this;
+
+        try{
+            this.ensureCapacity(byteCount, 'writePadding');
+            byteView(this, cursor, byteCount).fill(fillByte);
+            this.cursor += byteCount;
+        }catch(e){
+            throw toStreamError(this, e, 'writePadding', cursor, byteCount);
+        }
+    }
+
+    /**
+     * @returns {number} number of bytes between the cursor and the end of the stream
+     */
+    remaining(){
+        return this.size - this.cursor;
+    }
+
+    /**
+     * @returns {boolean} whether the cursor is at the end of the stream
+     */
+    isEOF(){
+        return this.cursor >= this.size;
+    }
+
+    /**
+     * Makes sure that the given number of bytes can be written at the cursor.
+     * In growable mode the buffer is enlarged as needed, up to maxSize. In checked mode a write
+     * that does not fit throws before any data is written. Otherwise this is a no-op
+     * and out of range writes will throw part way through.
+     * @param {number} byteCount number of bytes about to be written
+     * @param {string} [operation] name of the write operation, for error reporting
+     */
+    ensureCapacity(byteCount, operation){
+        const required = this.cursor + byteCount;
+
+        if(required <= this.size)
+            return;
+
+        if(!this.growable){
+            if(this.checked)
+                throw new StreamOverflowError(operation, this.cursor, byteCount, this.size);
+
+            return;
+        }
+
+        if(required > this.maxSize)
+            throw new StreamOverflowError(operation, this.cursor, byteCount, this.size);
+
+        const {buffer} = this,
+              newSize = Math.min(Math.max(required, this.size * 2, MIN_GROWTH), this.maxSize);
+
+        if(buffer.resizable && this.byteOffset + this.size === buffer.byteLength
+            && this.byteOffset + required <= buffer.maxByteLength){
+            // Native resizable buffer - only when the stream owns the tail of the buffer
+            buffer.resize(Math.min(this.byteOffset + newSize, buffer.maxByteLength));
+            this.size = buffer.byteLength - this.byteOffset;
+        }else{
+            // Copy the window into a new allocation; the stream no longer shares memory with the source
+            const next = new ArrayBuffer(newSize);
+            new Uint8Array(next).set(new Uint8Array(buffer, this.byteOffset, this.size));
+
+            this.buffer = next;
+            this.byteOffset = 0;
+            this.size = newSize;
+        }
+
+        this.dv = new DataView(this.buffer, this.byteOffset, this.size);
+    }
+
+    /**
+     * In checked mode, makes sure that the given number of bytes can be read at the cursor
+     * before any of them are read. Otherwise this is a no-op.
+     * @param {number} byteCount number of bytes about to be read
+     * @param {string} [operation] name of the read operation, for error reporting
+     */
+    ensureAvailable(byteCount, operation){
+        if(this.checked && this.cursor + byteCount > this.size)
+            throw new StreamUnderflowError(operation, this.cursor, byteCount, this.size);
+    }
+
+    /**
+     * Adds numeric value(s) as UINT8, advances cursor
+     * @param  {...number} val 
+     */
+    writeUint8(...val){
+        const {cursor} = this,
+              n = val?.length;
+
+        try{
+            this.ensureCapacity(n, 'writeUint8');
+            for(let i = 0; i < n; ++i){
+                this.dv.setUint8(this.cursor++, val[i]);
+            }
+        }catch(e){
+            throw toStreamError(this, e, 'writeUint8', cursor, n);
+        }
+    }
+
+    /**
      * Adds numeric value(s) as UINT8, advances cursor.
      * Value is clamped to UINT8 range
      * @param  {...number} val 
      */
     writeUint8Clamped(...val){
-        const n = val?.length;
-        for(let i = 0; i < n; ++i){
-            this.dv.setUint8(this.cursor++, Math.max(0, Math.min(0xFF, val[i])));
+        const {cursor} = this,
+              n = val?.length;
+
+        try{
+            this.ensureCapacity(n, 'writeUint8Clamped');
+            for(let i = 0; i < n; ++i){
+                this.dv.setUint8(this.cursor++, Math.max(0, Math.min(0xFF, val[i])));
+            }
+        }catch(e){
+            throw toStreamError(this, e, 'writeUint8Clamped', cursor, n);
         }
     }
 
@@ -108,7 +963,13 @@ class ArrayBufferStream{
      * Reads single UINT8 as number, advances cursor
      */
     getNextUint8(){
-        return this.dv.getUint8(this.cursor++);
+        const {cursor} = this;
+
+        try{
+            return this.dv.getUint8(this.cursor++);
+        }catch(e){
+            throw toStreamError(this, e, 'getNextUint8', cursor, 1);
+        }
     }
 
     /**
@@ -120,520 +981,3142 @@ class ArrayBufferStream{
      * @returns 
      */
     getNextUint8Array(length, dest, offset){
-        dest = dest || new Uint8Array(length);
-        offset = Math.floor(offset || 0);
+        const {cursor} = this;
+
+        try{
+            this.ensureAvailable(length, 'getNextUint8Array');
+
+            dest = dest || new Uint8Array(length);
+            offset = Math.floor(offset || 0);
+
+            if(bulkRead(this, Uint8Array, length, dest, offset)){
+                this.cursor += length;
+                return dest;
+            }
+
+            for(let i = 0; i < length; ++i){
+                dest[i + offset] = this.dv.getUint8(this.cursor++);
+            }
+
+            return dest;
+        }catch(e){
+            throw toStreamError(this, e, 'getNextUint8Array', cursor, length);
+        }
+    }
+
+    /**
+     * Adds an array of numeric values as UINT8, advances cursor.
+     * Memory is copied in one block when the layout allows it.
+     * @param {ArrayLike<number>} array 
+     */
+    writeUint8Array(array){
+        const {cursor} = this,
+              n = array?.length || 0;
+
+        try{
+            this.ensureCapacity(n, 'writeUint8Array');
+
+            if(!bulkWrite(this, Uint8Array, array)){
+                for(let i = 0; i < n; ++i){
+                    this.dv.setUint8(this.cursor + i, array[i]);
+                }
+            }
+
+            this.cursor += n;
+        }catch(e){
+            throw toStreamError(this, e, 'writeUint8Array', cursor, n);
+        }
+    }
+
+    /**
+     * Adds numeric value(s) as INT8, advances cursor
+     * @param  {...number} val 
+     */
+    writeInt8(...val){
+        const {cursor} = this,
+              n = val?.length;
+
+        try{
+            this.ensureCapacity(n, 'writeInt8');
+            for(let i = 0; i < n; ++i){
+                this.dv.setInt8(this.cursor++, val[i]);
+            }
+        }catch(e){
+            throw toStreamError(this, e, 'writeInt8', cursor, n);
+        }
+    }
+
+    /**
+     * Adds numeric value(s) as INT8, advances cursor.
+     * Value is clamped to INT8 range
+     * @param  {...number} val 
+     */
+    writeInt8Clamped(...val){
+        const {cursor} = this,
+              n = val?.length;
+
+        try{
+            this.ensureCapacity(n, 'writeInt8Clamped');
+            for(let i = 0; i < n; ++i){
+                this.dv.setInt8(this.cursor++, Math.max(-128, Math.min(0x7F, val[i])));
+            }
+        }catch(e){
+            throw toStreamError(this, e, 'writeInt8Clamped', cursor, n);
+        }
+    }
+
+    /**
+     * Reads INT8 as number, advances cursor
+     */
+    getNextInt8(){
+        const {cursor} = this;
+
+        try{
+            return this.dv.getInt8(this.cursor++);
+        }catch(e){
+            throw toStreamError(this, e, 'getNextInt8', cursor, 1);
+        }
+    }
+
+    /**
+     * Reads a series of INT8 values into a destination buffer.
+     * If a buffer is not provided, then new Int8Array will be created.
+     * @param {number} length number of values to read
+     * @param {ArrayLike<number>} [dest=null] destination buffer
+     * @param {number} [offset=0] write offset in destination buffer
+     * @returns 
+     */
+    getNextInt8Array(length, dest, offset){
+        const {cursor} = this;
+
+        try{
+            this.ensureAvailable(length, 'getNextInt8Array');
+
+            dest = dest || new Int8Array(length);
+            offset = Math.floor(offset || 0);
+
+            if(bulkRead(this, Int8Array, length, dest, offset)){
+                this.cursor += length;
+                return dest;
+            }
+
+            for(let i = 0; i < length; ++i){
+                dest[i + offset] = this.dv.getInt8(this.cursor++);
+            }
+
+            return dest;
+        }catch(e){
+            throw toStreamError(this, e, 'getNextInt8Array', cursor, length);
+        }
+    }
+
+    /**
+     * Adds an array of numeric values as INT8, advances cursor.
+     * Memory is copied in one block when the layout allows it.
+     * @param {ArrayLike<number>} array 
+     */
+    writeInt8Array(array){
+        const {cursor} = this,
+              n = array?.length || 0;
+
+        try{
+            this.ensureCapacity(n, 'writeInt8Array');
+
+            if(!bulkWrite(this, Int8Array, array)){
+                for(let i = 0; i < n; ++i){
+                    this.dv.setInt8(this.cursor + i, array[i]);
+                }
+            }
+
+            this.cursor += n;
+        }catch(e){
+            throw toStreamError(this, e, 'writeInt8Array', cursor, n);
+        }
+    }
+
+    /**
+     * Adds numeric value(s) as UINT16, advances cursor
+     * @param  {...number} val 
+     */
+    writeUint16(...val){
+        const {cursor} = this,
+              n = val?.length;
+
+        try{
+            this.ensureCapacity(n * 2, 'writeUint16');
+            for(let i = 0; i < n; ++i){
+                this.dv.setUint16(this.cursor, val[i], this.littleEndian);
+                this.cursor += 2;
+            }
+        }catch(e){
+            throw toStreamError(this, e, 'writeUint16', cursor, n * 2);
+        }
+    }
+
+    /**
+     * Adds numeric value(s) as UINT16, advances cursor.
+     * Value is clamped to UINT16 range
+     * @param  {...number} val 
+     */
+    writeUint16Clamped(...val){
+        const {cursor} = this,
+              n = val?.length;
+
+        try{
+            this.ensureCapacity(n * 2, 'writeUint16Clamped');
+            for(let i = 0; i < n; ++i){
+                this.dv.setUint16(this.cursor, Math.max(0, Math.min(0xFFFF, val[i])), this.littleEndian);
+                this.cursor += 2;
+            }
+        }catch(e){
+            throw toStreamError(this, e, 'writeUint16Clamped', cursor, n * 2);
+        }
+    }
+
+    /**
+     * Reads UINT16 as number, advances cursor
+     */
+    getNextUint16(){
+        const {cursor} = this;
+
+        try{
+            const val = this.dv.getUint16(this.cursor, this.littleEndian);
+            this.cursor += 2;
+
+            return val;
+        }catch(e){
+            throw toStreamError(this, e, 'getNextUint16', cursor, 2);
+        }
+    }
+
+    /**
+     * Reads a series of UINT16 values into a destination buffer.
+     * If a buffer is not provided, then new Uint16Array will be created.
+     * @param {number} length number of values to read
+     * @param {ArrayLike<number>} [dest=null] destination buffer
+     * @param {number} [offset=0] write offset in destination buffer
+     * @returns 
+     */
+    getNextUint16Array(length, dest, offset){
+        const {cursor} = this;
+
+        try{
+            this.ensureAvailable(length * 2, 'getNextUint16Array');
+
+            dest = dest || new Uint16Array(length);
+            offset = Math.floor(offset || 0);
+
+            if(bulkRead(this, Uint16Array, length, dest, offset)){
+                this.cursor += length * 2;
+                return dest;
+            }
+
+            for(let i = 0; i < length; ++i){
+                dest[i + offset] = this.dv.getUint16(this.cursor, this.littleEndian);
+                this.cursor += 2;
+            }
+
+            return dest;
+        }catch(e){
+            throw toStreamError(this, e, 'getNextUint16Array', cursor, length * 2);
+        }
+    }
+
+    /**
+     * Adds an array of numeric values as UINT16, advances cursor.
+     * Memory is copied in one block when the layout allows it.
+     * @param {ArrayLike<number>} array 
+     */
+    writeUint16Array(array){
+        const {cursor} = this,
+              n = array?.length || 0;
+
+        try{
+            this.ensureCapacity(n * 2, 'writeUint16Array');
+
+            if(!bulkWrite(this, Uint16Array, array)){
+                for(let i = 0; i < n; ++i){
+                    this.dv.setUint16(this.cursor + i * 2, array[i], this.littleEndian);
+                }
+            }
+
+            this.cursor += n * 2;
+        }catch(e){
+            throw toStreamError(this, e, 'writeUint16Array', cursor, n * 2);
+        }
+    }
+
+    /**
+     * Adds numeric value(s) as INT16, advances cursor
+     * @param  {...number} val 
+     */
+    writeInt16(...val){
+        const {cursor} = this,
+              n = val?.length;
+
+        try{
+            this.ensureCapacity(n * 2, 'writeInt16');
+            for(let i = 0; i < n; ++i){
+                this.dv.setInt16(this.cursor, val[i], this.littleEndian);
+                this.cursor += 2;
+            }
+        }catch(e){
+            throw toStreamError(this, e, 'writeInt16', cursor, n * 2);
+        }
+    }
+
+    /**
+     * Adds numeric value(s) as INT16, advances cursor.
+     * Value is clamped to INT16 range
+     * @param  {...number} val 
+     */
+    writeInt16Clamped(...val){
+        const {cursor} = this,
+              n = val?.length;
+
+        try{
+            this.ensureCapacity(n * 2, 'writeInt16Clamped');
+            for(let i = 0; i < n; ++i){
+                this.dv.setInt16(this.cursor, Math.max(-32768, Math.min(0x7FFF, val[i])), this.littleEndian);
+                this.cursor += 2;
+            }
+        }catch(e){
+            throw toStreamError(this, e, 'writeInt16Clamped', cursor, n * 2);
+        }
+    }
+
+    /**
+     * Reads INT16 as number, advances cursor
+     */
+    getNextInt16(){
+        const {cursor} = this;
+
+        try{
+            const val = this.dv.getInt16(this.cursor, this.littleEndian);
+            this.cursor += 2;
 
-        for(let i = 0; i < length; ++i){
-            dest[i + offset] = this.dv.getUint8(this.cursor++);
+            return val;
+        }catch(e){
+            throw toStreamError(this, e, 'getNextInt16', cursor, 2);
         }
+    }
+
+    /**
+     * Reads a series of INT16 values into a destination buffer.
+     * If a buffer is not provided, then new Int16Array will be created.
+     * @param {number} length number of values to read
+     * @param {ArrayLike<number>} [dest=null] destination buffer
+     * @param {number} [offset=0] write offset in destination buffer
+     * @returns 
+     */
+    getNextInt16Array(length, dest, offset){
+        const {cursor} = this;
+
+        try{
+            this.ensureAvailable(length * 2, 'getNextInt16Array');
 
-        return dest;
+            dest = dest || new Int16Array(length);
+            offset = Math.floor(offset || 0);
+
+            if(bulkRead(this, Int16Array, length, dest, offset)){
+                this.cursor += length * 2;
+                return dest;
+            }
+
+            for(let i = 0; i < length; ++i){
+                dest[i + offset] = this.dv.getInt16(this.cursor, this.littleEndian);
+                this.cursor += 2;
+            }
+
+            return dest;
+        }catch(e){
+            throw toStreamError(this, e, 'getNextInt16Array', cursor, length * 2);
+        }
+    }
+
+    /**
+     * Adds an array of numeric values as INT16, advances cursor.
+     * Memory is copied in one block when the layout allows it.
+     * @param {ArrayLike<number>} array 
+     */
+    writeInt16Array(array){
+        const {cursor} = this,
+              n = array?.length || 0;
+
+        try{
+            this.ensureCapacity(n * 2, 'writeInt16Array');
+
+            if(!bulkWrite(this, Int16Array, array)){
+                for(let i = 0; i < n; ++i){
+                    this.dv.setInt16(this.cursor + i * 2, array[i], this.littleEndian);
+                }
+            }
+
+            this.cursor += n * 2;
+        }catch(e){
+            throw toStreamError(this, e, 'writeInt16Array', cursor, n * 2);
+        }
+    }
+
+    /**
+     * Adds numeric value(s) as UINT32, advances cursor
+     * @param  {...number} val 
+     */
+    writeUint32(...val){
+        const {cursor} = this,
+              n = val?.length;
+
+        try{
+            this.ensureCapacity(n * 4, 'writeUint32');
+            for(let i = 0; i < n; ++i){
+                this.dv.setUint32(this.cursor, val[i], this.littleEndian);
+                this.cursor += 4;
+            }
+        }catch(e){
+            throw toStreamError(this, e, 'writeUint32', cursor, n * 4);
+        }
+    }
+
+    /**
+     * Adds numeric value(s) as INT32, advances cursor.
+     * Value is clamped to INT32 range
+     * @param  {...number} val 
+     */
+    writeUint32Clamped(...val){
+        const {cursor} = this,
+              n = val?.length;
+
+        try{
+            this.ensureCapacity(n * 4, 'writeUint32Clamped');
+            for(let i = 0; i < n; ++i){
+                this.dv.setUint32(this.cursor, Math.max(0, Math.min(0xFFFFFFFF, val[i])), this.littleEndian);
+                this.cursor += 4;
+            }
+        }catch(e){
+            throw toStreamError(this, e, 'writeUint32Clamped', cursor, n * 4);
+        }
+    }
+
+    /**
+     * Reads UINT32 as number, advances cursor
+     */
+    getNextUint32(){
+        const {cursor} = this;
+
+        try{
+            const val = this.dv.getUint32(this.cursor, this.littleEndian);
+            this.cursor += 4;
+
+            return val;
+        }catch(e){
+            throw toStreamError(this, e, 'getNextUint32', cursor, 4);
+        }
+    }
+
+    /**
+     * Reads a series of UINT32 values into a destination buffer.
+     * If a buffer is not provided, then new Uint32Array will be created.
+     * @param {number} length number of values to read
+     * @param {ArrayLike<number>} [dest=null] destination buffer
+     * @param {number} [offset=0] write offset in destination buffer
+     * @returns 
+     */
+    getNextUint32Array(length, dest, offset){
+        const {cursor} = this;
+
+        try{
+            this.ensureAvailable(length * 4, 'getNextUint32Array');
+
+            dest = dest || new Uint32Array(length);
+            offset = Math.floor(offset || 0);
+
+            if(bulkRead(this, Uint32Array, length, dest, offset)){
+                this.cursor += length * 4;
+                return dest;
+            }
+
+            for(let i = 0; i < length; ++i){
+                dest[i + offset] = this.dv.getUint32(this.cursor, this.littleEndian);
+                this.cursor += 4;
+            }
+
+            return dest;
+        }catch(e){
+            throw toStreamError(this, e, 'getNextUint32Array', cursor, length * 4);
+        }
+    }
+
+    /**
+     * Adds an array of numeric values as UINT32, advances cursor.
+     * Memory is copied in one block when the layout allows it.
+     * @param {ArrayLike<number>} array 
+     */
+    writeUint32Array(array){
+        const {cursor} = this,
+              n = array?.length || 0;
+
+        try{
+            this.ensureCapacity(n * 4, 'writeUint32Array');
+
+            if(!bulkWrite(this, Uint32Array, array)){
+                for(let i = 0; i < n; ++i){
+                    this.dv.setUint32(this.cursor + i * 4, array[i], this.littleEndian);
+                }
+            }
+
+            this.cursor += n * 4;
+        }catch(e){
+            throw toStreamError(this, e, 'writeUint32Array', cursor, n * 4);
+        }
+    }
+
+    /**
+     * Adds numeric value(s) as INT32, advances cursor
+     * @param  {...number} val 
+     */
+    writeInt32(...val){
+        const {cursor} = this,
+              n = val?.length;
+
+        try{
+            this.ensureCapacity(n * 4, 'writeInt32');
+            for(let i = 0; i < n; ++i){
+                this.dv.setInt32(this.cursor, val[i], this.littleEndian);
+                this.cursor += 4;
+            }
+        }catch(e){
+            throw toStreamError(this, e, 'writeInt32', cursor, n * 4);
+        }
+    }
+
+    /**
+     * Adds numeric value(s) as INT32, advances cursor.
+     * Value is clamped to INT32 range
+     * @param  {...number} val 
+     */
+    writeInt32Clamped(...val){
+        const {cursor} = this,
+              n = val?.length;
+
+        try{
+            this.ensureCapacity(n * 4, 'writeInt32Clamped');
+            for(let i = 0; i < n; ++i){
+                this.dv.setInt32(this.cursor, Math.max(-2147483648, Math.min(0x7FFFFFFF, val[i])), this.littleEndian);
+                this.cursor += 4;
+            }
+        }catch(e){
+            throw toStreamError(this, e, 'writeInt32Clamped', cursor, n * 4);
+        }
+    }
+    /**
+     * Reads INT32 as number, advances cursor
+     */
+    getNextInt32(){
+        const {cursor} = this;
+
+        try{
+            const val = this.dv.getInt32(this.cursor, this.littleEndian);
+            this.cursor += 4;
+
+            return val;
+        }catch(e){
+            throw toStreamError(this, e, 'getNextInt32', cursor, 4);
+        }
+    }
+
+    /**
+     * Reads a series of INT16 values into a destination buffer.
+     * If a buffer is not provided, then new Int32Array will be created.
+     * @param {number} length number of values to read
+     * @param {ArrayLike<number>} [dest=null] destination buffer
+     * @param {number} [offset=0] write offset in destination buffer
+     * @returns 
+     */
+    getNextInt32Array(length, dest, offset){
+        const {cursor} = this;
+
+        try{
+            this.ensureAvailable(length * 4, 'getNextInt32Array');
+
+            dest = dest || new Int32Array(length);
+            offset = Math.floor(offset || 0);
+
+            if(bulkRead(this, Int32Array, length, dest, offset)){
+                this.cursor += length * 4;
+                return dest;
+            }
+
+            for(let i = 0; i < length; ++i){
+                dest[i + offset] = this.dv.getInt32(this.cursor, this.littleEndian);
+                this.cursor += 4;
+            }
+
+            return dest;
+        }catch(e){
+            throw toStreamError(this, e, 'getNextInt32Array', cursor, length * 4);
+        }
+    }
+
+    /**
+     * Adds an array of numeric values as INT32, advances cursor.
+     * Memory is copied in one block when the layout allows it.
+     * @param {ArrayLike<number>} array 
+     */
+    writeInt32Array(array){
+        const {cursor} = this,
+              n = array?.length || 0;
+
+        try{
+            this.ensureCapacity(n * 4, 'writeInt32Array');
+
+            if(!bulkWrite(this, Int32Array, array)){
+                for(let i = 0; i < n; ++i){
+                    this.dv.setInt32(this.cursor + i * 4, array[i], this.littleEndian);
+                }
+            }
+
+            this.cursor += n * 4;
+        }catch(e){
+            throw toStreamError(this, e, 'writeInt32Array', cursor, n * 4);
+        }
+    }
+
+    /**
+     * Adds numeric or BigInt value(s) as UINT64, advances cursor
+     * @param  {...(number|bigint)} val 
+     */
+    writeUint64(...val){
+        const {cursor} = this,
+              n = val?.length;
+
+        try{
+            this.ensureCapacity(n * 8, 'writeUint64');
+            for(let i = 0; i < n; ++i){
+                this.dv.setBigUint64(this.cursor, toBigInt(val[i]), this.littleEndian);
+                this.cursor += 8;
+            }
+        }catch(e){
+            throw toStreamError(this, e, 'writeUint64', cursor, n * 8);
+        }
+    }
+
+    /**
+     * Adds numeric or BigInt value(s) as UINT64, advances cursor.
+     * Value is clamped to UINT64 range
+     * @param  {...(number|bigint)} val 
+     */
+    writeUint64Clamped(...val){
+        const {cursor} = this,
+              n = val?.length;
+
+        try{
+            this.ensureCapacity(n * 8, 'writeUint64Clamped');
+            for(let i = 0; i < n; ++i){
+                this.dv.setBigUint64(this.cursor, clampBigInt(toBigInt(val[i]), 0n, UINT64_MAX), this.littleEndian);
+                this.cursor += 8;
+            }
+        }catch(e){
+            throw toStreamError(this, e, 'writeUint64Clamped', cursor, n * 8);
+        }
+    }
+
+    /**
+     * Reads UINT64 as BigInt, advances cursor
+     * @returns {bigint}
+     */
+    getNextBigUint64(){
+        const {cursor} = this;
+
+        try{
+            const val = this.dv.getBigUint64(this.cursor, this.littleEndian);
+            this.cursor += 8;
+
+            return val;
+        }catch(e){
+            throw toStreamError(this, e, 'getNextBigUint64', cursor, 8);
+        }
+    }
+
+    /**
+     * Reads UINT64 as number, advances cursor.
+     * Throws if the value cannot be represented exactly as a number.
+     * @returns {number}
+     */
+    getNextUint64(){
+        const {cursor} = this;
+
+        try{
+            return toSafeNumber(this.getNextBigUint64());
+        }catch(e){
+            throw toStreamError(this, e, 'getNextUint64', cursor, 8);
+        }
+    }
+
+    /**
+     * Reads a series of UINT64 values into a destination buffer.
+     * If a buffer is not provided, then new BigUint64Array will be created.
+     * @param {number} length number of values to read
+     * @param {ArrayLike<bigint>} [dest=null] destination buffer
+     * @param {number} [offset=0] write offset in destination buffer
+     * @returns 
+     */
+    getNextBigUint64Array(length, dest, offset){
+        const {cursor} = this;
+
+        try{
+            this.ensureAvailable(length * 8, 'getNextBigUint64Array');
+
+            dest = dest || new BigUint64Array(length);
+            offset = Math.floor(offset || 0);
+
+            if(bulkRead(this, BigUint64Array, length, dest, offset)){
+                this.cursor += length * 8;
+                return dest;
+            }
+
+            for(let i = 0; i < length; ++i){
+                dest[i + offset] = this.dv.getBigUint64(this.cursor, this.littleEndian);
+                this.cursor += 8;
+            }
+
+            return dest;
+        }catch(e){
+            throw toStreamError(this, e, 'getNextBigUint64Array', cursor, length * 8);
+        }
+    }
+
+    /**
+     * Adds an array of numeric values as UINT64, advances cursor.
+     * Memory is copied in one block when the layout allows it.
+     * @param {ArrayLike<(number|bigint)>} array 
+     */
+    writeUint64Array(array){
+        const {cursor} = this,
+              n = array?.length || 0;
+
+        try{
+            this.ensureCapacity(n * 8, 'writeUint64Array');
+
+            if(!bulkWrite(this, BigUint64Array, array)){
+                for(let i = 0; i < n; ++i){
+                    this.dv.setBigUint64(this.cursor + i * 8, toBigInt(array[i]), this.littleEndian);
+                }
+            }
+
+            this.cursor += n * 8;
+        }catch(e){
+            throw toStreamError(this, e, 'writeUint64Array', cursor, n * 8);
+        }
+    }
+
+    /**
+     * Adds numeric or BigInt value(s) as INT64, advances cursor
+     * @param  {...(number|bigint)} val 
+     */
+    writeInt64(...val){
+        const {cursor} = this,
+              n = val?.length;
+
+        try{
+            this.ensureCapacity(n * 8, 'writeInt64');
+            for(let i = 0; i < n; ++i){
+                this.dv.setBigInt64(this.cursor, toBigInt(val[i]), this.littleEndian);
+                this.cursor += 8;
+            }
+        }catch(e){
+            throw toStreamError(this, e, 'writeInt64', cursor, n * 8);
+        }
+    }
+
+    /**
+     * Adds numeric or BigInt value(s) as INT64, advances cursor.
+     * Value is clamped to INT64 range
+     * @param  {...(number|bigint)} val 
+     */
+    writeInt64Clamped(...val){
+        const {cursor} = this,
+              n = val?.length;
+
+        try{
+            this.ensureCapacity(n * 8, 'writeInt64Clamped');
+            for(let i = 0; i < n; ++i){
+                this.dv.setBigInt64(this.cursor, clampBigInt(toBigInt(val[i]), INT64_MIN, INT64_MAX), this.littleEndian);
+                this.cursor += 8;
+            }
+        }catch(e){
+            throw toStreamError(this, e, 'writeInt64Clamped', cursor, n * 8);
+        }
+    }
+
+    /**
+     * Reads INT64 as BigInt, advances cursor
+     * @returns {bigint}
+     */
+    getNextBigInt64(){
+        const {cursor} = this;
+
+        try{
+            const val = this.dv.getBigInt64(this.cursor, this.littleEndian);
+            this.cursor += 8;
+
+            return val;
+        }catch(e){
+            throw toStreamError(this, e, 'getNextBigInt64', cursor, 8);
+        }
+    }
+
+    /**
+     * Reads INT64 as number, advances cursor.
+     * Throws if the value cannot be represented exactly as a number.
+     * @returns {number}
+     */
+    getNextInt64(){
+        const {cursor} = this;
+
+        try{
+            return toSafeNumber(this.getNextBigInt64());
+        }catch(e){
+            throw toStreamError(this, e, 'getNextInt64', cursor, 8);
+        }
+    }
+
+    /**
+     * Reads a series of INT64 values into a destination buffer.
+     * If a buffer is not provided, then new BigInt64Array will be created.
+     * @param {number} length number of values to read
+     * @param {ArrayLike<bigint>} [dest=null] destination buffer
+     * @param {number} [offset=0] write offset in destination buffer
+     * @returns 
+     */
+    getNextBigInt64Array(length, dest, offset){
+        const {cursor} = this;
+
+        try{
+            this.ensureAvailable(length * 8, 'getNextBigInt64Array');
+
+            dest = dest || new BigInt64Array(length);
+            offset = Math.floor(offset || 0);
+
+            if(bulkRead(this, BigInt64Array, length, dest, offset)){
+                this.cursor += length * 8;
+                return dest;
+            }
+
+            for(let i = 0; i < length; ++i){
+                dest[i + offset] = this.dv.getBigInt64(this.cursor, this.littleEndian);
+                this.cursor += 8;
+            }
+
+            return dest;
+        }catch(e){
+            throw toStreamError(this, e, 'getNextBigInt64Array', cursor, length * 8);
+        }
+    }
+
+    /**
+     * Adds an array of numeric values as INT64, advances cursor.
+     * Memory is copied in one block when the layout allows it.
+     * @param {ArrayLike<(number|bigint)>} array 
+     */
+    writeInt64Array(array){
+        const {cursor} = this,
+              n = array?.length || 0;
+
+        try{
+            this.ensureCapacity(n * 8, 'writeInt64Array');
+
+            if(!bulkWrite(this, BigInt64Array, array)){
+                for(let i = 0; i < n; ++i){
+                    this.dv.setBigInt64(this.cursor + i * 8, toBigInt(array[i]), this.littleEndian);
+                }
+            }
+
+            this.cursor += n * 8;
+        }catch(e){
+            throw toStreamError(this, e, 'writeInt64Array', cursor, n * 8);
+        }
+    }
+
+    /**
+     * Encodes a float between 0-1 as UINT8, advances cursor
+     * @param  {...number} val 
+     */
+    writeUNorm8(...val){
+        const {cursor} = this,
+              n = val?.length,
+              round = this.floorNormalized ? Math.floor : Math.round;
+
+        try{
+            this.ensureCapacity(n, 'writeUNorm8');
+            for(let i = 0; i < n; ++i){
+                this.dv.setUint8(this.cursor++, round(val[i] * 0xFF), this.littleEndian);
+            }
+        }catch(e){
+            throw toStreamError(this, e, 'writeUNorm8', cursor, n);
+        }
+    }
+
+    /**
+     * Encodes a float between 0-1 (clamped) as UINT8, advances cursor
+     * @param  {...number} val 
+     */
+    writeUNorm8Clamped(...val){
+        const {cursor} = this,
+              n = val?.length,
+              round = this.floorNormalized ? Math.floor : Math.round;
+
+        try{
+            this.ensureCapacity(n, 'writeUNorm8Clamped');
+            for(let i = 0; i < n; ++i){
+                this.dv.setUint8(this.cursor++, Math.min(0xFF, Math.max(0, round(val[i] * 0xFF))), this.littleEndian);
+            }
+        }catch(e){
+            throw toStreamError(this, e, 'writeUNorm8Clamped', cursor, n);
+        }
+    }
+
+    /**
+     * Reads float between 0-1 encoded as a UINT8, advances cursor
+     */
+    getNextUNorm8(){
+        const {cursor} = this;
+
+        try{
+            return this.dv.getUint8(this.cursor++, this.littleEndian) * BYTE_TO_NORM;
+
+        }catch(e){
+            throw toStreamError(this, e, 'getNextUNorm8', cursor, 1);
+        }
+    }
+
+    /**
+     * Reads a series of UNORM8 values into a destination buffer.
+     * If a buffer is not provided, then new Float32Array will be created.
+     * @param {number} length number of values to read
+     * @param {ArrayLike<number>} [dest=null] destination buffer
+     * @param {number} [offset=0] write offset in destination buffer
+     * @returns 
+     */
+    getNextUNorm8Array(length, dest, offset){
+        const {cursor} = this;
+
+        try{
+            this.ensureAvailable(length, 'getNextUNorm8Array');
+
+            dest = dest || new Float32Array(length);
+            offset = Math.floor(offset || 0);
+
+            for(let i = 0; i < length; ++i){
+                dest[i + offset] = this.dv.getUint8(this.cursor++, this.littleEndian) * BYTE_TO_NORM;
+            }
+
+            return dest;
+        }catch(e){
+            throw toStreamError(this, e, 'getNextUNorm8Array', cursor, length);
+        }
+    }
+
+    /**
+     * Adds an array of numeric values as UNORM8, advances cursor.
+     * @param {ArrayLike<number>} array 
+     */
+    writeUNorm8Array(array){
+        const {cursor} = this,
+              n = array?.length || 0,
+              round = this.floorNormalized ? Math.floor : Math.round;
+
+        try{
+            this.ensureCapacity(n, 'writeUNorm8Array');
+
+            for(let i = 0; i < n; ++i){
+                this.dv.setUint8(this.cursor + i, round(array[i] * 0xFF));
+            }
+
+            this.cursor += n;
+        }catch(e){
+            throw toStreamError(this, e, 'writeUNorm8Array', cursor, n);
+        }
+    }
+
+    /**
+     * Encodes a float between 0-1 as UINT16, advances cursor
+     * @param  {...number} val 
+     */
+    writeUNorm16(...val){
+        const {cursor} = this,
+              n = val?.length,
+              round = this.floorNormalized ? Math.floor : Math.round;
+
+        try{
+            this.ensureCapacity(n * 2, 'writeUNorm16');
+            for(let i = 0; i < n; ++i){
+                this.dv.setUint16(this.cursor, round(val[i] * 0xFFFF), this.littleEndian);
+                this.cursor += 2;
+            }
+        }catch(e){
+            throw toStreamError(this, e, 'writeUNorm16', cursor, n * 2);
+        }
+    }
+
+    /**
+     * Encodes a float between 0-1 (clamped) as UINT16, advances cursor
+     * @param  {...number} val 
+     */
+    writeUNorm16Clamped(...val){
+        const {cursor} = this,
+              n = val?.length,
+              round = this.floorNormalized ? Math.floor : Math.round;
+
+        try{
+            this.ensureCapacity(n * 2, 'writeUNorm16Clamped');
+            for(let i = 0; i < n; ++i){
+                this.dv.setUint16(this.cursor, Math.min(0xFFFF, Math.max(0, round(val[i] * 0xFFFF))), this.littleEndian);
+                this.cursor += 2;
+            }
+        }catch(e){
+            throw toStreamError(this, e, 'writeUNorm16Clamped', cursor, n * 2);
+        }
+    }
+
+    /**
+     * Reads float between 0-1 encoded as a UINT16, advances cursor
+     */
+    getNextUNorm16(){
+        const {cursor} = this;
+
+        try{
+            const val = this.dv.getUint16(this.cursor, this.littleEndian);
+            this.cursor += 2;
+
+            return val * SHORT_TO_NORM;
+        }catch(e){
+            throw toStreamError(this, e, 'getNextUNorm16', cursor, 2);
+        }
+    }
+
+    /**
+     * Reads a series of UNORM16 values into a destination buffer.
+     * If a buffer is not provided, then new Float32Array will be created.
+     * @param {number} length number of values to read
+     * @param {ArrayLike<number>} [dest=null] destination buffer
+     * @param {number} [offset=0] write offset in destination buffer
+     * @returns 
+     */
+    getNextUNorm16Array(length, dest, offset){
+        const {cursor} = this;
+
+        try{
+            this.ensureAvailable(length * 2, 'getNextUNorm16Array');
+
+            dest = dest || new Float32Array(length);
+            offset = Math.floor(offset || 0);
+
+            for(let i = 0; i < length; ++i){
+                dest[i + offset] = this.dv.getUint16(this.cursor, this.littleEndian) * SHORT_TO_NORM;
+                this.cursor += 2;
+            }
+
+            return dest;
+        }catch(e){
+            throw toStreamError(this, e, 'getNextUNorm16Array', cursor, length * 2);
+        }
+    }
+
+    /**
+     * Adds an array of numeric values as UNORM16, advances cursor.
+     * @param {ArrayLike<number>} array 
+     */
+    writeUNorm16Array(array){
+        const {cursor} = this,
+              n = array?.length || 0,
+              round = this.floorNormalized ? Math.floor : Math.round;
+
+        try{
+            this.ensureCapacity(n * 2, 'writeUNorm16Array');
+
+            for(let i = 0; i < n; ++i){
+                this.dv.setUint16(this.cursor + i * 2, round(array[i] * 0xFFFF), this.littleEndian);
+            }
+
+            this.cursor += n * 2;
+        }catch(e){
+            throw toStreamError(this, e, 'writeUNorm16Array', cursor, n * 2);
+        }
+    }
+
+    /**
+     * Encodes a float between 0-1 as UINT32, advances cursor
+     * @param  {...number} val 
+     */
+    writeUNorm32(...val){
+        const {cursor} = this,
+              n = val?.length,
+              round = this.floorNormalized ? Math.floor : Math.round;
+
+        try{
+            this.ensureCapacity(n * 4, 'writeUNorm32');
+            for(let i = 0; i < n; ++i){
+                this.dv.setUint32(this.cursor, round(val[i] * 0xFFFFFFFF), this.littleEndian);
+                this.cursor += 4;
+            }
+        }catch(e){
+            throw toStreamError(this, e, 'writeUNorm32', cursor, n * 4);
+        }
+    }
+
+    /**
+     * Encodes a float between 0-1 (clamped) as UINT32, advances cursor
+     * @param  {...number} val 
+     */
+    writeUNorm32Clamped(...val){
+        const {cursor} = this,
+              n = val?.length,
+              round = this.floorNormalized ? Math.floor : Math.round;
+
+        try{
+            this.ensureCapacity(n * 4, 'writeUNorm32Clamped');
+            for(let i = 0; i < n; ++i){
+                this.dv.setUint32(this.cursor, Math.min(0xFFFFFFFF, Math.max(0, round(val[i] * 0xFFFFFFFF))), this.littleEndian);
+                this.cursor += 4;
+            }
+        }catch(e){
+            throw toStreamError(this, e, 'writeUNorm32Clamped', cursor, n * 4);
+        }
+    }
+
+    /**
+     * Reads float between 0-1 encoded as a UINT32, advances cursor
+     */
+    getNextUNorm32(){
+        const {cursor} = this;
+
+        try{
+            const val = this.dv.getUint32(this.cursor, this.littleEndian);
+            this.cursor += 4;
+
+            return val * INT_TO_NORM;
+        }catch(e){
+            throw toStreamError(this, e, 'getNextUNorm32', cursor, 4);
+        }
+    }
+
+    /**
+     * Reads a series of UNORM32 values into a destination buffer.
+     * If a buffer is not provided, then new Float64Array will be created.
+     * @param {number} length number of values to read
+     * @param {ArrayLike<number>} [dest=null] destination buffer
+     * @param {number} [offset=0] write offset in destination buffer
+     * @returns 
+     */
+    getNextUNorm32Array(length, dest, offset){
+        const {cursor} = this;
+
+        try{
+            this.ensureAvailable(length * 4, 'getNextUNorm32Array');
+
+            dest = dest || new Float64Array(length);
+            offset = Math.floor(offset || 0);
+
+            for(let i = 0; i < length; ++i){
+                dest[i + offset] = this.dv.getUint32(this.cursor, this.littleEndian) * INT_TO_NORM;
+                this.cursor += 4;
+            }
+
+            return dest;
+        }catch(e){
+            throw toStreamError(this, e, 'getNextUNorm32Array', cursor, length * 4);
+        }
+    }
+
+    /**
+     * Adds an array of numeric values as UNORM32, advances cursor.
+     * @param {ArrayLike<number>} array 
+     */
+    writeUNorm32Array(array){
+        const {cursor} = this,
+              n = array?.length || 0,
+              round = this.floorNormalized ? Math.floor : Math.round;
+
+        try{
+            this.ensureCapacity(n * 4, 'writeUNorm32Array');
+
+            for(let i = 0; i < n; ++i){
+                this.dv.setUint32(this.cursor + i * 4, round(array[i] * 0xFFFFFFFF), this.littleEndian);
+            }
+
+            this.cursor += n * 4;
+        }catch(e){
+            throw toStreamError(this, e, 'writeUNorm32Array', cursor, n * 4);
+        }
+    }
+
+    /**
+     * Encodes a float between -1 and 1 as INT8, advances cursor
+     * @param  {...number} val 
+     */
+    writeSNorm8(...val){
+        const {cursor} = this,
+              n = val?.length;
+
+        try{
+            this.ensureCapacity(n, 'writeSNorm8');
+            for(let i = 0; i < n; ++i){
+                this.dv.setInt8(this.cursor++, roundHalfAwayFromZero(val[i] * 0x7F));
+            }
+        }catch(e){
+            throw toStreamError(this, e, 'writeSNorm8', cursor, n);
+        }
+    }
+
+    /**
+     * Encodes a float between -1 and 1 (clamped) as INT8, advances cursor
+     * @param  {...number} val 
+     */
+    writeSNorm8Clamped(...val){
+        const {cursor} = this,
+              n = val?.length;
+
+        try{
+            this.ensureCapacity(n, 'writeSNorm8Clamped');
+            for(let i = 0; i < n; ++i){
+                this.dv.setInt8(this.cursor++, roundHalfAwayFromZero(Math.min(1, Math.max(-1, val[i])) * 0x7F));
+            }
+        }catch(e){
+            throw toStreamError(this, e, 'writeSNorm8Clamped', cursor, n);
+        }
+    }
+
+    /**
+     * Reads float between -1 and 1 encoded as an INT8, advances cursor.
+     * Both -128 and -127 decode to -1
+     */
+    getNextSNorm8(){
+        const {cursor} = this;
+
+        try{
+            return Math.max(-1, this.dv.getInt8(this.cursor++) * SBYTE_TO_NORM);
+        }catch(e){
+            throw toStreamError(this, e, 'getNextSNorm8', cursor, 1);
+        }
+    }
+
+    /**
+     * Reads a series of SNORM8 values into a destination buffer.
+     * If a buffer is not provided, then new Float32Array will be created.
+     * @param {number} length number of values to read
+     * @param {ArrayLike<number>} [dest=null] destination buffer
+     * @param {number} [offset=0] write offset in destination buffer
+     * @returns 
+     */
+    getNextSNorm8Array(length, dest, offset){
+        const {cursor} = this;
+
+        try{
+            this.ensureAvailable(length, 'getNextSNorm8Array');
+
+            dest = dest || new Float32Array(length);
+            offset = Math.floor(offset || 0);
+
+            for(let i = 0; i < length; ++i){
+                dest[i + offset] = Math.max(-1, this.dv.getInt8(this.cursor++) * SBYTE_TO_NORM);
+            }
+
+            return dest;
+        }catch(e){
+            throw toStreamError(this, e, 'getNextSNorm8Array', cursor, length);
+        }
+    }
+
+    /**
+     * Adds an array of numeric values as SNORM8, advances cursor.
+     * @param {ArrayLike<number>} array 
+     */
+    writeSNorm8Array(array){
+        const {cursor} = this,
+              n = array?.length || 0;
+
+        try{
+            this.ensureCapacity(n, 'writeSNorm8Array');
+
+            for(let i = 0; i < n; ++i){
+                this.dv.setInt8(this.cursor + i, roundHalfAwayFromZero(array[i] * 0x7F));
+            }
+
+            this.cursor += n;
+        }catch(e){
+            throw toStreamError(this, e, 'writeSNorm8Array', cursor, n);
+        }
+    }
+
+    /**
+     * Encodes a float between -1 and 1 as INT16, advances cursor
+     * @param  {...number} val 
+     */
+    writeSNorm16(...val){
+        const {cursor} = this,
+              n = val?.length;
+
+        try{
+            this.ensureCapacity(n * 2, 'writeSNorm16');
+            for(let i = 0; i < n; ++i){
+                this.dv.setInt16(this.cursor, roundHalfAwayFromZero(val[i] * 0x7FFF), this.littleEndian);
+                this.cursor += 2;
+            }
+        }catch(e){
+            throw toStreamError(this, e, 'writeSNorm16', cursor, n * 2);
+        }
+    }
+
+    /**
+     * Encodes a float between -1 and 1 (clamped) as INT16, advances cursor
+     * @param  {...number} val 
+     */
+    writeSNorm16Clamped(...val){
+        const {cursor} = this,
+              n = val?.length;
+
+        try{
+            this.ensureCapacity(n * 2, 'writeSNorm16Clamped');
+            for(let i = 0; i < n; ++i){
+                this.dv.setInt16(this.cursor, roundHalfAwayFromZero(Math.min(1, Math.max(-1, val[i])) * 0x7FFF), this.littleEndian);
+                this.cursor += 2;
+            }
+        }catch(e){
+            throw toStreamError(this, e, 'writeSNorm16Clamped', cursor, n * 2);
+        }
+    }
+
+    /**
+     * Reads float between -1 and 1 encoded as an INT16, advances cursor.
+     * Both -32768 and -32767 decode to -1
+     */
+    getNextSNorm16(){
+        const {cursor} = this;
+
+        try{
+            const val = this.dv.getInt16(this.cursor, this.littleEndian);
+            this.cursor += 2;
+
+            return Math.max(-1, val * SSHORT_TO_NORM);
+        }catch(e){
+            throw toStreamError(this, e, 'getNextSNorm16', cursor, 2);
+        }
+    }
+
+    /**
+     * Reads a series of SNORM16 values into a destination buffer.
+     * If a buffer is not provided, then new Float32Array will be created.
+     * @param {number} length number of values to read
+     * @param {ArrayLike<number>} [dest=null] destination buffer
+     * @param {number} [offset=0] write offset in destination buffer
+     * @returns 
+     */
+    getNextSNorm16Array(length, dest, offset){
+        const {cursor} = this;
+
+        try{
+            this.ensureAvailable(length * 2, 'getNextSNorm16Array');
+
+            dest = dest || new Float32Array(length);
+            offset = Math.floor(offset || 0);
+
+            for(let i = 0; i < length; ++i){
+                dest[i + offset] = Math.max(-1, this.dv.getInt16(this.cursor, this.littleEndian) * SSHORT_TO_NORM);
+                this.cursor += 2;
+            }
+
+            return dest;
+        }catch(e){
+            throw toStreamError(this, e, 'getNextSNorm16Array', cursor, length * 2);
+        }
+    }
+
+    /**
+     * Adds an array of numeric values as SNORM16, advances cursor.
+     * @param {ArrayLike<number>} array 
+     */
+    writeSNorm16Array(array){
+        const {cursor} = this,
+              n = array?.length || 0;
+
+        try{
+            this.ensureCapacity(n * 2, 'writeSNorm16Array');
+
+            for(let i = 0; i < n; ++i){
+                this.dv.setInt16(this.cursor + i * 2, roundHalfAwayFromZero(array[i] * 0x7FFF), this.littleEndian);
+            }
+
+            this.cursor += n * 2;
+        }catch(e){
+            throw toStreamError(this, e, 'writeSNorm16Array', cursor, n * 2);
+        }
+    }
+
+    /**
+     * Adds numeric value(s) as FLOAT16 (IEEE 754 half precision), advances cursor
+     * @param  {...number} val 
+     */
+    writeFloat16(...val){
+        const {cursor} = this,
+              n = val?.length;
+
+        try{
+            this.ensureCapacity(n * 2, 'writeFloat16');
+            for(let i = 0; i < n; ++i){
+                if(HAS_NATIVE_FLOAT16){
+                    this.dv.setFloat16(this.cursor, val[i], this.littleEndian);
+                }else{
+                    this.dv.setUint16(this.cursor, toHalfBits(val[i]), this.littleEndian);
+                }
+                this.cursor += 2;
+            }
+        }catch(e){
+            throw toStreamError(this, e, 'writeFloat16', cursor, n * 2);
+        }
+    }
+
+    /**
+     * Reads FLOAT16 as number, advances cursor
+     */
+    getNextFloat16(){
+        const {cursor} = this;
+
+        try{
+            const val = HAS_NATIVE_FLOAT16
+                ? this.dv.getFloat16(this.cursor, this.littleEndian)
+                : fromHalfBits(this.dv.getUint16(this.cursor, this.littleEndian));
+            this.cursor += 2;
+
+            return val;
+        }catch(e){
+            throw toStreamError(this, e, 'getNextFloat16', cursor, 2);
+        }
+    }
+
+    /**
+     * Reads a series of FLOAT16 values into a destination buffer.
+     * If a buffer is not provided, then new Float32Array will be created.
+     * @param {number} length number of values to read
+     * @param {ArrayLike<number>} [dest=null] destination buffer
+     * @param {number} [offset=0] write offset in destination buffer
+     * @returns 
+     */
+    getNextFloat16Array(length, dest, offset){
+        const {cursor} = this;
+
+        try{
+            this.ensureAvailable(length * 2, 'getNextFloat16Array');
+
+            dest = dest || new Float32Array(length);
+            offset = Math.floor(offset || 0);
+
+            for(let i = 0; i < length; ++i){
+                dest[i + offset] = this.getNextFloat16();
+            }
+
+            return dest;
+        }catch(e){
+            throw toStreamError(this, e, 'getNextFloat16Array', cursor, length * 2);
+        }
+    }
+
+    /**
+     * Adds an array of numeric values as FLOAT16, advances cursor.
+     * @param {ArrayLike<number>} array 
+     */
+    writeFloat16Array(array){
+        const {cursor} = this,
+              n = array?.length || 0;
+
+        try{
+            this.ensureCapacity(n * 2, 'writeFloat16Array');
+
+            for(let i = 0; i < n; ++i){
+                if(HAS_NATIVE_FLOAT16){
+                    this.dv.setFloat16(this.cursor + i * 2, array[i], this.littleEndian);
+                }else{
+                    this.dv.setUint16(this.cursor + i * 2, toHalfBits(array[i]), this.littleEndian);
+                }
+            }
+
+            this.cursor += n * 2;
+        }catch(e){
+            throw toStreamError(this, e, 'writeFloat16Array', cursor, n * 2);
+        }
+    }
+
+    /**
+     * Adds numeric value(s) as FLOAT32, advances cursor
+     * @param  {...number} val 
+     */
+    writeFloat32(...val){
+        const {cursor} = this,
+              n = val?.length;
+
+        try{
+            this.ensureCapacity(n * 4, 'writeFloat32');
+            for(let i = 0; i < n; ++i){
+                this.dv.setFloat32(this.cursor, val[i], this.littleEndian);
+                this.cursor += 4;
+            }
+        }catch(e){
+            throw toStreamError(this, e, 'writeFloat32', cursor, n * 4);
+        }
+    }
+
+    /**
+     * Reads FLOAT32 as number, advances cursor
+     */
+    getNextFloat32(){
+        const {cursor} = this;
+
+        try{
+            const val = this.dv.getFloat32(this.cursor, this.littleEndian);
+            this.cursor += 4;
+
+            return val;
+        }catch(e){
+            throw toStreamError(this, e, 'getNextFloat32', cursor, 4);
+        }
+    }
+
+    /**
+     * Reads a series of FLOAT32 values into a destination buffer.
+     * If a buffer is not provided, then new Float32Array will be created.
+     * @param {number} length number of values to read
+     * @param {ArrayLike<number>} [dest=null] destination buffer
+     * @param {number} [offset=0] write offset in destination buffer
+     * @returns 
+     */
+    getNextFloat32Array(length, dest, offset){
+        const {cursor} = this;
+
+        try{
+            this.ensureAvailable(length * 4, 'getNextFloat32Array');
+
+            dest = dest || new Float32Array(length);
+            offset = Math.floor(offset || 0);
+
+            if(bulkRead(this, Float32Array, length, dest, offset)){
+                this.cursor += length * 4;
+                return dest;
+            }
+
+            for(let i = 0; i < length; ++i){
+                dest[i + offset] = this.dv.getFloat32(this.cursor, this.littleEndian);
+                this.cursor += 4;
+            }
+
+            return dest;
+        }catch(e){
+            throw toStreamError(this, e, 'getNextFloat32Array', cursor, length * 4);
+        }
+    }
+
+    /**
+     * Adds an array of numeric values as FLOAT32, advances cursor.
+     * Memory is copied in one block when the layout allows it.
+     * @param {ArrayLike<number>} array 
+     */
+    writeFloat32Array(array){
+        const {cursor} = this,
+              n = array?.length || 0;
+
+        try{
+            this.ensureCapacity(n * 4, 'writeFloat32Array');
+
+            if(!bulkWrite(this, Float32Array, array)){
+                for(let i = 0; i < n; ++i){
+                    this.dv.setFloat32(this.cursor + i * 4, array[i], this.littleEndian);
+                }
+            }
+
+            this.cursor += n * 4;
+        }catch(e){
+            throw toStreamError(this, e, 'writeFloat32Array', cursor, n * 4);
+        }
+    }
+
+    /**
+     * Adds numeric value(s) as FLOAT64, advances cursor
+     * @param  {...number} val 
+     */
+    writeFloat64(...val){
+        const {cursor} = this,
+              n = val?.length;
+
+        try{
+            this.ensureCapacity(n * 8, 'writeFloat64');
+            for(let i = 0; i < n; ++i){
+                this.dv.setFloat64(this.cursor, val[i], this.littleEndian);
+                this.cursor += 8;
+            }
+        }catch(e){
+            throw toStreamError(this, e, 'writeFloat64', cursor, n * 8);
+        }
+    }
+
+    /**
+     * Reads FLOAT32 as number, advances cursor
+     */
+    getNextFloat64(){
+        const {cursor} = this;
+
+        try{
+            const val = this.dv.getFloat64(this.cursor, this.littleEndian);
+            this.cursor += 8;
+
+            return val;
+        }catch(e){
+            throw toStreamError(this, e, 'getNextFloat64', cursor, 8);
+        }
+    }
+
+    /**
+     * Reads a series of FLOAT64 values into a destination buffer.
+     * If a buffer is not provided, then new Float64Array will be created.
+     * @param {number} length number of values to read
+     * @param {ArrayLike<number>} [dest=null] destination buffer
+     * @param {number} [offset=0] write offset in destination buffer
+     * @returns 
+     */
+    getNextFloat64Array(length, dest, offset){
+        const {cursor} = this;
+
+        try{
+            this.ensureAvailable(length * 8, 'getNextFloat64Array');
+
+            dest = dest || new Float64Array(length);
+            offset = Math.floor(offset || 0);
+
+            if(bulkRead(this, Float64Array, length, dest, offset)){
+                this.cursor += length * 8;
+                return dest;
+            }
+
+            for(let i = 0; i < length; ++i){
+                dest[i + offset] = this.dv.getFloat64(this.cursor, this.littleEndian);
+                this.cursor += 8;
+            }
+
+            return dest;
+        }catch(e){
+            throw toStreamError(this, e, 'getNextFloat64Array', cursor, length * 8);
+        }
+    }
+
+    /**
+     * Adds an array of numeric values as FLOAT64, advances cursor.
+     * Memory is copied in one block when the layout allows it.
+     * @param {ArrayLike<number>} array 
+     */
+    writeFloat64Array(array){
+        const {cursor} = this,
+              n = array?.length || 0;
+
+        try{
+            this.ensureCapacity(n * 8, 'writeFloat64Array');
+
+            if(!bulkWrite(this, Float64Array, array)){
+                for(let i = 0; i < n; ++i){
+                    this.dv.setFloat64(this.cursor + i * 8, array[i], this.littleEndian);
+                }
+            }
+
+            this.cursor += n * 8;
+        }catch(e){
+            throw toStreamError(this, e, 'writeFloat64Array', cursor, n * 8);
+        }
+    }
+
+    /**
+     * Encodes a string as a series of single-byte characters with a null-terminator.
+     * These values are limited to the ASCII character range and results may be unpredictable
+     * if the string contains multi-byte characters.
+     * 
+     * The cursor is advanced by the length of the string + 1.
+     * @param {string} str 
+     * @returns {number} number of bytes written, including the terminator
+     */
+    writeASCIIString(str){
+        const {cursor} = this,
+              len = +str?.length || 0;
+
+        try{
+            this.ensureCapacity(len + 1, 'writeASCIIString');
+
+            for(let i = 0; i < len; ++i){
+                this.dv.setUint8(this.cursor++, str.charCodeAt(i));
+            }
+
+            this.dv.setUint8(this.cursor++, 0x00);
+
+            return len + 1;
+        }catch(e){
+            throw toStreamError(this, e, 'writeASCIIString', cursor, len + 1);
+        }
+    }
+
+    /**
+     * Reads a null-terminated string of UINT8 characters, advances cursor
+     * @returns {string}
+     */
+    getNextASCIIString(){
+        const {size} = this,
+              start = this.cursor,
+              end = findTerminator(this.dv, start, size, 1);
+
+        checkTerminator(this, 'getNextASCIIString', start, end, 1);
+
+        const val = decodeString(byteView(this, start, end - start), 'latin1');
+
+        this.cursor = Math.min(size, end + 1);
+
+        return val;
+    }
+
+    /**
+     * Encodes a string as UTF-8, optionally followed by a null-terminator, advances cursor
+     * @param {string} str 
+     * @param {boolean} [nullTerminated=true] whether to append a null-terminator
+     * @returns {number} number of bytes written, including the terminator
+     */
+    writeUTF8String(str, nullTerminated = true){
+        const {cursor} = this,
+              bytes = UTF8_ENCODER.encode(str ?? ''),
+              byteLength = bytes.length + (nullTerminated ? 1 : 0);
+
+        try{
+            this.ensureCapacity(byteLength, 'writeUTF8String');
+            byteView(this, cursor, bytes.length).set(bytes);
+            this.cursor += bytes.length;
+
+            if(nullTerminated)
+                this.dv.setUint8(this.cursor++, 0x00);
+
+            return byteLength;
+        }catch(e){
+            throw toStreamError(this, e, 'writeUTF8String', cursor, byteLength);
+        }
+    }
+
+    /**
+     * Reads a UTF-8 string, advances cursor.
+     * If byteLength is provided, exactly that many bytes are decoded.
+     * Otherwise the string is read up to (and past) the next null-terminator.
+     * @param {number} [byteLength] number of bytes to decode
+     * @returns {string}
+     */
+    getNextUTF8String(byteLength){
+        const {cursor} = this;
+
+        try{
+            const start = this.cursor;
+            let end, next;
+
+            if(byteLength === undefined){
+                end = findTerminator(this.dv, start, this.size, 1);
+                next = Math.min(this.size, end + 1);
+                checkTerminator(this, 'getNextUTF8String', start, end, 1);
+            }else{
+                end = next = start + byteLength;
+            }
+
+            const val = UTF8_DECODER.decode(byteView(this, start, end - start));
+            this.cursor = next;
+
+            return val;
+        }catch(e){
+            throw toStreamError(this, e, 'getNextUTF8String', cursor, byteLength ?? 0);
+        }
+    }
+
+    /**
+     * Encodes a string as UTF-16, optionally followed by a null-terminator, advances cursor.
+     * Code units are written in the byte order of the stream (UTF-16LE or UTF-16BE).
+     * @param {string} str 
+     * @param {boolean} [nullTerminated=true] whether to append a null-terminator
+     * @returns {number} number of bytes written, including the terminator
+     */
+    writeUTF16String(str, nullTerminated = true){
+        const {cursor} = this,
+              len = +str?.length || 0,
+              byteLength = (len + (nullTerminated ? 1 : 0)) * 2;
+
+        try{
+            this.ensureCapacity(byteLength, 'writeUTF16String');
+
+            for(let i = 0; i < len; ++i){
+                this.dv.setUint16(this.cursor, str.charCodeAt(i), this.littleEndian);
+                this.cursor += 2;
+            }
+
+            if(nullTerminated){
+                this.dv.setUint16(this.cursor, 0x0000);
+                this.cursor += 2;
+            }
+
+            return byteLength;
+        }catch(e){
+            throw toStreamError(this, e, 'writeUTF16String', cursor, byteLength);
+        }
+    }
+
+    /**
+     * Reads a UTF-16 string in the byte order of the stream, advances cursor.
+     * If byteLength is provided, exactly that many bytes are decoded.
+     * Otherwise the string is read up to (and past) the next null-terminator.
+     * @param {number} [byteLength] number of bytes to decode
+     * @returns {string}
+     */
+    getNextUTF16String(byteLength){
+        const {cursor} = this;
+
+        try{
+            const start = this.cursor;
+            let end, next;
+
+            if(byteLength === undefined){
+                end = findTerminator(this.dv, start, this.size, 2);
+                next = Math.min(this.size, end + 2);
+                checkTerminator(this, 'getNextUTF16String', start, end, 2);
+            }else{
+                end = next = start + byteLength;
+            }
+
+            const decoder = this.littleEndian ? UTF16LE_DECODER : UTF16BE_DECODER,
+                  val = decoder.decode(byteView(this, start, end - start));
+            this.cursor = next;
+
+            return val;
+        }catch(e){
+            throw toStreamError(this, e, 'getNextUTF16String', cursor, byteLength ?? 0);
+        }
+    }
+
+    /**
+     * Writes the lowest `count` bits of a value at the bit cursor, advances bit cursor.
+     * Negative values are written in two's complement. Starting a new byte clears it,
+     * so any bits left over after alignToByte() are zero.
+     * @param {number} value 
+     * @param {number} count number of bits to write (1-32)
+     */
+    writeBits(value, count){
+        checkBitCount(count);
+
+        const {cursor, bitOffset} = this;
+
+        try{
+            const msbFirst = this.bitOrder !== 'lsb';
+            let remaining = count;
+
+            this.ensureCapacity(Math.ceil((bitOffset + count) / 8), 'writeBits');
+
+            while(remaining > 0){
+                const free = 8 - this.bitOffset,
+                      n = Math.min(free, remaining),
+                      mask = (1 << n) - 1,
+                      shift = msbFirst ? free - n : this.bitOffset,
+                      bits = (value >>> (msbFirst ? remaining - n : count - remaining)) & mask,
+                      byte = this.bitOffset ? this.dv.getUint8(this.cursor) & ~(mask << shift) : 0;
+
+                this.dv.setUint8(this.cursor, byte | (bits << shift));
+
+                remaining -= n;
+                this.bitOffset += n;
+
+                if(this.bitOffset === 8){
+                    this.bitOffset = 0;
+                    ++this.cursor;
+                }
+            }
+        }catch(e){
+            this.bitOffset = bitOffset;
+            throw toStreamError(this, e, 'writeBits', cursor, Math.ceil((bitOffset + count) / 8));
+        }
+    }
+
+    /**
+     * Reads `count` bits at the bit cursor as an unsigned number, advances bit cursor
+     * @param {number} count number of bits to read (1-32)
+     * @returns {number}
+     */
+    getNextBits(count){
+        checkBitCount(count);
+
+        const {cursor, bitOffset} = this;
+
+        try{
+            const msbFirst = this.bitOrder !== 'lsb';
+            let remaining = count,
+                val = 0;
+
+            while(remaining > 0){
+                const free = 8 - this.bitOffset,
+                      n = Math.min(free, remaining),
+                      shift = msbFirst ? free - n : this.bitOffset,
+                      bits = (this.dv.getUint8(this.cursor) >>> shift) & ((1 << n) - 1);
+
+                if(msbFirst){
+                    val = val * (1 << n) + bits;
+                }else{
+                    val += bits * 2 ** (count - remaining);
+                }
+
+                remaining -= n;
+                this.bitOffset += n;
+
+                if(this.bitOffset === 8){
+                    this.bitOffset = 0;
+                    ++this.cursor;
+                }
+            }
+
+            return val;
+        }catch(e){
+            this.bitOffset = bitOffset;
+            throw toStreamError(this, e, 'getNextBits', cursor, Math.ceil((bitOffset + count) / 8));
+        }
+    }
+
+    /**
+     * Reads `count` bits at the bit cursor as a two's complement signed number, advances bit cursor
+     * @param {number} count number of bits to read (1-32)
+     * @returns {number}
+     */
+    getNextSignedBits(count){
+        const val = this.getNextBits(count),
+              range = 2 ** count;
+
+        return val >= range / 2 ? val - range : val;
+    }
+
+    /**
+     * Moves the cursor to the next byte boundary if a byte has been partially
+     * read or written. Must be called before byte-aligned reads and writes.
+     */
+    alignToByte(){
+        if(this.bitOffset){
+            this.bitOffset = 0;
+            ++this.cursor;
+        }
+    }
+
+    /**
+     * Writes raw bytes, advances cursor
+     * @param {Uint8Array} bytes 
+     */
+    writeBytes(bytes){
+        const {cursor} = this;
+
+        try{
+            this.ensureCapacity(bytes.length, 'writeBytes');
+            byteView(this, this.cursor, bytes.length).set(bytes);
+            this.cursor += bytes.length;
+        }catch(e){
+            throw toStreamError(this, e, 'writeBytes', cursor, bytes.length);
+        }
+    }
+
+    /**
+     * Encodes an integer as an unsigned LEB128 variable-length integer, advances cursor
+     * @param {(number|bigint)} val 
+     * @returns {number} number of bytes written
+     */
+    writeVarUint(val){
+        return writeLEB128(this, toVarintBigInt(val, 0n, UINT64_MAX), false);
+    }
+
+    /**
+     * Reads an unsigned LEB128 variable-length integer as number, advances cursor.
+     * Throws if the value cannot be represented exactly as a number.
+     * @returns {number}
+     */
+    getNextVarUint(){
+        const byte = this.cursor < this.size ? this.dv.getUint8(this.cursor) : 0x80;
+
+        // Single byte fast path, the general path reports reads past the end
+        if(byte < 0x80){
+            ++this.cursor;
+            return byte;
+        }
+
+        return readLEB128(this, false, 'getNextVarUint', toSafeNumber);
+    }
+
+    /**
+     * Reads an unsigned LEB128 variable-length integer as BigInt, advances cursor
+     * @returns {bigint}
+     */
+    getNextBigVarUint(){
+        return readLEB128(this, false, 'getNextBigVarUint');
+    }
+
+    /**
+     * Encodes an integer as a signed LEB128 variable-length integer, advances cursor
+     * @param {(number|bigint)} val 
+     * @returns {number} number of bytes written
+     */
+    writeVarInt(val){
+        return writeLEB128(this, toVarintBigInt(val, INT64_MIN, INT64_MAX), true);
+    }
+
+    /**
+     * Reads a signed LEB128 variable-length integer as number, advances cursor.
+     * Throws if the value cannot be represented exactly as a number.
+     * @returns {number}
+     */
+    getNextVarInt(){
+        const byte = this.cursor < this.size ? this.dv.getUint8(this.cursor) : 0x80;
+
+        // Single byte fast path, the general path reports reads past the end
+        if(byte < 0x80){
+            ++this.cursor;
+            return (byte & 0x40) ? byte - 0x80 : byte;
+        }
+
+        return readLEB128(this, true, 'getNextVarInt', toSafeNumber);
+    }
+
+    /**
+     * Reads a signed LEB128 variable-length integer as BigInt, advances cursor
+     * @returns {bigint}
+     */
+    getNextBigVarInt(){
+        return readLEB128(this, true, 'getNextBigVarInt');
+    }
+
+    /**
+     * Encodes a signed integer with ZigZag encoding as an unsigned LEB128
+     * variable-length integer, advances cursor
+     * @param {(number|bigint)} val 
+     * @returns {number} number of bytes written
+     */
+    writeZigZagVarInt(val){
+        val = toVarintBigInt(val, INT64_MIN, INT64_MAX);
+        return writeLEB128(this, val < 0n ? (-val << 1n) - 1n : val << 1n, false);
+    }
+
+    /**
+     * Reads a ZigZag encoded variable-length integer as number, advances cursor.
+     * Throws if the value cannot be represented exactly as a number.
+     * @returns {number}
+     */
+    getNextZigZagVarInt(){
+        return readLEB128(this, false, 'getNextZigZagVarInt', (val) => toSafeNumber(fromZigZag(val)));
+    }
+
+    /**
+     * Reads a ZigZag encoded variable-length integer as BigInt, advances cursor
+     * @returns {bigint}
+     */
+    getNextBigZigZagVarInt(){
+        return readLEB128(this, false, 'getNextBigZigZagVarInt', fromZigZag);
+    }
+
+    /**
+     * Encodes a string preceded by its byte length, advances cursor
+     * @param {string} str 
+     * @param {('uint8'|'uint16'|'uint32'|'varint')} [prefixType='uint16'] type of the length prefix
+     * @param {('ascii'|'latin1'|'utf8')} [encoding='utf8'] character encoding
+     * @returns {number} number of bytes written, including the prefix
+     */
+    writeLengthPrefixedString(str, prefixType = 'uint16', encoding = 'utf8'){
+        const {cursor} = this,
+              bytes = encodeString(str, encoding),
+              byteCount = lengthPrefixByteLength(prefixType, bytes.length) + bytes.length;
+
+        try{
+            this.ensureCapacity(byteCount, 'writeLengthPrefixedString');
+
+            if(cursor + byteCount > this.size)
+                throw new StreamOverflowError('writeLengthPrefixedString', cursor, byteCount, this.size);
+
+            writeLengthPrefix(this, prefixType, bytes.length);
+            this.writeBytes(bytes);
+
+            return byteCount;
+        }catch(e){
+            throw toStreamError(this, e, 'writeLengthPrefixedString', cursor, byteCount);
+        }
+    }
+
+    /**
+     * Reads a string preceded by its byte length, advances cursor
+     * @param {('uint8'|'uint16'|'uint32'|'varint')} [prefixType='uint16'] type of the length prefix
+     * @param {('ascii'|'latin1'|'utf8')} [encoding='utf8'] character encoding
+     * @returns {string}
+     */
+    getNextLengthPrefixedString(prefixType = 'uint16', encoding = 'utf8'){
+        const {cursor} = this;
+        let byteLength = 0;
+
+        try{
+            byteLength = getNextLengthPrefix(this, prefixType);
+
+            const val = decodeString(byteView(this, this.cursor, byteLength), encoding);
+            this.cursor += byteLength;
+
+            return val;
+        }catch(e){
+            throw toStreamError(this, e, 'getNextLengthPrefixedString', cursor, this.cursor - cursor + byteLength);
+        }
+    }
+
+    /**
+     * Encodes a string into a fixed-width field, advances cursor by exactly byteWidth.
+     * Strings that are too long are truncated without splitting a multi-byte character,
+     * shorter strings are padded with padByte.
+     * @param {string} str 
+     * @param {number} byteWidth width of the field in bytes
+     * @param {('ascii'|'latin1'|'utf8')} [encoding='utf8'] character encoding
+     * @param {number} [padByte=0x00] byte used for padding, typically 0x00 or 0x20 (space)
+     */
+    writeFixedString(str, byteWidth, encoding = 'utf8', padByte = 0x00){
+        const {cursor} = this;
+
+        try{
+            const bytes = encodeString(str, encoding);
+            let len = bytes.length;
+
+            if(len > byteWidth){
+                len = byteWidth;
+
+                // Back up to the start of a character if the cut lands on a UTF-8 continuation byte
+                if(encoding === 'utf8')
+                    while(len > 0 && (bytes[len] & 0xC0) === 0x80) --len;
+            }
+
+            this.ensureCapacity(byteWidth, 'writeFixedString');
+
+            const field = byteView(this, this.cursor, byteWidth);
+            field.set(bytes.subarray(0, len));
+            field.fill(padByte, len);
+
+            this.cursor += byteWidth;
+        }catch(e){
+            throw toStreamError(this, e, 'writeFixedString', cursor, byteWidth);
+        }
+    }
+
+    /**
+     * Reads a string from a fixed-width field, advances cursor by exactly byteWidth.
+     * Zero-padded fields end at the first null byte, space-padded fields have trailing spaces removed.
+     * @param {number} byteWidth width of the field in bytes
+     * @param {('ascii'|'latin1'|'utf8')} [encoding='utf8'] character encoding
+     * @param {number} [padByte=0x00] byte used for padding, typically 0x00 or 0x20 (space)
+     * @returns {string}
+     */
+    getNextFixedString(byteWidth, encoding = 'utf8', padByte = 0x00){
+        const {cursor} = this;
+
+        try{
+            const field = byteView(this, this.cursor, byteWidth);
+            let len = field.indexOf(0x00);
+
+            if(len < 0)
+                len = byteWidth;
+
+            if(padByte){
+                while(len > 0 && field[len - 1] === padByte) --len;
+            }
+
+            this.cursor += byteWidth;
+
+            return decodeString(field.subarray(0, len), encoding);
+        }catch(e){
+            throw toStreamError(this, e, 'getNextFixedString', cursor, byteWidth);
+        }
+    }
+
+    /**
+     * Encodes a string followed by a line ending, advances cursor
+     * @param {string} str 
+     * @param {string} [lineEnding='\r\n'] line ending to append, typically CRLF or LF
+     * @param {('ascii'|'latin1'|'utf8')} [encoding='utf8'] character encoding
+     * @returns {number} number of bytes written, including the line ending
+     */
+    writeLine(str, lineEnding = '\r\n', encoding = 'utf8'){
+        const {cursor} = this,
+              bytes = encodeString(str, encoding),
+              ending = encodeString(lineEnding, 'ascii'),
+              byteCount = bytes.length + ending.length;
+
+        try{
+            this.ensureCapacity(byteCount, 'writeLine');
+
+            if(cursor + byteCount > this.size)
+                throw new StreamOverflowError('writeLine', cursor, byteCount, this.size);
+
+            this.writeBytes(bytes);
+            this.writeBytes(ending);
+
+            return byteCount;
+        }catch(e){
+            throw toStreamError(this, e, 'writeLine', cursor, byteCount);
+        }
+    }
+
+    /**
+     * Reads a string terminated by LF or CRLF, advances cursor past the line ending.
+     * The line ending is not included in the result. If no line ending is found,
+     * the rest of the buffer is read. Throws a StreamUnderflowError if no bytes remain.
+     * @param {('ascii'|'latin1'|'utf8')} [encoding='utf8'] character encoding
+     * @returns {string}
+     */
+    getNextLine(encoding = 'utf8'){
+        const start = this.cursor;
+
+        if(start >= this.size)
+            throw new StreamUnderflowError('getNextLine', start, 1, this.size);
+
+        const rest = byteView(this, start, this.size - start);
+
+        let end = rest.indexOf(0x0A),
+            next;
+
+        if(end < 0){
+            checkTerminator(this, 'getNextLine', start, this.size, 1);
+            end = next = rest.length;
+        }else{
+            next = end + 1;
+        }
+
+        if(end > 0 && rest[end - 1] === 0x0D)
+            --end;
+
+        this.cursor = start + next;
+
+        return decodeString(rest.subarray(0, end), encoding);
+    }
+
+    /**
+     * Calls a read method with the cursor at an absolute offset, then restores the cursor
+     * @param {number} offset absolute offset in bytes
+     * @param {Function} read read method of this stream, e.g. stream.getNextUint32
+     * @param  {...any} args arguments for the read method
+     * @returns {*} result of the read
+     */
+    readAt(offset, read, ...args){
+        const {cursor, bitOffset} = this;
+
+        // Reads that leave the cursor in place are not annotated
+        ++this.annotationDepth;
+
+        try{
+            this.setCursor(offset);
+            return read.apply(this, args);
+        }finally{
+            --this.annotationDepth;
+            this.cursor = cursor;
+            this.bitOffset = bitOffset;
+        }
+    }
+
+    /**
+     * Calls a write method with the cursor at an absolute offset, then restores the cursor
+     * @param {number} offset absolute offset in bytes
+     * @param {Function} write write method of this stream, e.g. stream.writeUint32
+     * @param  {...any} args arguments for the write method
+     * @returns {*} result of the write
+     */
+    writeAt(offset, write, ...args){
+        const {cursor, bitOffset} = this;
+
+        try{
+            this.setCursor(offset);
+            return write.apply(this, args);
+        }finally{
+            this.cursor = cursor;
+            this.bitOffset = bitOffset;
+        }
+    }
+
+    /**
+     * Reads UINT8 as number at the cursor without advancing it
+     * @returns {number}
+     */
+    peekUint8(){
+        return this.readAt(this.cursor, this.getNextUint8);
+    }
+
+    /**
+     * Reads UINT8 as number at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @returns {number}
+     */
+    getUint8At(offset){
+        return this.readAt(offset, this.getNextUint8);
+    }
+
+    /**
+     * Writes UINT8 at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @param {number} val 
+     */
+    setUint8At(offset, val){
+        this.writeAt(offset, this.writeUint8, val);
+    }
+
+    /**
+     * Reads INT8 as number at the cursor without advancing it
+     * @returns {number}
+     */
+    peekInt8(){
+        return this.readAt(this.cursor, this.getNextInt8);
+    }
+
+    /**
+     * Reads INT8 as number at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @returns {number}
+     */
+    getInt8At(offset){
+        return this.readAt(offset, this.getNextInt8);
+    }
+
+    /**
+     * Writes INT8 at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @param {number} val 
+     */
+    setInt8At(offset, val){
+        this.writeAt(offset, this.writeInt8, val);
+    }
+
+    /**
+     * Reads UINT16 as number at the cursor without advancing it
+     * @returns {number}
+     */
+    peekUint16(){
+        return this.readAt(this.cursor, this.getNextUint16);
+    }
+
+    /**
+     * Reads UINT16 as number at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @returns {number}
+     */
+    getUint16At(offset){
+        return this.readAt(offset, this.getNextUint16);
+    }
+
+    /**
+     * Writes UINT16 at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @param {number} val 
+     */
+    setUint16At(offset, val){
+        this.writeAt(offset, this.writeUint16, val);
+    }
+
+    /**
+     * Reads INT16 as number at the cursor without advancing it
+     * @returns {number}
+     */
+    peekInt16(){
+        return this.readAt(this.cursor, this.getNextInt16);
+    }
+
+    /**
+     * Reads INT16 as number at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @returns {number}
+     */
+    getInt16At(offset){
+        return this.readAt(offset, this.getNextInt16);
+    }
+
+    /**
+     * Writes INT16 at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @param {number} val 
+     */
+    setInt16At(offset, val){
+        this.writeAt(offset, this.writeInt16, val);
+    }
+
+    /**
+     * Reads UINT32 as number at the cursor without advancing it
+     * @returns {number}
+     */
+    peekUint32(){
+        return this.readAt(this.cursor, this.getNextUint32);
+    }
+
+    /**
+     * Reads UINT32 as number at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @returns {number}
+     */
+    getUint32At(offset){
+        return this.readAt(offset, this.getNextUint32);
+    }
+
+    /**
+     * Writes UINT32 at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @param {number} val 
+     */
+    setUint32At(offset, val){
+        this.writeAt(offset, this.writeUint32, val);
+    }
+
+    /**
+     * Reads INT32 as number at the cursor without advancing it
+     * @returns {number}
+     */
+    peekInt32(){
+        return this.readAt(this.cursor, this.getNextInt32);
+    }
+
+    /**
+     * Reads INT32 as number at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @returns {number}
+     */
+    getInt32At(offset){
+        return this.readAt(offset, this.getNextInt32);
+    }
+
+    /**
+     * Writes INT32 at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @param {number} val 
+     */
+    setInt32At(offset, val){
+        this.writeAt(offset, this.writeInt32, val);
+    }
+
+    /**
+     * Reads UINT64 as number at the cursor without advancing it
+     * @returns {number}
+     */
+    peekUint64(){
+        return this.readAt(this.cursor, this.getNextUint64);
+    }
+
+    /**
+     * Reads UINT64 as number at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @returns {number}
+     */
+    getUint64At(offset){
+        return this.readAt(offset, this.getNextUint64);
+    }
+
+    /**
+     * Writes UINT64 at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @param {(number|bigint)} val 
+     */
+    setUint64At(offset, val){
+        this.writeAt(offset, this.writeUint64, val);
+    }
+
+    /**
+     * Reads UINT64 as bigint at the cursor without advancing it
+     * @returns {bigint}
+     */
+    peekBigUint64(){
+        return this.readAt(this.cursor, this.getNextBigUint64);
+    }
+
+    /**
+     * Reads UINT64 as bigint at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @returns {bigint}
+     */
+    getBigUint64At(offset){
+        return this.readAt(offset, this.getNextBigUint64);
+    }
+
+    /**
+     * Reads INT64 as number at the cursor without advancing it
+     * @returns {number}
+     */
+    peekInt64(){
+        return this.readAt(this.cursor, this.getNextInt64);
+    }
+
+    /**
+     * Reads INT64 as number at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @returns {number}
+     */
+    getInt64At(offset){
+        return this.readAt(offset, this.getNextInt64);
+    }
+
+    /**
+     * Writes INT64 at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @param {(number|bigint)} val 
+     */
+    setInt64At(offset, val){
+        this.writeAt(offset, this.writeInt64, val);
+    }
+
+    /**
+     * Reads INT64 as bigint at the cursor without advancing it
+     * @returns {bigint}
+     */
+    peekBigInt64(){
+        return this.readAt(this.cursor, this.getNextBigInt64);
+    }
+
+    /**
+     * Reads INT64 as bigint at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @returns {bigint}
+     */
+    getBigInt64At(offset){
+        return this.readAt(offset, this.getNextBigInt64);
+    }
+
+    /**
+     * Reads FLOAT16 as number at the cursor without advancing it
+     * @returns {number}
+     */
+    peekFloat16(){
+        return this.readAt(this.cursor, this.getNextFloat16);
+    }
+
+    /**
+     * Reads FLOAT16 as number at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @returns {number}
+     */
+    getFloat16At(offset){
+        return this.readAt(offset, this.getNextFloat16);
+    }
+
+    /**
+     * Writes FLOAT16 at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @param {number} val 
+     */
+    setFloat16At(offset, val){
+        this.writeAt(offset, this.writeFloat16, val);
+    }
+
+    /**
+     * Reads FLOAT32 as number at the cursor without advancing it
+     * @returns {number}
+     */
+    peekFloat32(){
+        return this.readAt(this.cursor, this.getNextFloat32);
+    }
+
+    /**
+     * Reads FLOAT32 as number at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @returns {number}
+     */
+    getFloat32At(offset){
+        return this.readAt(offset, this.getNextFloat32);
+    }
+
+    /**
+     * Writes FLOAT32 at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @param {number} val 
+     */
+    setFloat32At(offset, val){
+        this.writeAt(offset, this.writeFloat32, val);
+    }
+
+    /**
+     * Reads FLOAT64 as number at the cursor without advancing it
+     * @returns {number}
+     */
+    peekFloat64(){
+        return this.readAt(this.cursor, this.getNextFloat64);
+    }
+
+    /**
+     * Reads FLOAT64 as number at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @returns {number}
+     */
+    getFloat64At(offset){
+        return this.readAt(offset, this.getNextFloat64);
+    }
+
+    /**
+     * Writes FLOAT64 at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @param {number} val 
+     */
+    setFloat64At(offset, val){
+        this.writeAt(offset, this.writeFloat64, val);
+    }
+
+    /**
+     * Reads UNORM8 as number at the cursor without advancing it
+     * @returns {number}
+     */
+    peekUNorm8(){
+        return this.readAt(this.cursor, this.getNextUNorm8);
+    }
+
+    /**
+     * Reads UNORM8 as number at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @returns {number}
+     */
+    getUNorm8At(offset){
+        return this.readAt(offset, this.getNextUNorm8);
     }
 
     /**
-     * Adds numeric value(s) as INT8, advances cursor
-     * @param  {...number} val 
+     * Writes UNORM8 at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @param {number} val 
      */
-    writeInt8(...val){
-        const n = val?.length;
-        for(let i = 0; i < n; ++i){
-            this.dv.setInt8(this.cursor++, val[i]);
-        }
+    setUNorm8At(offset, val){
+        this.writeAt(offset, this.writeUNorm8, val);
     }
 
     /**
-     * Adds numeric value(s) as INT8, advances cursor.
-     * Value is clamped to INT8 range
-     * @param  {...number} val 
+     * Reads UNORM16 as number at the cursor without advancing it
+     * @returns {number}
      */
-    writeInt8Clamped(...val){
-        const n = val?.length;
-        for(let i = 0; i < n; ++i){
-            this.dv.setInt8(this.cursor++, Math.max(-128, Math.min(0x7F, val[i])));
-        }
+    peekUNorm16(){
+        return this.readAt(this.cursor, this.getNextUNorm16);
     }
 
     /**
-     * Reads INT8 as number, advances cursor
+     * Reads UNORM16 as number at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @returns {number}
      */
-    getNextInt8(){
-        return this.dv.getInt8(this.cursor++);
+    getUNorm16At(offset){
+        return this.readAt(offset, this.getNextUNorm16);
     }
 
     /**
-     * Reads a series of INT8 values into a destination buffer.
-     * If a buffer is not provided, then new Int8Array will be created.
-     * @param {number} length number of values to read
-     * @param {ArrayLike<number>} [dest=null] destination buffer
-     * @param {number} [offset=0] write offset in destination buffer
-     * @returns 
+     * Writes UNORM16 at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @param {number} val 
      */
-    getNextInt8Array(length, dest, offset){
-        dest = dest || new Int8Array(length);
-        offset = Math.floor(offset || 0);
-
-        for(let i = 0; i < length; ++i){
-            dest[i + offset] = this.dv.getInt8(this.cursor++);
-        }
-
-        return dest;
+    setUNorm16At(offset, val){
+        this.writeAt(offset, this.writeUNorm16, val);
     }
 
     /**
-     * Adds numeric value(s) as UINT16, advances cursor
-     * @param  {...number} val 
+     * Reads UNORM32 as number at the cursor without advancing it
+     * @returns {number}
      */
-    writeUint16(...val){
-        const n = val?.length;
-        for(let i = 0; i < n; ++i){
-            this.dv.setUint16(this.cursor, val[i], this.littleEndian);
-            this.cursor += 2;
-        }
+    peekUNorm32(){
+        return this.readAt(this.cursor, this.getNextUNorm32);
     }
 
     /**
-     * Adds numeric value(s) as UINT16, advances cursor.
-     * Value is clamped to UINT16 range
-     * @param  {...number} val 
+     * Reads UNORM32 as number at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @returns {number}
      */
-    writeUint16Clamped(...val){
-        const n = val?.length;
-        for(let i = 0; i < n; ++i){
-            this.dv.setUint16(this.cursor, Math.max(0, Math.min(0xFFFF, val[i])), this.littleEndian);
-            this.cursor += 2;
-        }
+    getUNorm32At(offset){
+        return this.readAt(offset, this.getNextUNorm32);
     }
 
     /**
-     * Reads UINT16 as number, advances cursor
+     * Writes UNORM32 at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @param {number} val 
      */
-    getNextUint16(){
-        const val = this.dv.getUint16(this.cursor, this.littleEndian);
-        this.cursor += 2;
-
-        return val;
+    setUNorm32At(offset, val){
+        this.writeAt(offset, this.writeUNorm32, val);
     }
 
     /**
-     * Reads a series of UINT16 values into a destination buffer.
-     * If a buffer is not provided, then new Uint16Array will be created.
-     * @param {number} length number of values to read
-     * @param {ArrayLike<number>} [dest=null] destination buffer
-     * @param {number} [offset=0] write offset in destination buffer
-     * @returns 
+     * Reads SNORM8 as number at the cursor without advancing it
+     * @returns {number}
      */
-    getNextUint16Array(length, dest, offset){
-        dest = dest || new Uint16Array(length);
-        offset = Math.floor(offset || 0);
-
-        for(let i = 0; i < length; ++i){
-            dest[i + offset] = this.dv.getUint16(this.cursor, this.littleEndian);
-            this.cursor += 2;
-        }
-
-        return dest;
+    peekSNorm8(){
+        return this.readAt(this.cursor, this.getNextSNorm8);
     }
 
     /**
-     * Adds numeric value(s) as INT16, advances cursor
-     * @param  {...number} val 
+     * Reads SNORM8 as number at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @returns {number}
      */
-    writeInt16(...val){
-        const n = val?.length;
-        for(let i = 0; i < n; ++i){
-            this.dv.setInt16(this.cursor, val[i], this.littleEndian);
-            this.cursor += 2;
-        }
+    getSNorm8At(offset){
+        return this.readAt(offset, this.getNextSNorm8);
     }
 
     /**
-     * Adds numeric value(s) as INT16, advances cursor.
-     * Value is clamped to INT16 range
-     * @param  {...number} val 
+     * Writes SNORM8 at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @param {number} val 
      */
-    writeInt16Clamped(...val){
-        const n = val?.length;
-        for(let i = 0; i < n; ++i){
-            this.dv.setInt16(this.cursor, Math.max(-32768, Math.min(0x7FFF, val[i])), this.littleEndian);
-            this.cursor += 2;
-        }
+    setSNorm8At(offset, val){
+        this.writeAt(offset, this.writeSNorm8, val);
     }
 
     /**
-     * Reads INT16 as number, advances cursor
+     * Reads SNORM16 as number at the cursor without advancing it
+     * @returns {number}
      */
-    getNextInt16(){
-        const val = this.dv.getInt16(this.cursor, this.littleEndian);
-        this.cursor += 2;
-
-        return val;
+    peekSNorm16(){
+        return this.readAt(this.cursor, this.getNextSNorm16);
     }
 
     /**
-     * Reads a series of INT16 values into a destination buffer.
-     * If a buffer is not provided, then new Int16Array will be created.
-     * @param {number} length number of values to read
-     * @param {ArrayLike<number>} [dest=null] destination buffer
-     * @param {number} [offset=0] write offset in destination buffer
-     * @returns 
+     * Reads SNORM16 as number at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @returns {number}
      */
-    getNextInt16Array(length, dest, offset){
-        dest = dest || new Int16Array(length);
-        offset = Math.floor(offset || 0);
-
-        for(let i = 0; i < length; ++i){
-            dest[i + offset] = this.dv.getInt16(this.cursor, this.littleEndian);
-            this.cursor += 2;
-        }
-
-        return dest;
+    getSNorm16At(offset){
+        return this.readAt(offset, this.getNextSNorm16);
     }
 
     /**
-     * Adds numeric value(s) as UINT32, advances cursor
-     * @param  {...number} val 
+     * Writes SNORM16 at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @param {number} val 
      */
-    writeUint32(...val){
-        const n = val?.length;
-        for(let i = 0; i < n; ++i){
-            this.dv.setUint32(this.cursor, val[i], this.littleEndian);
-            this.cursor += 4;
-        }
+    setSNorm16At(offset, val){
+        this.writeAt(offset, this.writeSNorm16, val);
     }
 
     /**
-     * Adds numeric value(s) as INT32, advances cursor.
-     * Value is clamped to INT32 range
-     * @param  {...number} val 
+     * Reads a null-terminated ASCII string at the cursor without advancing it
+     * @returns {string}
      */
-    writeUint32Clamped(...val){
-        const n = val?.length;
-        for(let i = 0; i < n; ++i){
-            this.dv.setUint32(this.cursor, Math.max(0, Math.min(0xFFFFFFFF, val[i])), this.littleEndian);
-            this.cursor += 4;
-        }
+    peekASCIIString(){
+        return this.readAt(this.cursor, this.getNextASCIIString);
     }
 
     /**
-     * Reads UINT32 as number, advances cursor
+     * Reads a null-terminated ASCII string at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @returns {string}
      */
-    getNextUint32(){
-        const val = this.dv.getUint32(this.cursor, this.littleEndian);
-        this.cursor += 4;
-
-        return val;
+    getASCIIStringAt(offset){
+        return this.readAt(offset, this.getNextASCIIString);
     }
 
     /**
-     * Reads a series of UINT32 values into a destination buffer.
-     * If a buffer is not provided, then new Uint32Array will be created.
-     * @param {number} length number of values to read
-     * @param {ArrayLike<number>} [dest=null] destination buffer
-     * @param {number} [offset=0] write offset in destination buffer
-     * @returns 
+     * Writes a null-terminated ASCII string at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @param {string} val 
+     * @returns {number} number of bytes written
      */
-    getNextUint32Array(length, dest, offset){
-        dest = dest || new Uint32Array(length);
-        offset = Math.floor(offset || 0);
-
-        for(let i = 0; i < length; ++i){
-            dest[i + offset] = this.dv.getUint32(this.cursor, this.littleEndian);
-            this.cursor += 4;
-        }
-
-        return dest;
+    setASCIIStringAt(offset, val){
+        return this.writeAt(offset, this.writeASCIIString, val);
     }
 
     /**
-     * Adds numeric value(s) as INT32, advances cursor
-     * @param  {...number} val 
+     * Reads a null-terminated UTF-8 string at the cursor without advancing it
+     * @returns {string}
      */
-    writeInt32(...val){
-        const n = val?.length;
-        for(let i = 0; i < n; ++i){
-            this.dv.setInt32(this.cursor, val[i], this.littleEndian);
-            this.cursor += 4;
-        }
+    peekUTF8String(){
+        return this.readAt(this.cursor, this.getNextUTF8String);
     }
 
     /**
-     * Adds numeric value(s) as INT32, advances cursor.
-     * Value is clamped to INT32 range
-     * @param  {...number} val 
+     * Reads a null-terminated UTF-8 string at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @returns {string}
      */
-     writeInt32Clamped(...val){
-        const n = val?.length;
-        for(let i = 0; i < n; ++i){
-            this.dv.setInt32(this.cursor, Math.max(-2147483648, Math.min(0x7FFFFFFF, val[i])), this.littleEndian);
-            this.cursor += 4;
-        }
+    getUTF8StringAt(offset){
+        return this.readAt(offset, this.getNextUTF8String);
     }
+
     /**
-     * Reads INT32 as number, advances cursor
+     * Writes a null-terminated UTF-8 string at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @param {string} val 
+     * @returns {number} number of bytes written
      */
-    getNextInt32(){
-        const val = this.dv.getInt32(this.cursor, this.littleEndian);
-        this.cursor += 4;
-
-        return val;
+    setUTF8StringAt(offset, val){
+        return this.writeAt(offset, this.writeUTF8String, val);
     }
 
     /**
-     * Reads a series of INT16 values into a destination buffer.
-     * If a buffer is not provided, then new Int32Array will be created.
-     * @param {number} length number of values to read
-     * @param {ArrayLike<number>} [dest=null] destination buffer
-     * @param {number} [offset=0] write offset in destination buffer
-     * @returns 
+     * Reads a null-terminated UTF-16 string at the cursor without advancing it
+     * @returns {string}
      */
-     getNextInt32Array(length, dest, offset){
-        dest = dest || new Int32Array(length);
-        offset = Math.floor(offset || 0);
-
-        for(let i = 0; i < length; ++i){
-            dest[i + offset] = this.dv.getInt32(this.cursor, this.littleEndian);
-            this.cursor += 4;
-        }
-
-        return dest;
+    peekUTF16String(){
+        return this.readAt(this.cursor, this.getNextUTF16String);
     }
 
     /**
-     * Encodes a float between 0-1 as UINT8, advances cursor
-     * @param  {...number} val 
+     * Reads a null-terminated UTF-16 string at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @returns {string}
      */
-    writeUNorm8(...val){
-        const n = val?.length;
-        for(let i = 0; i < n; ++i){
-            this.dv.setUint8(this.cursor++, Math.floor(val[i] * 0xFF), this.littleEndian);
-        }
+    getUTF16StringAt(offset){
+        return this.readAt(offset, this.getNextUTF16String);
     }
 
     /**
-     * Encodes a float between 0-1 (clamped) as UINT8, advances cursor
-     * @param  {...number} val 
+     * Writes a null-terminated UTF-16 string at an absolute offset without moving the cursor
+     * @param {number} offset absolute offset in bytes
+     * @param {string} val 
+     * @returns {number} number of bytes written
      */
-     writeUNorm8Clamped(...val){
-        const n = val?.length;
-        for(let i = 0; i < n; ++i){
-            this.dv.setUint8(this.cursor++, Math.min(0xFF, Math.max(0, Math.floor(val[i] * 0xFF))), this.littleEndian);
-        }
+    setUTF16StringAt(offset, val){
+        return this.writeAt(offset, this.writeUTF16String, val);
     }
 
     /**
-     * Reads float between 0-1 encoded as a UINT8, advances cursor
+     * Writes a zero UINT8 placeholder, advances cursor
+     * @returns {Reservation} handle to fill in the field later
      */
-    getNextUNorm8(){
-        return this.dv.getUint8(this.cursor++, this.littleEndian) * BYTE_TO_NORM;
-
+    reserveUint8(){
+        checkReservable(this);
+        this.writeUint8(0);
+        return new Reservation(this, 'uint8', this.cursor - 1);
     }
 
     /**
-     * Reads a series of UNORM8 values into a destination buffer.
-     * If a buffer is not provided, then new Float32Array will be created.
-     * @param {number} length number of values to read
-     * @param {ArrayLike<number>} [dest=null] destination buffer
-     * @param {number} [offset=0] write offset in destination buffer
-     * @returns 
+     * Writes a zero UINT16 placeholder, advances cursor
+     * @returns {Reservation} handle to fill in the field later
      */
-     getNextUNorm8Array(length, dest, offset){
-        dest = dest || new Float32Array(length);
-        offset = Math.floor(offset || 0);
-
-        for(let i = 0; i < length; ++i){
-            dest[i + offset] = this.dv.getUint8(this.cursor++, this.littleEndian) * BYTE_TO_NORM;
-        }
-
-        return dest;
+    reserveUint16(){
+        checkReservable(this);
+        this.writeUint16(0);
+        return new Reservation(this, 'uint16', this.cursor - 2);
     }
 
     /**
-     * Encodes a float between 0-1 as UINT16, advances cursor
-     * @param  {...number} val 
+     * Writes a zero UINT32 placeholder, advances cursor
+     * @returns {Reservation} handle to fill in the field later
      */
-    writeUNorm16(...val){
-        const n = val?.length;
-        for(let i = 0; i < n; ++i){
-            this.dv.setUint16(this.cursor, Math.floor(val[i] * 0xFFFF), this.littleEndian);
-            this.cursor += 2;
-        }
+    reserveUint32(){
+        checkReservable(this);
+        this.writeUint32(0);
+        return new Reservation(this, 'uint32', this.cursor - 4);
     }
 
     /**
-     * Encodes a float between 0-1 (clamped) as UINT16, advances cursor
-     * @param  {...number} val 
+     * Writes a block prefixed by its byte length. fn writes the body at the cursor,
+     * and the length of the body is patched into the prefix afterwards.
+     * Varint prefixes are inserted before the body once its length is known, which moves the body.
+     * Offsets taken inside fn are then out of date, and reserving fields inside fn throws a TypeError.
+     * Use a fixed-size prefix for bodies that contain reservations or offsets.
+     * If fn or the prefix fails, the cursor is restored to where the block started.
+     * @param {('uint8'|'uint16'|'uint32'|'varint')} prefixType type of the length prefix
+     * @param {function(ArrayBufferStream): void} fn callback that writes the body to this stream
+     * @returns {number} byte length of the body
      */
-    writeUNorm16Clamped(...val){
-        const n = val?.length;
-        for(let i = 0; i < n; ++i){
-            this.dv.setUint16(this.cursor, Math.min(0xFFFF, Math.max(0, Math.floor(val[i] * 0xFFFF))), this.littleEndian);
-            this.cursor += 2;
+    writeSized(prefixType, fn){
+        const {cursor} = this,
+              varint = prefixType === 'varint';
+
+        try{
+            if(!varint)
+                writeLengthPrefix(this, prefixType, 0);
+
+            const start = this.cursor;
+
+            if(varint)
+                ++this.varintBlockDepth;
+
+            try{
+                fn.call(this, this);
+            }finally{
+                if(varint)
+                    --this.varintBlockDepth;
+            }
+
+            const length = this.cursor - start;
+            let end = this.cursor;
+
+            if(varint){
+                const prefixLength = lengthPrefixByteLength('varint', length);
+                this.ensureCapacity(prefixLength, 'writeSized');
+
+                if(end + prefixLength > this.size)
+                    throw new StreamOverflowError('writeSized', cursor, end + prefixLength - cursor, this.size);
+
+                byteView(this, start, length + prefixLength).copyWithin(prefixLength, 0, length);
+                end += prefixLength;
+            }
+
+            this.withCursor(cursor, () => writeLengthPrefix(this, prefixType, length));
+            this.cursor = end;
+
+            return length;
+        }catch(e){
+            this.cursor = cursor;
+            throw e;
         }
     }
 
     /**
-     * Reads float between 0-1 encoded as a UINT16, advances cursor
+     * Computes a checksum over a byte range of the stream without moving the cursor
+     * @param {('crc32'|'crc32c'|'crc16-ccitt'|'adler32'|'sum8'|'xor8')} algorithm 
+     * @param {number} [start=0] offset of the first byte
+     * @param {number} [end] offset after the last byte, defaults to the cursor
+     * @returns {number} unsigned checksum
      */
-    getNextUNorm16(){
-        const val = this.dv.getUint16(this.cursor, this.littleEndian);
-        this.cursor += 2;
+    checksum(algorithm, start = 0, end = this.cursor){
+        const fn = CHECKSUMS[algorithm];
+
+        if(!fn)
+            throw new TypeError(`Unsupported checksum: ${algorithm}`);
 
-        return val * SHORT_TO_NORM;
+        return fn(rangeView(this, start, end, 'checksum'));
     }
 
     /**
-     * Reads a series of UNORM16 values into a destination buffer.
-     * If a buffer is not provided, then new Float32Array will be created.
-     * @param {number} length number of values to read
-     * @param {ArrayLike<number>} [dest=null] destination buffer
-     * @param {number} [offset=0] write offset in destination buffer
-     * @returns 
+     * Computes the CRC-32 of a byte range and writes it as UINT32 at the cursor, advances cursor
+     * @param {number} [start=0] offset of the first byte
+     * @param {number} [end] offset after the last byte, defaults to the cursor
+     * @param {('crc32'|'crc32c')} [algorithm='crc32'] IEEE or Castagnoli polynomial
+     * @returns {number} the checksum that was written
      */
-    getNextUNorm16Array(length, dest, offset){
-        dest = dest || new Float32Array(length);
-        offset = Math.floor(offset || 0);
-
-        for(let i = 0; i < length; ++i){
-            dest[i + offset] = this.dv.getUint16(this.cursor, this.littleEndian) * SHORT_TO_NORM;
-            this.cursor += 2;
-        }
+    writeCRC32Of(start = 0, end = this.cursor, algorithm = 'crc32'){
+        const crc = this.checksum(algorithm, start, end);
+        this.writeUint32(crc);
 
-        return dest;
+        return crc;
     }
 
     /**
-     * Adds numeric value(s) as FLOAT32, advances cursor
-     * @param  {...number} val 
+     * Checks the CRC-32 of a byte range against an expected value.
+     * If no value is given, it is read as UINT32 at the cursor, advancing the cursor.
+     * @param {number} start offset of the first byte
+     * @param {number} end offset after the last byte
+     * @param {number} [expected] expected checksum, defaults to the next UINT32
+     * @param {('crc32'|'crc32c')} [algorithm='crc32'] IEEE or Castagnoli polynomial
+     * @returns {boolean} whether the checksum matches
      */
-    writeFloat32(...val){
-        const n = val?.length;
-        for(let i = 0; i < n; ++i){
-            this.dv.setFloat32(this.cursor, val[i], this.littleEndian);
-            this.cursor += 4;
-        }
+    verifyCRC32(start, end, expected = this.getNextUint32(), algorithm = 'crc32'){
+        return this.checksum(algorithm, start, end) === expected >>> 0;
     }
 
     /**
-     * Reads FLOAT32 as number, advances cursor
+     * Writes a section with fn and compresses it in place, advances cursor to the end of the compressed data.
+     * Compression runs asynchronously, so the stream must not be used until the returned promise settles.
+     * If fn or the compression fails, the cursor is restored to where the section started.
+     * @param {('deflate-raw'|'deflate'|'gzip')} format compression format
+     * @param {function(ArrayBufferStream): void} fn callback that writes the uncompressed section to this stream
+     * @returns {Promise<number>} byte length of the compressed data
      */
-    getNextFloat32(){
-        const val = this.dv.getFloat32(this.cursor, this.littleEndian);
-        this.cursor += 4;
+    async writeCompressed(format, fn){
+        const {cursor} = this;
 
-        return val;
+        try{
+            fn.call(this, this);
+
+            const compressed = await compress(format, byteView(this, cursor, this.cursor - cursor));
+
+            this.cursor = cursor;
+            this.writeBytes(compressed);
+
+            return compressed.length;
+        }catch(e){
+            this.cursor = cursor;
+            throw e;
+        }
     }
 
     /**
-     * Reads a series of FLOAT32 values into a destination buffer.
-     * If a buffer is not provided, then new Float32Array will be created.
-     * @param {number} length number of values to read
-     * @param {ArrayLike<number>} [dest=null] destination buffer
-     * @param {number} [offset=0] write offset in destination buffer
-     * @returns 
+     * Decompresses the next `length` bytes into a new stream, advances cursor past the compressed data.
+     * The cursor only moves once decompression has succeeded. Corrupt data, or data that inflates
+     * beyond maxByteLength, rejects with a RangeError.
+     * @param {('deflate-raw'|'deflate'|'gzip')} format compression format
+     * @param {number} [length] byte length of the compressed data, defaults to the rest of the stream
+     * @param {number} [maxByteLength=268435456] largest accepted size of the decompressed data in bytes
+     * @returns {Promise<ArrayBufferStream>} stream over the decompressed bytes, in the byte order of this stream
      */
-    getNextFloat32Array(length, dest, offset){
-        dest = dest || new Float32Array(length);
-        offset = Math.floor(offset || 0);
+    async getNextDecompressed(format, length = this.size - this.cursor, maxByteLength = DEFAULT_MAX_DECOMPRESSED_SIZE){
+        const {cursor} = this;
 
-        for(let i = 0; i < length; ++i){
-            dest[i + offset] = this.dv.getFloat32(this.cursor, this.littleEndian);
-            this.cursor += 4;
-        }
+        if(!Number.isInteger(length) || length < 0 || cursor + length > this.size)
+            throw new StreamUnderflowError('getNextDecompressed', cursor, length, this.size);
+
+        if(!(maxByteLength > 0))
+            throw new RangeError(`Maximum decompressed size must be positive: ${maxByteLength}`);
 
-        return dest;
+        const bytes = await decompress(format, byteView(this, cursor, length), cursor, maxByteLength);
+        this.cursor = cursor + length;
+
+        return new ArrayBufferStream(bytes, this.littleEndian, {
+            floorNormalized: this.floorNormalized,
+            bitOrder: this.bitOrder,
+            checked: this.checked
+        });
     }
 
     /**
-     * Adds numeric value(s) as FLOAT64, advances cursor
-     * @param  {...number} val 
+     * Creates a stream over a region of this one. The sub-stream shares memory with this stream,
+     * so writes to either are visible in both, but has its own cursor starting at 0 and cannot
+     * read or write outside of the region. Growing this stream afterwards moves it to new memory,
+     * leaving existing sub-streams on the old buffer.
+     * @param {number} offset start of the region in bytes
+     * @param {number} [length] size of the region in bytes, defaults to the rest of the stream
+     * @param {boolean} [littleEndian] byte order of the sub-stream, defaults to the byte order of this stream
+     * @returns {ArrayBufferStream}
      */
-    writeFloat64(...val){
-        const n = val?.length;
-        for(let i = 0; i < n; ++i){
-            this.dv.setFloat64(this.cursor, val[i], this.littleEndian);
-            this.cursor += 8;
-        }
+    subStream(offset, length = this.size - offset, littleEndian = this.littleEndian){
+        if(!Number.isInteger(offset) || offset < 0 || offset > this.size)
+            throw new InvalidCursorError('subStream', offset, this.size);
+
+        if(!Number.isInteger(length) || length < 0 || offset + length > this.size)
+            throw new StreamUnderflowError('subStream', offset, length, this.size);
+
+        return new ArrayBufferStream(byteView(this, offset, length), littleEndian, {
+            floorNormalized: this.floorNormalized,
+            bitOrder: this.bitOrder,
+            checked: this.checked
+        });
     }
 
     /**
-     * Reads FLOAT32 as number, advances cursor
+     * Creates a sub-stream over the next `length` bytes and advances the cursor past them
+     * @param {number} length size of the region in bytes
+     * @param {boolean} [littleEndian] byte order of the sub-stream, defaults to the byte order of this stream
+     * @returns {ArrayBufferStream}
      */
-    getNextFloat64(){
-        const val = this.dv.getFloat64(this.cursor, this.littleEndian);
-        this.cursor += 8;
+    takeSubStream(length, littleEndian = this.littleEndian){
+        if(!Number.isInteger(length) || length < 0 || this.cursor + length > this.size)
+            throw new StreamUnderflowError('takeSubStream', this.cursor, length, this.size);
 
-        return val;
+        const sub = this.subStream(this.cursor, length, littleEndian);
+        this.cursor += length;
+
+        return sub;
     }
 
     /**
-     * Reads a series of FLOAT64 values into a destination buffer.
-     * If a buffer is not provided, then new Float64Array will be created.
-     * @param {number} length number of values to read
-     * @param {ArrayLike<number>} [dest=null] destination buffer
-     * @param {number} [offset=0] write offset in destination buffer
-     * @returns 
+     * Turns on annotation mode. From then on, every getNext read that consumes bytes is recorded in
+     * `annotations` with its byte range and the name of the read method. Reads made by other reads,
+     * such as the prefix of a length-prefixed string, are part of the outer record.
+     * Peeks and absolute-offset reads leave the cursor in place and are not recorded.
+     * Asynchronous reads are recorded once they settle.
+     * Use annotate to record a range under a field name instead.
      */
-    getNextFloat64Array(length, dest, offset){
-        dest = dest || new Float64Array(length);
-        offset = Math.floor(offset || 0);
+    enableAnnotations(){
+        if(this.annotations)
+            return;
 
-        for(let i = 0; i < length; ++i){
-            dest[i + offset] = this.dv.getFloat64(this.cursor, this.littleEndian);
-            this.cursor += 8;
-        }
+        this.annotations = [];
+
+        for(const name of Object.getOwnPropertyNames(ArrayBufferStream.prototype)){
+            if(!name.startsWith('getNext'))
+                continue;
+
+            const read = this[name];
+
+            this[name] = function(...args){
+                const start = this.cursor;
+                ++this.annotationDepth;
+
+                let result;
+                try{
+                    result = read.apply(this, args);
+                }catch(e){
+                    endAnnotation(this, start, name);
+                    throw e;
+                }
 
-        return dest;
+                // Asynchronous reads such as getNextDecompressed move the cursor once they settle
+                if(typeof result?.then === 'function')
+                    return result.finally(() => endAnnotation(this, start, name));
+
+                endAnnotation(this, start, name);
+                return result;
+            };
+        }
     }
 
     /**
-     * Encodes a string as a series of single-byte characters with a null-terminator.
-     * These values are limited to the ASCII character range and results may be unpredictable
-     * if the string contains multi-byte characters.
-     * 
-     * The cursor is advanced by the length of the string + 1.
-     * @param {string} str 
-     * @returns 
+     * Calls fn and, in annotation mode, records the bytes it consumed under the given name.
+     * Reads made by fn are not recorded separately. Without annotation mode fn is just called.
+     * @template T
+     * @param {string} name name of the field, e.g. 'header.width'
+     * @param {function(ArrayBufferStream): T} fn callback that reads the field from this stream
+     * @returns {T} result of fn
      */
-    writeASCIIString(str){
-        const len = +str?.length;
+    annotate(name, fn){
+        if(!this.annotations)
+            return fn.call(this, this);
 
-        for(let i = 0; i < len; ++i){
-            this.dv.setUint8(this.cursor++, str.charCodeAt(i));
-        }
+        const start = this.cursor;
+        ++this.annotationDepth;
 
-        this.dv.setUint8(this.cursor++, 0x00);
+        try{
+            return fn.call(this, this);
+        }finally{
+            endAnnotation(this, start, name);
+        }
     }
 
     /**
-     * Reads a null-terminated string of UINT8 characters, advances cursor
+     * Formats a byte range as a hex dump with offset, hex and ASCII columns.
+     * The byte at the cursor is marked with '>'. In annotation mode, the recorded reads
+     * that start within the range are listed below the dump.
+     * @param {object} [options]
+     * @param {number} [options.start=0] offset of the first byte
+     * @param {number} [options.end] offset after the last byte, defaults to the end of the stream
+     * @param {number} [options.width=16] number of bytes per line
      * @returns {string}
      */
-    getNextASCIIString(){
-        const {size, dv} = this,
-              lineBuffer = [];
+    hexDump({start = 0, end = this.size, width = 16} = {}){
+        if(!Number.isInteger(width) || width < 1)
+            throw new RangeError(`Width must be a positive integer: ${width}`);
+
+        const bytes = rangeView(this, start, end, 'hexDump'),
+              lines = [];
+
+        for(let row = start; row < end; row += width){
+            let hex = '',
+                ascii = '';
 
-        let i = this.cursor;
+            for(let i = row; i < row + width; ++i){
+                if(i > row && (i - row) % 8 === 0)
+                    hex += ' ';
 
-        while(i < size){
-            let byte = dv.getUint8(i++);
-            if(!byte) break;
+                hex += i === this.cursor ? '>' : ' ';
 
-            lineBuffer.push(byte);
+                if(i < end){
+                    const b = bytes[i - start];
+                    hex += b.toString(16).padStart(2, '0');
+                    ascii += b >= 0x20 && b < 0x7F ? String.fromCharCode(b) : '.';
+                }else{
+                    hex += '  ';
+                }
+            }
+
+            lines.push(`${toHexOffset(row)} ${hex}  |${ascii}|`);
         }
 
-        const val = String.fromCharCode(...lineBuffer);
-        this.cursor = i;
+        // Cursor right after a full last line, or an empty range
+        if(this.cursor === end && (end - start) % width === 0)
+            lines.push(`${toHexOffset(end)} >`);
 
-        return val;
+        for(const annotation of this.annotations ?? []){
+            if(annotation.start < start || annotation.start >= end)
+                continue;
+
+            const length = annotation.end - annotation.start,
+                  shown = byteView(this, annotation.start, Math.min(length, width, this.size - annotation.start));
+
+            lines.push(`${toHexOffset(annotation.start)}  +${length}  ${annotation.name}  ${toHexBytes(shown)}${length > shown.length ? ' ...' : ''}`);
+        }
+
+        return lines.join('\n');
     }
 
     /**
      * Returns a copy of the underlying data buffer up to the current cursor.
+     * In growable mode this is exactly the bytes that were written.
      * @returns {ArrayBuffer}
      */
     trimToCursor(){
-        return this.buffer.slice(0, this.cursor);
+        return byteView(this, 0, this.cursor).slice().buffer;
     }
 }
 
+export {
+    Struct, Reservation, AsyncStreamReader, ChunkedStreamReader, AsyncStreamWriter, MessageEncoder, MessageDecoder,
+    crc32, crc32c, crc16ccitt, adler32, sum8, xor8,
+    StreamError, StreamUnderflowError, EndOfStreamError, StreamOverflowError, InvalidCursorError, UnsupportedSourceError };
 export default ArrayBufferStream;
\ No newline at end of file
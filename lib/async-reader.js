@@ -0,0 +1,287 @@
+import ArrayBufferStream from '../index.js';
+import { StreamUnderflowError, EndOfStreamError, UnsupportedSourceError } from './errors.js';
+import { defineReadMethods } from './delegates.js';
+import { toBytes } from './bytes.js';
+
+const MIN_CAPACITY = 4096;
+
+/**
+ * Source of byte chunks, normalized from a WHATWG ReadableStream or an async iterable
+ * such as a Node Readable
+ * @typedef {object} ChunkSource
+ * @property {function(): Promise<?ArrayBufferView>} next resolves with the next chunk, or null at the end
+ * @property {function(*): Promise<void>} cancel stops the source and releases its resources
+ */
+
+/**
+ * @param {(ReadableStream|AsyncIterable)} source
+ * @returns {ChunkSource}
+ */
+function toChunkSource(source){
+    if(typeof source?.getReader === 'function'){
+        const reader = source.getReader();
+
+        return {
+            next: async () => {
+                const {done, value} = await reader.read();
+                return done ? null : value;
+            },
+            cancel: (reason) => reader.cancel(reason)
+        };
+    }
+
+    if(typeof source?.[Symbol.asyncIterator] === 'function'){
+        const iterator = source[Symbol.asyncIterator]();
+
+        return {
+            next: async () => {
+                const {done, value} = await iterator.next();
+                return done ? null : value;
+            },
+            cancel: async () => {
+                await iterator.return?.();
+            }
+        };
+    }
+
+    throw new UnsupportedSourceError(source);
+}
+
+/**
+ * Reads values from a WHATWG ReadableStream or a Node Readable as the data arrives.
+ * Chunks are only pulled from the source when a read needs more bytes than are buffered,
+ * so the source is paused by its own backpressure while the reader is not reading.
+ * Memory use is bounded by the largest single read plus one chunk.
+ *
+ * Reads are queued and complete in the order they were called. If the source ends
+ * before a read has enough bytes, the read rejects with an EndOfStreamError and
+ * consumes nothing.
+ *
+ * Every read in READ_METHODS (lib/delegates.js), such as getNextUint32 or getNextUTF8String, is available
+ * with the arguments of the ArrayBufferStream method of the same name and resolves with its result.
+ */
+class AsyncStreamReader{
+    /**
+     * Constructs an AsyncStreamReader
+     * @param {(ReadableStream|AsyncIterable<ArrayBufferView>)} source WHATWG ReadableStream, Node Readable
+     * or any async iterable of byte chunks
+     * @param {boolean} [littleEndian=false] Whether to use "Little Endian" for byte order
+     */
+    constructor(source, littleEndian){
+        /**
+         * @type {ChunkSource}
+         */
+        this.source = toChunkSource(source);
+
+        /**
+         * @type {boolean}
+         */
+        this.littleEndian = !!littleEndian;
+
+        /**
+         * Storage for buffered bytes; unread bytes are moved to the front when a chunk arrives
+         * @type {Uint8Array}
+         */
+        this.data = new Uint8Array(0);
+
+        /**
+         * Stream over the buffered bytes, whose cursor is the next unread byte
+         * @type {ArrayBufferStream}
+         */
+        this.view = new ArrayBufferStream(this.data, this.littleEndian, { strictTerminators: true });
+
+        /**
+         * Position in the source of the first byte of the view
+         * @type {number}
+         */
+        this.viewOffset = 0;
+
+        /**
+         * Whether the source has ended
+         * @type {boolean}
+         */
+        this.done = false;
+
+        /**
+         * Tail of the queue of pending reads
+         * @type {Promise<void>}
+         */
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Number of bytes read from the source so far
+     * @type {number}
+     */
+    get position(){
+        return this.viewOffset + this.view.cursor;
+    }
+
+    /**
+     * Number of bytes buffered and not yet read
+     * @type {number}
+     */
+    get available(){
+        return this.view.size - this.view.cursor;
+    }
+
+    /**
+     * Runs an operation after all previously queued reads have settled
+     * @template T
+     * @param {function(): Promise<T>} operation
+     * @returns {Promise<T>}
+     */
+    enqueue(operation){
+        const result = this.queue.then(operation);
+        this.queue = result.then(() => {}, () => {});
+
+        return result;
+    }
+
+    /**
+     * Pulls the next non-empty chunk from the source into the buffer
+     * @returns {Promise<boolean>} whether a chunk was added, false once the source has ended
+     */
+    async pull(){
+        while(!this.done){
+            const chunk = await this.source.next();
+
+            if(chunk === null){
+                // No more data can follow, so the rest of the buffer is the last string or line
+                this.done = true;
+                this.view.strictTerminators = false;
+                break;
+            }
+
+            const bytes = toBytes(chunk);
+
+            if(!bytes)
+                throw new TypeError(`Unsupported chunk: [${typeof chunk}] ${chunk}`);
+
+            if(bytes.length){
+                this.append(bytes);
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Copies a chunk after the unread bytes, dropping the bytes that were already read
+     * @param {Uint8Array} bytes
+     */
+    append(bytes){
+        const {cursor, size} = this.view,
+              unread = size - cursor,
+              needed = unread + bytes.length;
+
+        let {data} = this;
+
+        if(needed > data.length){
+            data = new Uint8Array(Math.max(needed, data.length * 2, MIN_CAPACITY));
+            data.set(this.data.subarray(cursor, size));
+        }else{
+            data.copyWithin(0, cursor, size);
+        }
+
+        data.set(bytes, unread);
+
+        this.data = data;
+        this.viewOffset += cursor;
+        this.view = new ArrayBufferStream(data.subarray(0, needed), this.littleEndian, { strictTerminators: true });
+    }
+
+    /**
+     * Calls a read on the buffered bytes, pulling more data and retrying while it runs out of bytes
+     * @template T
+     * @param {function(ArrayBufferStream): T} fn
+     * @returns {Promise<T>}
+     */
+    async attempt(fn){
+        for(;;){
+            const {cursor} = this.view;
+
+            try{
+                return fn.call(this.view, this.view);
+            }catch(e){
+                this.view.cursor = cursor;
+
+                if(!(e instanceof StreamUnderflowError))
+                    throw e;
+
+                const {strictTerminators} = this.view;
+
+                // Retry once the source has ended if the read only needed a terminator
+                if(!await this.pull() && !(strictTerminators && cursor < this.view.size))
+                    throw new EndOfStreamError(e.operation, this.viewOffset + cursor, e.byteCount, this.viewOffset + this.view.size);
+            }
+        }
+    }
+
+    /**
+     * Queues a read with a synchronous callback, which runs once at least byteCount bytes are buffered.
+     * While fn throws a StreamUnderflowError, another chunk is pulled and fn is retried from the same
+     * position, as with ChunkedStreamReader#read.
+     * @template T
+     * @param {function(ArrayBufferStream): T} fn callback that reads from the buffered bytes
+     * @param {number} [byteCount=0] number of bytes to buffer before the first attempt
+     * @param {string} [operation='read'] name of the read, for error reporting
+     * @returns {Promise<T>}
+     */
+    read(fn, byteCount = 0, operation = 'read'){
+        return this.enqueue(async () => {
+            while(this.available < byteCount && await this.pull());
+
+            if(this.available < byteCount)
+                throw new EndOfStreamError(operation, this.position, byteCount, this.position + this.available);
+
+            return this.attempt(fn);
+        });
+    }
+
+    /**
+     * Discards bytes without buffering all of them
+     * @param {number} byteCount number of bytes to skip
+     * @returns {Promise<void>}
+     */
+    skip(byteCount){
+        return this.enqueue(async () => {
+            const start = this.position;
+            let rest = byteCount;
+
+            for(;;){
+                const n = Math.min(rest, this.available);
+                this.view.cursor += n;
+                rest -= n;
+
+                if(rest <= 0)
+                    return;
+
+                if(!await this.pull())
+                    throw new EndOfStreamError('skip', start, byteCount, this.position);
+            }
+        });
+    }
+
+    /**
+     * @returns {Promise<boolean>} whether all bytes have been read and the source has ended
+     */
+    isEOF(){
+        return this.enqueue(async () => this.available === 0 && !await this.pull());
+    }
+
+    /**
+     * Stops reading and cancels the source
+     * @param {*} [reason]
+     * @returns {Promise<void>}
+     */
+    cancel(reason){
+        this.done = true;
+        return this.source.cancel(reason);
+    }
+}
+
+defineReadMethods(AsyncStreamReader);
+
+export default AsyncStreamReader;
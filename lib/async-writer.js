@@ -0,0 +1,235 @@
+import ArrayBufferStream from '../index.js';
+import { UnsupportedSourceError } from './errors.js';
+import { defineWriteMethods } from './delegates.js';
+
+const DEFAULT_CHUNK_SIZE = 0x10000;
+
+/**
+ * Destination for byte chunks, normalized from a WHATWG WritableStream or a Node Writable
+ * @typedef {object} ChunkSink
+ * @property {function(Uint8Array): Promise<void>} write resolves when the sink is ready for more data
+ * @property {function(): Promise<void>} close resolves when all data has been written
+ */
+
+/**
+ * @param {WritableStream} sink
+ * @returns {ChunkSink}
+ */
+function fromWritableStream(sink){
+    const writer = sink.getWriter();
+
+    return {
+        write: async (chunk) => {
+            await writer.ready;
+
+            // Errors also reject writer.ready and writer.close, so they are reported by the next call
+            writer.write(chunk).catch(() => {});
+        },
+        close: () => writer.close()
+    };
+}
+
+/**
+ * @param {import('node:stream').Writable} sink
+ * @returns {ChunkSink}
+ */
+function fromNodeWritable(sink){
+    let error = null;
+
+    // Keep errors for the next call instead of letting them go unhandled
+    sink.on('error', (e) => {
+        error = e;
+    });
+
+    return {
+        write: (chunk) => new Promise((resolve, reject) => {
+            if(error)
+                return reject(error);
+
+            if(sink.write(chunk))
+                return resolve();
+
+            const onDrain = () => {
+                sink.off('error', onError);
+                resolve();
+            };
+
+            const onError = (e) => {
+                sink.off('drain', onDrain);
+                reject(e);
+            };
+
+            sink.once('drain', onDrain);
+            sink.once('error', onError);
+        }),
+        close: () => new Promise((resolve, reject) => {
+            if(error)
+                return reject(error);
+
+            sink.once('error', reject);
+            sink.end(() => {
+                sink.off('error', reject);
+                resolve();
+            });
+        })
+    };
+}
+
+/**
+ * @param {(WritableStream|import('node:stream').Writable)} sink
+ * @returns {ChunkSink}
+ */
+function toChunkSink(sink){
+    if(typeof sink?.getWriter === 'function')
+        return fromWritableStream(sink);
+
+    if(typeof sink?.write === 'function' && typeof sink.end === 'function' && typeof sink.once === 'function')
+        return fromNodeWritable(sink);
+
+    throw new UnsupportedSourceError(sink);
+}
+
+/**
+ * Writes values to a WHATWG WritableStream or a Node Writable in fixed-size chunks.
+ * Values are written synchronously into a buffer. Whenever the buffer holds a full chunk,
+ * the chunk is passed on to the sink, and the returned promise resolves once the sink
+ * is ready for more data. Awaiting each write therefore applies the backpressure of the sink,
+ * and memory use stays at about one chunk plus the largest single write.
+ *
+ * Chunks are sent in order, even if writes are not awaited. If the sink fails,
+ * the pending and all following writes reject with its error.
+ *
+ * Every write in WRITE_METHODS (lib/delegates.js), such as writeUint32 or writeUTF8String, is available
+ * with the arguments of the ArrayBufferStream method of the same name and resolves with its result.
+ */
+class AsyncStreamWriter{
+    /**
+     * Constructs an AsyncStreamWriter
+     * @param {(WritableStream|import('node:stream').Writable)} sink WHATWG WritableStream or Node Writable
+     * @param {boolean} [littleEndian=false] Whether to use "Little Endian" for byte order
+     * @param {object} [options]
+     * @param {number} [options.chunkSize=65536] Size in bytes of each chunk passed to the sink
+     */
+    constructor(sink, littleEndian, options){
+        const chunkSize = options?.chunkSize ?? DEFAULT_CHUNK_SIZE;
+
+        if(!Number.isInteger(chunkSize) || chunkSize < 1)
+            throw new RangeError(`Chunk size must be a positive integer: ${chunkSize}`);
+
+        /**
+         * @type {ChunkSink}
+         */
+        this.sink = toChunkSink(sink);
+
+        /**
+         * @type {boolean}
+         */
+        this.littleEndian = !!littleEndian;
+
+        /**
+         * Size in bytes of each chunk passed to the sink
+         * @type {number}
+         */
+        this.chunkSize = chunkSize;
+
+        /**
+         * Buffer for data that has not been passed to the sink yet
+         * @type {ArrayBufferStream}
+         */
+        this.stream = new ArrayBufferStream(chunkSize, this.littleEndian, { growable: true });
+
+        /**
+         * Number of bytes passed to the sink so far
+         * @type {number}
+         */
+        this.flushed = 0;
+
+        /**
+         * Settles when all chunks passed on so far have been accepted by the sink
+         * @type {Promise<void>}
+         */
+        this.pending = Promise.resolve();
+
+        /**
+         * Whether close has been called
+         * @type {boolean}
+         */
+        this.closed = false;
+    }
+
+    /**
+     * Number of bytes written so far, including bytes that are still buffered
+     * @type {number}
+     */
+    get position(){
+        return this.flushed + this.stream.cursor;
+    }
+
+    /**
+     * Takes bytes from the start of the buffer and queues them for the sink, split into chunks of chunkSize
+     * @param {number} byteCount number of bytes to send
+     * @returns {Promise<void>} settles when the sink has accepted the bytes
+     */
+    emit(byteCount){
+        const {stream, chunkSize} = this,
+              bytes = new Uint8Array(stream.buffer, stream.byteOffset, stream.cursor);
+
+        for(let offset = 0; offset < byteCount; offset += chunkSize){
+            const chunk = bytes.slice(offset, Math.min(offset + chunkSize, byteCount));
+            this.pending = this.pending.then(() => this.sink.write(chunk));
+        }
+
+        // Compacted once, so that large writes are not shifted for every chunk
+        bytes.copyWithin(0, byteCount);
+        stream.cursor -= byteCount;
+        this.flushed += byteCount;
+
+        return this.pending;
+    }
+
+    /**
+     * Writes with a synchronous callback, then passes any full chunks on to the sink.
+     * Any ArrayBufferStream write, including Struct.write and writeSized, can be used this way.
+     * The cursor of the buffer must not be moved before the start of the callback's data.
+     * @template T
+     * @param {function(ArrayBufferStream): T} fn callback that writes to the buffer
+     * @returns {Promise<T>} result of fn, once the sink is ready for more data
+     */
+    async write(fn){
+        if(this.closed)
+            throw new TypeError('Cannot write to a closed AsyncStreamWriter');
+
+        const val = fn.call(this.stream, this.stream),
+              {cursor} = this.stream;
+
+        await (cursor >= this.chunkSize ? this.emit(cursor - cursor % this.chunkSize) : this.pending);
+
+        return val;
+    }
+
+    /**
+     * Passes all buffered data on to the sink, including a final partial chunk
+     * @returns {Promise<void>} settles when the sink has accepted the data
+     */
+    flush(){
+        return this.stream.cursor ? this.emit(this.stream.cursor) : this.pending;
+    }
+
+    /**
+     * Flushes all buffered data and closes the sink
+     * @returns {Promise<void>}
+     */
+    async close(){
+        if(this.closed)
+            return;
+
+        this.closed = true;
+
+        await this.flush();
+        await this.sink.close();
+    }
+}
+
+defineWriteMethods(AsyncStreamWriter);
+
+export default AsyncStreamWriter;
@@ -0,0 +1,25 @@
+/**
+ * @param {*} value 
+ * @returns {boolean} whether value is an ArrayBuffer or SharedArrayBuffer, from any realm
+ */
+function isArrayBufferLike(value){
+    return /^\[object (Shared)?ArrayBuffer\]$/.test(Object.prototype.toString.call(value));
+}
+
+/**
+ * Views memory as bytes without copying. Views such as TypedArrays, DataViews and Node Buffers
+ * keep their byteOffset and byteLength.
+ * @param {*} value 
+ * @returns {?Uint8Array} bytes of value, or null if it is not an ArrayBuffer, SharedArrayBuffer or view
+ */
+function toBytes(value){
+    if(ArrayBuffer.isView(value))
+        return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+
+    if(isArrayBufferLike(value))
+        return new Uint8Array(value);
+
+    return null;
+}
+
+export { toBytes };
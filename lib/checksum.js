@@ -0,0 +1,169 @@
+/**
+ * Builds a lookup table for a reflected (least significant bit first) 32-bit CRC
+ * @param {number} poly reversed polynomial
+ * @returns {Uint32Array}
+ */
+function reflectedTable32(poly){
+    const table = new Uint32Array(256);
+
+    for(let i = 0; i < 256; ++i){
+        let c = i;
+        for(let k = 0; k < 8; ++k)
+            c = c & 1 ? (c >>> 1) ^ poly : c >>> 1;
+
+        table[i] = c;
+    }
+
+    return table;
+}
+
+/**
+ * Builds a lookup table for a 16-bit CRC processed most significant bit first
+ * @param {number} poly polynomial
+ * @returns {Uint16Array}
+ */
+function table16(poly){
+    const table = new Uint16Array(256);
+
+    for(let i = 0; i < 256; ++i){
+        let c = i << 8;
+        for(let k = 0; k < 8; ++k)
+            c = c & 0x8000 ? (c << 1) ^ poly : c << 1;
+
+        table[i] = c;
+    }
+
+    return table;
+}
+
+const CRC32_TABLE = reflectedTable32(0xEDB88320);
+const CRC32C_TABLE = reflectedTable32(0x82F63B78);
+const CRC16_CCITT_TABLE = table16(0x1021);
+
+const ADLER_MOD = 65521;
+// Largest number of bytes that can be summed before the Adler sums must be reduced to stay below 2^53
+const ADLER_BLOCK = 0x40000;
+
+/**
+ * Runs a reflected 32-bit CRC with pre and post inversion
+ * @param {Uint32Array} table
+ * @param {Uint8Array} bytes
+ * @param {number} crc previous result
+ * @returns {number}
+ */
+function reflectedCRC32(table, bytes, crc){
+    let c = ~crc;
+
+    for(let i = 0; i < bytes.length; ++i)
+        c = table[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+
+    return ~c >>> 0;
+}
+
+/**
+ * CRC-32 as used by ZIP, gzip and PNG (IEEE 802.3 polynomial).
+ * Pass the result for earlier bytes as `crc` to continue a running checksum.
+ * @param {Uint8Array} bytes
+ * @param {number} [crc=0] result for the preceding bytes
+ * @returns {number} unsigned 32-bit checksum
+ */
+function crc32(bytes, crc = 0){
+    return reflectedCRC32(CRC32_TABLE, bytes, crc);
+}
+
+/**
+ * CRC-32C (Castagnoli polynomial) as used by iSCSI, SCTP and ext4.
+ * Pass the result for earlier bytes as `crc` to continue a running checksum.
+ * @param {Uint8Array} bytes
+ * @param {number} [crc=0] result for the preceding bytes
+ * @returns {number} unsigned 32-bit checksum
+ */
+function crc32c(bytes, crc = 0){
+    return reflectedCRC32(CRC32C_TABLE, bytes, crc);
+}
+
+/**
+ * CRC-16/CCITT-FALSE: polynomial 0x1021, initial value 0xFFFF, not reflected, no final XOR.
+ * Pass the result for earlier bytes as `crc` to continue a running checksum.
+ * @param {Uint8Array} bytes
+ * @param {number} [crc=0xFFFF] result for the preceding bytes
+ * @returns {number} unsigned 16-bit checksum
+ */
+function crc16ccitt(bytes, crc = 0xFFFF){
+    let c = crc & 0xFFFF;
+
+    for(let i = 0; i < bytes.length; ++i)
+        c = (CRC16_CCITT_TABLE[(c >>> 8) ^ bytes[i]] ^ (c << 8)) & 0xFFFF;
+
+    return c;
+}
+
+/**
+ * Adler-32 as used by zlib.
+ * Pass the result for earlier bytes as `adler` to continue a running checksum.
+ * @param {Uint8Array} bytes
+ * @param {number} [adler=1] result for the preceding bytes
+ * @returns {number} unsigned 32-bit checksum
+ */
+function adler32(bytes, adler = 1){
+    let a = adler & 0xFFFF,
+        b = adler >>> 16;
+
+    for(let start = 0; start < bytes.length; start += ADLER_BLOCK){
+        const end = Math.min(start + ADLER_BLOCK, bytes.length);
+
+        for(let i = start; i < end; ++i){
+            a += bytes[i];
+            b += a;
+        }
+
+        a %= ADLER_MOD;
+        b %= ADLER_MOD;
+    }
+
+    return ((b << 16) | a) >>> 0;
+}
+
+/**
+ * Sum of all bytes modulo 256
+ * @param {Uint8Array} bytes
+ * @param {number} [sum=0] result for the preceding bytes
+ * @returns {number} unsigned 8-bit checksum
+ */
+function sum8(bytes, sum = 0){
+    let s = sum;
+
+    for(let i = 0; i < bytes.length; ++i)
+        s += bytes[i];
+
+    return s & 0xFF;
+}
+
+/**
+ * Exclusive or of all bytes
+ * @param {Uint8Array} bytes
+ * @param {number} [xor=0] result for the preceding bytes
+ * @returns {number} unsigned 8-bit checksum
+ */
+function xor8(bytes, xor = 0){
+    let x = xor;
+
+    for(let i = 0; i < bytes.length; ++i)
+        x ^= bytes[i];
+
+    return x & 0xFF;
+}
+
+/**
+ * Checksum functions by algorithm name
+ */
+const CHECKSUMS = {
+    'crc32': crc32,
+    'crc32c': crc32c,
+    'crc16-ccitt': crc16ccitt,
+    'adler32': adler32,
+    'sum8': sum8,
+    'xor8': xor8
+};
+
+export { CHECKSUMS, crc32, crc32c, crc16ccitt, adler32, sum8, xor8 };
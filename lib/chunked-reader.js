@@ -0,0 +1,242 @@
+import ArrayBufferStream from '../index.js';
+import { StreamUnderflowError, UnsupportedSourceError } from './errors.js';
+import { defineReadMethods } from './delegates.js';
+import { toBytes } from './bytes.js';
+
+// Smallest contiguous window assembled when a read straddles fragments
+const MIN_WINDOW = 16;
+
+/**
+ * Reads a sequence of buffers as one logical stream, without concatenating them up front.
+ * Values that lie within a single fragment are read in place. Values that straddle fragments
+ * are read from a small copy of the bytes around the boundary.
+ *
+ * A read that runs past the last fragment throws a StreamUnderflowError and consumes nothing,
+ * so it can be retried after appending more data.
+ *
+ * Every read in READ_METHODS (lib/delegates.js), such as getNextUint32 or getNextUTF8String, is available
+ * with the arguments of the ArrayBufferStream method of the same name and returns its result.
+ */
+class ChunkedStreamReader{
+    /**
+     * Constructs a ChunkedStreamReader
+     * @param {Array<(ArrayBufferLike|ArrayBufferView)>} [buffers] initial fragments, in order
+     * @param {boolean} [littleEndian=false] Whether to use "Little Endian" for byte order
+     * @param {object} [options]
+     * @param {boolean} [options.strictTerminators=false] Whether terminated reads throw when no terminator
+     * is found in the last fragment, instead of returning the rest of the data
+     */
+    constructor(buffers = [], littleEndian, options){
+        /**
+         * @type {boolean}
+         */
+        this.littleEndian = !!littleEndian;
+
+        /**
+         * @type {boolean}
+         */
+        this.strictTerminators = !!options?.strictTerminators;
+
+        /**
+         * Fragments that have not been discarded, in order
+         * @type {ArrayBufferStream[]}
+         */
+        this.fragments = [];
+
+        /**
+         * Index of the fragment holding the next unread byte
+         * @type {number}
+         */
+        this.index = 0;
+
+        /**
+         * Position of the first byte of the current fragment
+         * @type {number}
+         */
+        this.fragmentStart = 0;
+
+        /**
+         * Total number of bytes appended
+         * @type {number}
+         */
+        this.size = 0;
+
+        for(const buffer of buffers)
+            this.append(buffer);
+    }
+
+    /**
+     * Number of bytes read so far
+     * @type {number}
+     */
+    get position(){
+        return this.fragmentStart + (this.fragments[this.index]?.cursor ?? 0);
+    }
+
+    /**
+     * Adds a fragment after the existing ones. The memory is used in place, not copied.
+     * @param {(ArrayBufferLike|ArrayBufferView)} buffer
+     */
+    append(buffer){
+        const bytes = toBytes(buffer);
+
+        if(!bytes)
+            throw new UnsupportedSourceError(buffer);
+
+        if(!bytes.length)
+            return;
+
+        this.fragments.push(new ArrayBufferStream(bytes, this.littleEndian));
+        this.size += bytes.length;
+    }
+
+    /**
+     * Drops fragments that have been read completely, so that their memory can be reclaimed
+     * @returns {number} number of bytes discarded
+     */
+    discardConsumed(){
+        let n = 0;
+
+        while(this.fragments.length && this.fragments[0].isEOF()){
+            const {size} = this.fragments.shift();
+            n += size;
+
+            if(this.index > 0){
+                --this.index;
+            }else{
+                // The current fragment was discarded, so the next one starts after it
+                this.fragmentStart += size;
+            }
+        }
+
+        return n;
+    }
+
+    /**
+     * @returns {number} number of bytes between the read position and the end of the last fragment
+     */
+    remaining(){
+        return this.size - this.position;
+    }
+
+    /**
+     * @returns {boolean} whether every fragment has been read completely
+     */
+    isEOF(){
+        return this.remaining() === 0;
+    }
+
+    /**
+     * Moves on from the current fragment while it has been read completely and another one follows
+     */
+    nextFragment(){
+        while(this.index < this.fragments.length - 1 && this.fragments[this.index].isEOF())
+            this.fragmentStart += this.fragments[this.index++].size;
+    }
+
+    /**
+     * Advances the read position across fragments
+     * @param {number} byteCount number of bytes to advance
+     */
+    advance(byteCount){
+        let rest = byteCount;
+
+        while(rest > 0){
+            const fragment = this.fragments[this.index],
+                  n = Math.min(rest, fragment.remaining());
+
+            fragment.cursor += n;
+            rest -= n;
+
+            this.nextFragment();
+        }
+    }
+
+    /**
+     * Copies bytes from the read position into a new stream, without advancing
+     * @param {number} byteCount number of bytes to copy
+     * @returns {ArrayBufferStream}
+     */
+    window(byteCount){
+        const bytes = new Uint8Array(byteCount);
+
+        // Only the current fragment has been partly read, the following ones are at their start
+        for(let i = this.index, n = 0; n < byteCount; ++i){
+            const {buffer, byteOffset, cursor, size} = this.fragments[i],
+                  length = Math.min(byteCount - n, size - cursor);
+
+            bytes.set(new Uint8Array(buffer, byteOffset + cursor, length), n);
+            n += length;
+        }
+
+        return new ArrayBufferStream(bytes, this.littleEndian, {
+            strictTerminators: this.strictTerminators || byteCount < this.remaining()
+        });
+    }
+
+    /**
+     * Reads with a synchronous callback. fn is first called on the current fragment in place.
+     * If it runs out of bytes, it is called again on a contiguous copy of the following bytes,
+     * doubling in size until the read fits, so fn may run several times and should only read.
+     * Any ArrayBufferStream read can be used this way, e.g. `reader.read((s) => Header.read(s))`
+     * for a Struct.
+     * @template T
+     * @param {function(ArrayBufferStream): T} fn callback that reads from the data
+     * @param {number} [byteCount=0] number of bytes the read is known to need
+     * @returns {T}
+     */
+    read(fn, byteCount = 0){
+        this.nextFragment();
+
+        const remaining = this.remaining();
+        let stream = this.fragments[this.index],
+            cursor = stream?.cursor ?? 0;
+
+        if(stream && byteCount <= stream.remaining()){
+            stream.strictTerminators = this.strictTerminators || this.index < this.fragments.length - 1;
+        }else{
+            stream = this.window(Math.min(remaining, Math.max(byteCount, MIN_WINDOW)));
+            cursor = 0;
+        }
+
+        for(;;){
+            try{
+                const val = fn.call(stream, stream),
+                      n = stream.cursor - cursor;
+
+                stream.cursor = cursor;
+                this.advance(n);
+
+                return val;
+            }catch(e){
+                stream.cursor = cursor;
+
+                if(!(e instanceof StreamUnderflowError))
+                    throw e;
+
+                const available = stream.size - cursor;
+
+                if(available >= remaining)
+                    throw new StreamUnderflowError(e.operation, this.position, e.byteCount, this.size);
+
+                stream = this.window(Math.min(remaining, Math.max(available * 2, byteCount, MIN_WINDOW)));
+                cursor = 0;
+            }
+        }
+    }
+
+    /**
+     * Advances the read position without reading
+     * @param {number} byteCount number of bytes to skip
+     */
+    skip(byteCount){
+        if(byteCount > this.remaining())
+            throw new StreamUnderflowError('skip', this.position, byteCount, this.size);
+
+        this.advance(byteCount);
+    }
+}
+
+defineReadMethods(ChunkedStreamReader);
+
+export default ChunkedStreamReader;
@@ -0,0 +1,147 @@
+/**
+ * Supported formats: [zlib compress function, zlib decompress function]
+ */
+const ZLIB_FUNCTIONS = {
+    'deflate-raw': ['deflateRaw', 'inflateRaw'],
+    'deflate': ['deflate', 'inflate'],
+    'gzip': ['gzip', 'gunzip']
+};
+
+const IS_NODE = typeof globalThis.process?.versions?.node === 'string';
+
+/**
+ * @type {Promise<typeof import('node:zlib')>}
+ */
+let zlib = null;
+
+/**
+ * Implementation in use: zlib in Node, CompressionStream and DecompressionStream elsewhere
+ * @type {('zlib'|'streams')}
+ */
+let backend = IS_NODE ? 'zlib' : 'streams';
+
+/**
+ * Chooses the implementation used for compression. Mainly useful to test the streams
+ * implementation in Node, which provides both.
+ * @param {('zlib'|'streams')} [name] implementation to use, defaults to the one for the current platform
+ */
+function setCompressionBackend(name = IS_NODE ? 'zlib' : 'streams'){
+    if(name !== 'zlib' && name !== 'streams')
+        throw new TypeError(`Unsupported compression backend: ${name}`);
+
+    backend = name;
+}
+
+/**
+ * Runs a zlib function in the thread pool
+ * @param {string} name name of the zlib function
+ * @param {Uint8Array} bytes
+ * @param {number} [maxLength=Infinity] largest accepted output in bytes
+ * @returns {Promise<?Uint8Array>} the output, or null if it would exceed maxLength
+ */
+async function runZlib(name, bytes, maxLength = Infinity){
+    // Imported on first use, so that browser builds never load it
+    if(!zlib)
+        zlib = import('node:zlib');
+
+    const lib = await zlib,
+          options = Number.isFinite(maxLength) ? { maxOutputLength: maxLength } : {};
+
+    return new Promise((resolve, reject) => {
+        lib[name](bytes, options, (e, result) => {
+            if(e)
+                return e.code === 'ERR_BUFFER_TOO_LARGE' ? resolve(null) : reject(e);
+
+            resolve(new Uint8Array(result.buffer, result.byteOffset, result.byteLength));
+        });
+    });
+}
+
+/**
+ * Pipes bytes through a CompressionStream or DecompressionStream
+ * @param {TransformStream} transform
+ * @param {Uint8Array} bytes
+ * @param {number} [maxLength=Infinity] largest accepted output in bytes
+ * @returns {Promise<?Uint8Array>} the output, or null if it would exceed maxLength
+ */
+async function runTransform(transform, bytes, maxLength = Infinity){
+    // The Blob copies the bytes, so the source can change while the transform runs
+    const reader = new Blob([bytes]).stream().pipeThrough(transform).getReader(),
+          chunks = [];
+
+    let length = 0;
+
+    for(;;){
+        const {done, value} = await reader.read();
+
+        if(done)
+            break;
+
+        length += value.length;
+
+        if(length > maxLength){
+            await reader.cancel();
+            return null;
+        }
+
+        chunks.push(value);
+    }
+
+    const output = new Uint8Array(length);
+
+    let offset = 0;
+    for(const chunk of chunks){
+        output.set(chunk, offset);
+        offset += chunk.length;
+    }
+
+    return output;
+}
+
+/**
+ * @param {string} format
+ */
+function checkFormat(format){
+    if(!Object.prototype.hasOwnProperty.call(ZLIB_FUNCTIONS, format))
+        throw new TypeError(`Unsupported compression format: ${format}`);
+}
+
+/**
+ * Compresses bytes with the current backend
+ * @param {('deflate-raw'|'deflate'|'gzip')} format
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>} the compressed bytes
+ */
+async function compress(format, bytes){
+    checkFormat(format);
+
+    return backend === 'zlib' ? runZlib(ZLIB_FUNCTIONS[format][0], bytes) : runTransform(new CompressionStream(format), bytes);
+}
+
+/**
+ * Decompresses bytes with the current backend
+ * @param {('deflate-raw'|'deflate'|'gzip')} format
+ * @param {Uint8Array} bytes
+ * @param {number} offset offset of the bytes in their stream, for error reporting
+ * @param {number} maxLength largest accepted output in bytes
+ * @returns {Promise<Uint8Array>} the decompressed bytes
+ */
+async function decompress(format, bytes, offset, maxLength){
+    checkFormat(format);
+
+    let output;
+    try{
+        output = await (backend === 'zlib'
+            ? runZlib(ZLIB_FUNCTIONS[format][1], bytes, maxLength)
+            : runTransform(new DecompressionStream(format), bytes, maxLength));
+    }catch(e){
+        throw new RangeError(`Invalid ${format} data at offset ${offset}: ${e.message}`, { cause: e });
+    }
+
+    if(output === null)
+        throw new RangeError(`Decompressed ${format} data at offset ${offset} exceeds ${maxLength} bytes`);
+
+    return output;
+}
+
+export { compress, decompress, setCompressionBackend };
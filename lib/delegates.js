@@ -0,0 +1,116 @@
+/**
+ * ArrayBufferStream reads provided by the incremental readers, with the number of bytes each read
+ * is known to need given its arguments. The readers pass this on to their read method.
+ * @type {Object<string, function(...*): number>}
+ */
+const READ_METHODS = {
+    getNextUint8: () => 1,
+    getNextInt8: () => 1,
+    getNextUint16: () => 2,
+    getNextInt16: () => 2,
+    getNextUint32: () => 4,
+    getNextInt32: () => 4,
+    getNextBigUint64: () => 8,
+    getNextUint64: () => 8,
+    getNextBigInt64: () => 8,
+    getNextInt64: () => 8,
+    getNextUNorm8: () => 1,
+    getNextUNorm16: () => 2,
+    getNextUNorm32: () => 4,
+    getNextSNorm8: () => 1,
+    getNextSNorm16: () => 2,
+    getNextFloat16: () => 2,
+    getNextFloat32: () => 4,
+    getNextFloat64: () => 8,
+    getNextUint8Array: (length) => length,
+    getNextInt8Array: (length) => length,
+    getNextUint16Array: (length) => length * 2,
+    getNextInt16Array: (length) => length * 2,
+    getNextUint32Array: (length) => length * 4,
+    getNextInt32Array: (length) => length * 4,
+    getNextBigUint64Array: (length) => length * 8,
+    getNextBigInt64Array: (length) => length * 8,
+    getNextUNorm8Array: (length) => length,
+    getNextUNorm16Array: (length) => length * 2,
+    getNextUNorm32Array: (length) => length * 4,
+    getNextSNorm8Array: (length) => length,
+    getNextSNorm16Array: (length) => length * 2,
+    getNextFloat16Array: (length) => length * 2,
+    getNextFloat32Array: (length) => length * 4,
+    getNextFloat64Array: (length) => length * 8,
+    getNextVarUint: () => 1,
+    getNextBigVarUint: () => 1,
+    getNextVarInt: () => 1,
+    getNextBigVarInt: () => 1,
+    getNextZigZagVarInt: () => 1,
+    getNextBigZigZagVarInt: () => 1,
+    getNextASCIIString: () => 1,
+    getNextUTF8String: (byteLength) => byteLength ?? 1,
+    getNextUTF16String: (byteLength) => byteLength ?? 2,
+    getNextLengthPrefixedString: () => 1,
+    getNextFixedString: (byteWidth) => byteWidth,
+    getNextLine: () => 1
+};
+
+/**
+ * ArrayBufferStream writes provided by AsyncStreamWriter
+ * @type {string[]}
+ */
+const WRITE_METHODS = [
+    'writeUint8', 'writeInt8', 'writeUint16', 'writeInt16', 'writeUint32', 'writeInt32', 'writeUint64', 'writeInt64',
+    'writeUint8Clamped', 'writeInt8Clamped', 'writeUint16Clamped', 'writeInt16Clamped',
+    'writeUint32Clamped', 'writeInt32Clamped', 'writeUint64Clamped', 'writeInt64Clamped',
+    'writeUNorm8', 'writeUNorm16', 'writeUNorm32', 'writeSNorm8', 'writeSNorm16',
+    'writeUNorm8Clamped', 'writeUNorm16Clamped', 'writeUNorm32Clamped', 'writeSNorm8Clamped', 'writeSNorm16Clamped',
+    'writeFloat16', 'writeFloat32', 'writeFloat64',
+    'writeUint8Array', 'writeInt8Array', 'writeUint16Array', 'writeInt16Array',
+    'writeUint32Array', 'writeInt32Array', 'writeUint64Array', 'writeInt64Array',
+    'writeUNorm8Array', 'writeUNorm16Array', 'writeUNorm32Array', 'writeSNorm8Array', 'writeSNorm16Array',
+    'writeFloat16Array', 'writeFloat32Array', 'writeFloat64Array',
+    'writeBytes', 'writePadding', 'writeVarUint', 'writeVarInt', 'writeZigZagVarInt',
+    'writeASCIIString', 'writeUTF8String', 'writeUTF16String', 'writeLengthPrefixedString', 'writeFixedString', 'writeLine'
+];
+
+/**
+ * Adds a method to a class prototype, non-enumerable like methods declared in the class body
+ * @param {Function} target class to extend
+ * @param {string} name method name
+ * @param {Function} method
+ */
+function defineMethod(target, name, method){
+    Object.defineProperty(target.prototype, name, { value: method, writable: true, configurable: true });
+}
+
+/**
+ * Adds every method in READ_METHODS to a reader class. Each one calls `read(fn, byteCount, operation)`
+ * with a callback that runs the ArrayBufferStream method of the same name, so it takes the same arguments
+ * and returns what read returns for it.
+ * @param {Function} target reader class with a read method
+ */
+function defineReadMethods(target){
+    for(const [name, byteCount] of Object.entries(READ_METHODS)){
+        defineMethod(target, name, {
+            [name](...args){
+                return this.read((s) => s[name](...args), byteCount(...args), name);
+            }
+        }[name]);
+    }
+}
+
+/**
+ * Adds every method in WRITE_METHODS to a writer class. Each one calls `write(fn)`
+ * with a callback that runs the ArrayBufferStream method of the same name, so it takes the same arguments
+ * and returns what write returns for it.
+ * @param {Function} target writer class with a write method
+ */
+function defineWriteMethods(target){
+    for(const name of WRITE_METHODS){
+        defineMethod(target, name, {
+            [name](...args){
+                return this.write((s) => s[name](...args));
+            }
+        }[name]);
+    }
+}
+
+export { READ_METHODS, WRITE_METHODS, defineReadMethods, defineWriteMethods };
@@ -0,0 +1,146 @@
+/**
+ * Base class for errors raised by ArrayBufferStream operations.
+ * Carries the context of the failed operation so that callers can tell
+ * a truncated input apart from a programming error.
+ */
+class StreamError extends RangeError{
+    /**
+     * Constructs a StreamError
+     * @param {string} message 
+     * @param {object} context
+     * @param {string} context.operation name of the operation that failed
+     * @param {number} context.cursor cursor at the start of the operation
+     * @param {number} context.byteCount number of bytes requested by the operation
+     * @param {number} context.size size of the underlying buffer in bytes
+     */
+    constructor(message, {operation, cursor, byteCount, size}){
+        super(message);
+
+        this.name = 'StreamError';
+
+        /**
+         * Name of the operation that failed
+         * @type {string}
+         */
+        this.operation = operation;
+
+        /**
+         * Cursor at the start of the operation
+         * @type {number}
+         */
+        this.cursor = cursor;
+
+        /**
+         * Number of bytes requested by the operation
+         * @type {number}
+         */
+        this.byteCount = byteCount;
+
+        /**
+         * Size of the underlying buffer in bytes
+         * @type {number}
+         */
+        this.size = size;
+    }
+}
+
+/**
+ * Thrown when a read needs more bytes than remain in the buffer
+ */
+class StreamUnderflowError extends StreamError{
+    /**
+     * Constructs a StreamUnderflowError
+     * @param {string} operation name of the operation that failed
+     * @param {number} cursor cursor at the start of the operation
+     * @param {number} byteCount number of bytes requested
+     * @param {number} size size of the underlying buffer in bytes
+     */
+    constructor(operation, cursor, byteCount, size){
+        super(`${operation} needs ${byteCount} bytes at offset ${cursor}, but only ${Math.max(0, size - cursor)} remain (length: ${size})`,
+            { operation, cursor, byteCount, size });
+
+        this.name = 'StreamUnderflowError';
+    }
+}
+
+/**
+ * Thrown by incremental readers when a read needs more bytes than the source provided before it ended
+ */
+class EndOfStreamError extends StreamUnderflowError{
+    /**
+     * Constructs an EndOfStreamError
+     * @param {string} operation name of the operation that failed
+     * @param {number} cursor position in the source at the start of the operation
+     * @param {number} byteCount number of bytes requested
+     * @param {number} size total number of bytes the source provided
+     */
+    constructor(operation, cursor, byteCount, size){
+        super(operation, cursor, byteCount, size);
+
+        this.message = `${operation} needs ${byteCount} bytes at offset ${cursor}, but the source ended after ${size} bytes`;
+        this.name = 'EndOfStreamError';
+    }
+}
+
+/**
+ * Thrown when a write needs more bytes than remain in the buffer
+ */
+class StreamOverflowError extends StreamError{
+    /**
+     * Constructs a StreamOverflowError
+     * @param {string} operation name of the operation that failed
+     * @param {number} cursor cursor at the start of the operation
+     * @param {number} byteCount number of bytes requested
+     * @param {number} size size of the underlying buffer in bytes
+     */
+    constructor(operation, cursor, byteCount, size){
+        super(`${operation} writes ${byteCount} bytes at offset ${cursor}, but only ${Math.max(0, size - cursor)} remain (length: ${size})`,
+            { operation, cursor, byteCount, size });
+
+        this.name = 'StreamOverflowError';
+    }
+}
+
+/**
+ * Thrown when the cursor is set to an invalid or out of range value
+ */
+class InvalidCursorError extends StreamError{
+    /**
+     * Constructs an InvalidCursorError
+     * @param {string} operation name of the operation that failed
+     * @param {*} cursor requested cursor value
+     * @param {number} size size of the underlying buffer in bytes
+     */
+    constructor(operation, cursor, size){
+        super(isNaN(+cursor)
+                ? `Invalid value for cursor: ${cursor}`
+                : `Cursor out of range (cursor: ${cursor}, length: ${size})`,
+            { operation, cursor, byteCount: 0, size });
+
+        this.name = 'InvalidCursorError';
+    }
+}
+
+/**
+ * Thrown when an ArrayBufferStream is constructed from an unsupported source
+ */
+class UnsupportedSourceError extends StreamError{
+    /**
+     * Constructs an UnsupportedSourceError
+     * @param {*} source value passed to the constructor
+     */
+    constructor(source){
+        super(`Unsupported: [${typeof source}] ${source}`,
+            { operation: 'constructor', cursor: 0, byteCount: 0, size: 0 });
+
+        this.name = 'UnsupportedSourceError';
+
+        /**
+         * Value passed to the constructor
+         * @type {*}
+         */
+        this.source = source;
+    }
+}
+
+export { StreamError, StreamUnderflowError, EndOfStreamError, StreamOverflowError, InvalidCursorError, UnsupportedSourceError };
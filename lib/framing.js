@@ -0,0 +1,331 @@
+import ArrayBufferStream from '../index.js';
+import ChunkedStreamReader from './chunked-reader.js';
+import { StreamUnderflowError, EndOfStreamError, UnsupportedSourceError } from './errors.js';
+import { toBytes } from './bytes.js';
+
+/**
+ * Supported length fields: maximum value
+ */
+const LENGTH_TYPES = {
+    uint8: 0xFF,
+    uint16: 0xFFFF,
+    uint32: 0xFFFFFFFF,
+    varint: Number.MAX_SAFE_INTEGER
+};
+
+/**
+ * Supported sequence number fields: number of distinct values before the sequence wraps around to 0
+ */
+const SEQUENCE_TYPES = {
+    uint16: 0x10000,
+    uint32: 0x100000000,
+    varint: Infinity
+};
+
+/**
+ * Header layout shared by MessageEncoder and MessageDecoder
+ * @typedef {object} FrameOptions
+ * @property {('uint8'|'uint16'|'uint32'|'varint')} [lengthType='uint32'] type of the length field
+ * @property {boolean} [typed=false] whether a UINT8 message type follows the length
+ * @property {('uint16'|'uint32'|'varint')} [sequenceType] type of the sequence number that follows
+ * the message type, if any
+ */
+
+/**
+ * A decoded message
+ * @typedef {object} Message
+ * @property {(number|null)} type message type, or null if the header has none
+ * @property {(number|null)} sequence sequence number, or null if the header has none
+ * @property {ArrayBufferStream} body the message body
+ */
+
+/**
+ * Validates the header layout
+ * @param {FrameOptions} [options]
+ * @returns {{lengthType: string, typed: boolean, sequenceType: (string|null)}}
+ */
+function toFrameLayout(options){
+    const lengthType = options?.lengthType ?? 'uint32',
+          sequenceType = options?.sequenceType ?? null;
+
+    if(LENGTH_TYPES[lengthType] === undefined)
+        throw new TypeError(`Unsupported length type: ${lengthType}`);
+
+    if(sequenceType !== null && SEQUENCE_TYPES[sequenceType] === undefined)
+        throw new TypeError(`Unsupported sequence type: ${sequenceType}`);
+
+    return { lengthType, typed: !!options?.typed, sequenceType };
+}
+
+/**
+ * @param {(function(ArrayBufferStream): void|ArrayBufferLike|ArrayBufferView)} body
+ * @returns {function(ArrayBufferStream): void}
+ */
+function toBodyWriter(body){
+    if(typeof body === 'function')
+        return body;
+
+    const bytes = toBytes(body);
+
+    if(!bytes)
+        throw new UnsupportedSourceError(body);
+
+    return (s) => s.writeBytes(bytes);
+}
+
+/**
+ * Writes messages as frames of a length field, an optional UINT8 message type, an optional sequence number
+ * and the body. The length counts every byte after the length field, so receivers can skip messages
+ * they do not understand.
+ */
+class MessageEncoder{
+    /**
+     * Constructs a MessageEncoder
+     * @param {boolean} [littleEndian=false] Whether to use "Little Endian" for byte order
+     * @param {FrameOptions} [options]
+     */
+    constructor(littleEndian, options){
+        const {lengthType, typed, sequenceType} = toFrameLayout(options);
+
+        /**
+         * @type {boolean}
+         */
+        this.littleEndian = !!littleEndian;
+
+        /**
+         * @type {('uint8'|'uint16'|'uint32'|'varint')}
+         */
+        this.lengthType = lengthType;
+
+        /**
+         * @type {boolean}
+         */
+        this.typed = typed;
+
+        /**
+         * @type {(('uint16'|'uint32'|'varint')|null)}
+         */
+        this.sequenceType = sequenceType;
+
+        /**
+         * Sequence number of the next message
+         * @type {number}
+         */
+        this.sequence = 0;
+    }
+
+    /**
+     * Writes a message frame at the cursor, advances cursor
+     * @param {ArrayBufferStream} stream stream to write to
+     * @param {(function(ArrayBufferStream): void|ArrayBufferLike|ArrayBufferView)} body bytes of the body,
+     * or a callback that writes the body to the stream
+     * @param {number} [type] message type, required if the encoder is typed
+     * @returns {number} number of bytes written, including the header
+     */
+    write(stream, body, type){
+        const writeBody = toBodyWriter(body),
+              start = stream.cursor;
+
+        if(this.typed && (!Number.isInteger(type) || type < 0 || type > 0xFF))
+            throw new RangeError(`Message type must be a UINT8: ${type}`);
+
+        stream.writeSized(this.lengthType, () => {
+            if(this.typed)
+                stream.writeUint8(type);
+
+            switch(this.sequenceType){
+                case 'uint16': stream.writeUint16(this.sequence); break;
+                case 'uint32': stream.writeUint32(this.sequence); break;
+                case 'varint': stream.writeVarUint(this.sequence); break;
+            }
+
+            writeBody.call(stream, stream);
+        });
+
+        if(this.sequenceType !== null)
+            this.sequence = (this.sequence + 1) % SEQUENCE_TYPES[this.sequenceType];
+
+        return stream.cursor - start;
+    }
+
+    /**
+     * Encodes a message frame into new memory
+     * @param {(function(ArrayBufferStream): void|ArrayBufferLike|ArrayBufferView)} body bytes of the body,
+     * or a callback that writes the body to the stream
+     * @param {number} [type] message type, required if the encoder is typed
+     * @returns {Uint8Array} the frame
+     */
+    encode(body, type){
+        const stream = new ArrayBufferStream(64, this.littleEndian, { growable: true });
+
+        this.write(stream, body, type);
+
+        return new Uint8Array(stream.trimToCursor());
+    }
+}
+
+/**
+ * Splits a byte stream into the messages written by a MessageEncoder with the same options.
+ * Input can be pushed in pieces of any size, such as TCP segments or WebSocket messages.
+ * Bodies are returned as sub-streams and share memory with the pushed input where possible,
+ * so the input should not be modified afterwards.
+ *
+ * After an error, the position in the byte stream is lost, so the connection should be closed.
+ */
+class MessageDecoder{
+    /**
+     * Constructs a MessageDecoder
+     * @param {boolean} [littleEndian=false] Whether to use "Little Endian" for byte order
+     * @param {FrameOptions} [options]
+     * @param {number} [options.maxLength=Infinity] largest accepted value of the length field.
+     * Larger messages throw a RangeError as soon as their length has been read.
+     */
+    constructor(littleEndian, options){
+        const {lengthType, typed, sequenceType} = toFrameLayout(options);
+
+        /**
+         * @type {boolean}
+         */
+        this.littleEndian = !!littleEndian;
+
+        /**
+         * @type {('uint8'|'uint16'|'uint32'|'varint')}
+         */
+        this.lengthType = lengthType;
+
+        /**
+         * @type {boolean}
+         */
+        this.typed = typed;
+
+        /**
+         * @type {(('uint16'|'uint32'|'varint')|null)}
+         */
+        this.sequenceType = sequenceType;
+
+        /**
+         * Largest accepted value of the length field
+         * @type {number}
+         */
+        this.maxLength = options?.maxLength ?? Infinity;
+
+        /**
+         * Input that has not been decoded yet
+         * @type {ChunkedStreamReader}
+         */
+        this.reader = new ChunkedStreamReader([], this.littleEndian);
+
+        /**
+         * Length of the frame being received, once its length field is complete
+         * @type {(number|null)}
+         */
+        this.length = null;
+    }
+
+    /**
+     * Number of bytes pushed that do not belong to a complete message yet
+     * @type {number}
+     */
+    get buffered(){
+        return this.reader.remaining();
+    }
+
+    /**
+     * Reads the length field if it is complete, advances position
+     * @returns {(number|null)} the length, or null if more input is needed
+     */
+    readLength(){
+        const {reader} = this;
+
+        try{
+            switch(this.lengthType){
+                case 'uint8': return reader.getNextUint8();
+                case 'uint16': return reader.getNextUint16();
+                case 'uint32': return reader.getNextUint32();
+                case 'varint': return reader.getNextVarUint();
+            }
+        }catch(e){
+            if(e instanceof StreamUnderflowError)
+                return null;
+
+            throw e;
+        }
+    }
+
+    /**
+     * Reads the header fields from a complete frame
+     * @param {ArrayBufferStream} frame everything after the length field
+     * @returns {Message}
+     */
+    parse(frame){
+        const type = this.typed ? frame.getNextUint8() : null;
+
+        let sequence = null;
+        switch(this.sequenceType){
+            case 'uint16': sequence = frame.getNextUint16(); break;
+            case 'uint32': sequence = frame.getNextUint32(); break;
+            case 'varint': sequence = frame.getNextVarUint(); break;
+        }
+
+        return { type, sequence, body: frame.takeSubStream(frame.remaining()) };
+    }
+
+    /**
+     * Adds input and decodes every message it completes
+     * @param {(ArrayBufferLike|ArrayBufferView)} chunk the next piece of input
+     * @returns {Message[]} the completed messages, in order
+     */
+    push(chunk){
+        const {reader} = this,
+              messages = [];
+
+        reader.append(chunk);
+
+        for(;;){
+            if(this.length === null){
+                if(reader.isEOF())
+                    break;
+
+                const start = reader.position,
+                      length = this.readLength();
+
+                if(length === null)
+                    break;
+
+                if(length > this.maxLength)
+                    throw new RangeError(`Message length ${length} at offset ${start} exceeds maximum ${this.maxLength}`);
+
+                this.length = length;
+            }
+
+            if(reader.remaining() < this.length)
+                break;
+
+            const {length} = this,
+                  frame = reader.read((s) => s.takeSubStream(length), length);
+
+            this.length = null;
+            messages.push(this.parse(frame));
+        }
+
+        reader.discardConsumed();
+
+        return messages;
+    }
+
+    /**
+     * Checks that the input ended on a message boundary, e.g. when the connection closes
+     * @throws {EndOfStreamError} if part of a message has been pushed
+     */
+    end(){
+        const {reader} = this;
+
+        if(this.length !== null)
+            throw new EndOfStreamError('MessageDecoder', reader.position, this.length, reader.size);
+
+        if(!reader.isEOF())
+            throw new EndOfStreamError('MessageDecoder', reader.position, reader.remaining() + 1, reader.size);
+    }
+}
+
+export { MessageEncoder, MessageDecoder };
@@ -0,0 +1,77 @@
+/**
+ * Supported length prefixes: size in bytes, for the fixed-size ones
+ */
+const LENGTH_PREFIX_SIZES = { uint8: 1, uint16: 2, uint32: 4 };
+
+/**
+ * Supported length prefixes: largest length they can hold
+ */
+const LENGTH_PREFIX_RANGES = { uint8: 0xFF, uint16: 0xFFFF, uint32: 0xFFFFFFFF, varint: Number.MAX_SAFE_INTEGER };
+
+/**
+ * @param {string} type 
+ */
+function checkLengthPrefix(type){
+    if(!Object.prototype.hasOwnProperty.call(LENGTH_PREFIX_RANGES, type))
+        throw new TypeError(`Unsupported length prefix: ${type}`);
+}
+
+/**
+ * Number of bytes taken up by a length prefix of the given type
+ * @param {('uint8'|'uint16'|'uint32'|'varint')} type 
+ * @param {number} length 
+ * @returns {number}
+ */
+function lengthPrefixByteLength(type, length){
+    checkLengthPrefix(type);
+
+    if(type !== 'varint')
+        return LENGTH_PREFIX_SIZES[type];
+
+    let n = 1;
+    while(length >= 0x80){
+        length = Math.floor(length / 0x80);
+        ++n;
+    }
+
+    return n;
+}
+
+/**
+ * Writes a length prefix of the given type, advances cursor
+ * @param {import('../index.js').default} stream 
+ * @param {('uint8'|'uint16'|'uint32'|'varint')} type 
+ * @param {number} length 
+ */
+function writeLengthPrefix(stream, type, length){
+    checkLengthPrefix(type);
+
+    if(length > LENGTH_PREFIX_RANGES[type])
+        throw new RangeError(`Length ${length} exceeds ${type} prefix range`);
+
+    switch(type){
+        case 'uint8': stream.writeUint8(length); break;
+        case 'uint16': stream.writeUint16(length); break;
+        case 'uint32': stream.writeUint32(length); break;
+        case 'varint': stream.writeVarUint(length); break;
+    }
+}
+
+/**
+ * Reads a length prefix of the given type, advances cursor
+ * @param {import('../index.js').default} stream 
+ * @param {('uint8'|'uint16'|'uint32'|'varint')} type 
+ * @returns {number}
+ */
+function getNextLengthPrefix(stream, type){
+    switch(type){
+        case 'uint8': return stream.getNextUint8();
+        case 'uint16': return stream.getNextUint16();
+        case 'uint32': return stream.getNextUint32();
+        case 'varint': return stream.getNextVarUint();
+    }
+
+    throw new TypeError(`Unsupported length prefix: ${type}`);
+}
+
+export { lengthPrefixByteLength, writeLengthPrefix, getNextLengthPrefix };
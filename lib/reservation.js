@@ -0,0 +1,79 @@
+/**
+ * Reservable types: [byte size, absolute-offset setter, maximum value]
+ */
+const RESERVABLE_TYPES = {
+    uint8: [1, 'setUint8At', 0xFF],
+    uint16: [2, 'setUint16At', 0xFFFF],
+    uint32: [4, 'setUint32At', 0xFFFFFFFF]
+};
+
+/**
+ * Placeholder for an unsigned field that is written before its value is known,
+ * such as a length or an offset. The field is zero until one of the setters is called,
+ * which may happen any number of times. Setting the field does not move the cursor.
+ */
+class Reservation{
+    /**
+     * @param {import('../index.js').default} stream stream that the field was reserved in
+     * @param {('uint8'|'uint16'|'uint32')} type type of the field
+     * @param {number} offset absolute offset of the field in bytes
+     */
+    constructor(stream, type, offset){
+        if(!RESERVABLE_TYPES[type])
+            throw new TypeError(`Unsupported reservation type: ${type}`);
+
+        /**
+         * @type {import('../index.js').default}
+         */
+        this.stream = stream;
+
+        /**
+         * @type {('uint8'|'uint16'|'uint32')}
+         */
+        this.type = type;
+
+        /**
+         * Absolute offset of the field in bytes
+         * @type {number}
+         */
+        this.offset = offset;
+    }
+
+    /**
+     * Size of the field in bytes
+     * @type {number}
+     */
+    get byteLength(){
+        return RESERVABLE_TYPES[this.type][0];
+    }
+
+    /**
+     * Writes the value of the field
+     * @param {number} val unsigned integer that fits the field
+     */
+    set(val){
+        const [, setter, max] = RESERVABLE_TYPES[this.type];
+
+        if(!Number.isInteger(val) || val < 0 || val > max)
+            throw new RangeError(`Value ${val} is out of ${this.type} range`);
+
+        this.stream[setter](this.offset, val);
+    }
+
+    /**
+     * Writes the current cursor as the value of the field, e.g. for offset tables
+     */
+    setToCursor(){
+        this.set(this.stream.cursor);
+    }
+
+    /**
+     * Writes the number of bytes between the end of the field and the cursor,
+     * e.g. for the length of a chunk written after it
+     */
+    setLength(){
+        this.set(this.stream.cursor - this.offset - this.byteLength);
+    }
+}
+
+export default Reservation;
@@ -0,0 +1,263 @@
+import { lengthPrefixByteLength, writeLengthPrefix, getNextLengthPrefix } from './length-prefix.js';
+
+const UTF8_ENCODER = new TextEncoder();
+const FRAMED_STRING_ENCODINGS = ['utf8', 'ascii', 'latin1'];
+
+/**
+ * Fixed-size primitive types: [byte size, write method, read method, array read method]
+ */
+const PRIMITIVES = {
+    uint8: [1, 'writeUint8', 'getNextUint8', 'getNextUint8Array'],
+    int8: [1, 'writeInt8', 'getNextInt8', 'getNextInt8Array'],
+    uint16: [2, 'writeUint16', 'getNextUint16', 'getNextUint16Array'],
+    int16: [2, 'writeInt16', 'getNextInt16', 'getNextInt16Array'],
+    uint32: [4, 'writeUint32', 'getNextUint32', 'getNextUint32Array'],
+    int32: [4, 'writeInt32', 'getNextInt32', 'getNextInt32Array'],
+    uint64: [8, 'writeUint64', 'getNextBigUint64', 'getNextBigUint64Array'],
+    int64: [8, 'writeInt64', 'getNextBigInt64', 'getNextBigInt64Array'],
+    float16: [2, 'writeFloat16', 'getNextFloat16', 'getNextFloat16Array'],
+    float32: [4, 'writeFloat32', 'getNextFloat32', 'getNextFloat32Array'],
+    float64: [8, 'writeFloat64', 'getNextFloat64', 'getNextFloat64Array'],
+    unorm8: [1, 'writeUNorm8', 'getNextUNorm8', 'getNextUNorm8Array'],
+    unorm16: [2, 'writeUNorm16', 'getNextUNorm16', 'getNextUNorm16Array'],
+    unorm32: [4, 'writeUNorm32', 'getNextUNorm32', 'getNextUNorm32Array'],
+    snorm8: [1, 'writeSNorm8', 'getNextSNorm8', 'getNextSNorm8Array'],
+    snorm16: [2, 'writeSNorm16', 'getNextSNorm16', 'getNextSNorm16Array']
+};
+
+/**
+ * Builds a codec for a fixed-size primitive type
+ * @param {string} type 
+ */
+function primitiveCodec(type){
+    const [size, write, read, readArray] = PRIMITIVES[type];
+
+    return {
+        size,
+        readArray,
+        read: (stream) => stream[read](),
+        write: (stream, val) => stream[write](val),
+        byteLength: () => size
+    };
+}
+
+/**
+ * Builds a codec for a string field.
+ * Strings are null-terminated by default, or framed by a byte length prefix or a fixed byte width.
+ * @param {object} spec 
+ */
+function stringCodec(spec){
+    const {lengthPrefix, byteWidth, padByte = 0x00} = spec,
+          encoding = spec.encoding || 'utf8',
+          encodedLength = encoding === 'utf8'
+              ? (str) => UTF8_ENCODER.encode(str ?? '').length
+              : (str) => (str?.length || 0) * (encoding === 'utf16' ? 2 : 1);
+
+    // Length-prefixed and fixed-width strings are encoded by encodeString, which has no UTF-16
+    if((byteWidth !== undefined || lengthPrefix !== undefined) && !FRAMED_STRING_ENCODINGS.includes(encoding))
+        throw new TypeError(`Unsupported encoding for length-prefixed or fixed-width string: ${encoding}`);
+
+    if(byteWidth !== undefined){
+        return {
+            read: (stream) => stream.getNextFixedString(byteWidth, encoding, padByte),
+            write: (stream, val) => stream.writeFixedString(val, byteWidth, encoding, padByte),
+            byteLength: () => byteWidth
+        };
+    }
+
+    if(lengthPrefix !== undefined){
+        return {
+            read: (stream) => stream.getNextLengthPrefixedString(lengthPrefix, encoding),
+            write: (stream, val) => stream.writeLengthPrefixedString(val, lengthPrefix, encoding),
+            byteLength: (val) => {
+                const len = encodedLength(val);
+                return lengthPrefixByteLength(lengthPrefix, len) + len;
+            }
+        };
+    }
+
+    switch(encoding){
+        case 'utf8':
+            return {
+                read: (stream) => stream.getNextUTF8String(),
+                write: (stream, val) => stream.writeUTF8String(val),
+                byteLength: (val) => encodedLength(val) + 1
+            };
+        case 'utf16':
+            return {
+                read: (stream) => stream.getNextUTF16String(),
+                write: (stream, val) => stream.writeUTF16String(val),
+                byteLength: (val) => encodedLength(val) + 2
+            };
+        case 'ascii':
+            return {
+                read: (stream) => stream.getNextASCIIString(),
+                write: (stream, val) => stream.writeASCIIString(val),
+                byteLength: (val) => encodedLength(val) + 1
+            };
+    }
+
+    throw new TypeError(`Unsupported encoding for null-terminated string: ${encoding}`);
+}
+
+/**
+ * Builds a codec for an array field with either a fixed count or a count prefix.
+ * Arrays of primitives are read into typed arrays, anything else into plain arrays.
+ * @param {object} element codec of a single element
+ * @param {number} [length] fixed number of elements
+ * @param {string} [lengthPrefix] type of the element count prefix
+ */
+function arrayCodec(element, length, lengthPrefix){
+    const fixed = lengthPrefix === undefined;
+
+    return {
+        read: (stream) => {
+            const count = fixed ? length : getNextLengthPrefix(stream, lengthPrefix);
+
+            if(element.readArray)
+                return stream[element.readArray](count);
+
+            const val = new Array(count);
+            for(let i = 0; i < count; ++i){
+                val[i] = element.read(stream);
+            }
+
+            return val;
+        },
+        write: (stream, val) => {
+            const count = val?.length || 0;
+
+            if(fixed){
+                if(count !== length)
+                    throw new RangeError(`Expected ${length} elements, got ${count}`);
+            }else{
+                writeLengthPrefix(stream, lengthPrefix, count);
+            }
+
+            for(let i = 0; i < count; ++i){
+                element.write(stream, val[i]);
+            }
+        },
+        byteLength: (val) => {
+            const count = fixed ? length : (val?.length || 0);
+            let size = fixed ? 0 : lengthPrefixByteLength(lengthPrefix, count);
+
+            if(element.size !== undefined)
+                return size + element.size * count;
+
+            for(let i = 0; i < count; ++i){
+                size += element.byteLength(val[i]);
+            }
+
+            return size;
+        }
+    };
+}
+
+/**
+ * Builds a codec from a field description
+ * @param {(string|Struct|object)} spec 
+ */
+function compileField(spec){
+    if(spec instanceof Struct)
+        return spec;
+
+    if(typeof spec === 'string'){
+        if(spec === 'string')
+            return stringCodec({});
+
+        if(!PRIMITIVES[spec])
+            throw new TypeError(`Unsupported field type: ${spec}`);
+
+        return primitiveCodec(spec);
+    }
+
+    if(spec && typeof spec === 'object'){
+        const {type, length, lengthPrefix} = spec;
+
+        if(type === 'string'){
+            // For strings, lengthPrefix frames each string, so only a fixed length makes an array
+            return length !== undefined
+                ? arrayCodec(stringCodec(spec), length)
+                : stringCodec(spec);
+        }
+
+        if(length !== undefined || lengthPrefix !== undefined)
+            return arrayCodec(compileField(type), length, lengthPrefix);
+
+        return compileField(type);
+    }
+
+    throw new TypeError(`Unsupported field type: ${spec}`);
+}
+
+/**
+ * Describes the binary layout of a record so that it can be read from and written to
+ * an ArrayBufferStream in a single call. Fields are processed in the order they are declared.
+ * 
+ * A field can be:
+ *  - a primitive type name, e.g. 'uint16', 'float32', 'int64' or 'unorm8'
+ *  - 'string' for a null-terminated UTF-8 string
+ *  - a nested Struct
+ *  - an object with a `type` and options:
+ *    - `length` for a fixed number of elements
+ *    - `lengthPrefix` ('uint8', 'uint16', 'uint32' or 'varint') for a count-prefixed array
+ *    - for `type: 'string'`: `encoding`, and `lengthPrefix` (byte length) or `byteWidth` and `padByte`.
+ *      Use a nested description as `type` for count-prefixed arrays of strings.
+ */
+class Struct{
+    /**
+     * Constructs a Struct
+     * @param {Object<string, (string|Struct|object)>} fields field names mapped to their types
+     */
+    constructor(fields){
+        /**
+         * Field names and codecs in declaration order
+         * @type {Array<{name: string, codec: object}>}
+         */
+        this.fields = Object.entries(fields).map(([name, spec]) => ({ name, codec: compileField(spec) }));
+    }
+
+    /**
+     * Reads a record from the stream, advances cursor
+     * @param {import('../index.js').default} stream 
+     * @returns {object}
+     */
+    read(stream){
+        const val = {};
+
+        for(const {name, codec} of this.fields){
+            val[name] = codec.read(stream);
+        }
+
+        return val;
+    }
+
+    /**
+     * Writes a record to the stream, advances cursor
+     * @param {import('../index.js').default} stream 
+     * @param {object} val 
+     */
+    write(stream, val){
+        for(const {name, codec} of this.fields){
+            codec.write(stream, val[name]);
+        }
+    }
+
+    /**
+     * Calculates the number of bytes a record occupies when written
+     * @param {object} val 
+     * @returns {number}
+     */
+    byteLength(val){
+        let size = 0;
+
+        for(const {name, codec} of this.fields){
+            size += codec.byteLength(val?.[name]);
+        }
+
+        return size;
+    }
+}
+
+export default Struct;
@@ -1,7 +1,13 @@
 import chai from 'chai';
 import { expect } from 'chai';
 
-import ArrayBufferStream from '../index.js';
+import ArrayBufferStream, {
+    StreamError,
+    StreamUnderflowError,
+    StreamOverflowError,
+    InvalidCursorError,
+    UnsupportedSourceError
+} from '../index.js';
 
 const should = chai.should();
 
@@ -724,6 +730,275 @@ describe('ArrayBufferStream Tests', () => {
         });
     });
 
+    describe('Can write and read UINT64 values', () => {
+        it('Should write and read single UINT64 values', (done) => {
+            arrayBufferStream.writeUint64(15n);
+            arrayBufferStream.writeUint64(0xFFFFFFFFFFFFFFFFn);
+            arrayBufferStream.writeUint64(52);
+
+            arrayBufferStream.setCursor(0);
+
+            let a = arrayBufferStream.getNextBigUint64();
+            a.should.equal(15n);
+
+            a = arrayBufferStream.getNextBigUint64();
+            a.should.equal(0xFFFFFFFFFFFFFFFFn);
+
+            a = arrayBufferStream.getNextBigUint64();
+            a.should.equal(52n);
+            done();
+        });
+
+        it('Should clamp to valid range', (done) => {
+            arrayBufferStream.writeUint64Clamped(15n);
+            arrayBufferStream.writeUint64Clamped(2n ** 70n);
+            arrayBufferStream.writeUint64Clamped(-141);
+
+            arrayBufferStream.setCursor(0);
+
+            let a = arrayBufferStream.getNextBigUint64();
+            a.should.equal(15n);
+
+            a = arrayBufferStream.getNextBigUint64();
+            a.should.equal(0xFFFFFFFFFFFFFFFFn);
+
+            a = arrayBufferStream.getNextBigUint64();
+            a.should.equal(0n);
+            done();
+        });
+
+        it('Should write multiple UINT64 values', (done) => {
+            arrayBufferStream.writeUint64(15n, 24n, 52n);
+
+            arrayBufferStream.setCursor(0);
+
+            arrayBufferStream.getNextBigUint64().should.equal(15n);
+            arrayBufferStream.getNextBigUint64().should.equal(24n);
+            arrayBufferStream.getNextBigUint64().should.equal(52n);
+            done();
+        });
+
+        it('Should respect byte order', (done) => {
+            const bigEndian = new ArrayBufferStream(8);
+            bigEndian.writeUint64(0x0102030405060708n);
+
+            bigEndian.setCursor(0);
+            bigEndian.getNextUint8().should.equal(1);
+
+            arrayBufferStream.writeUint64(0x0102030405060708n);
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.getNextUint8().should.equal(8);
+            done();
+        });
+
+        it('Should read into buffer with offset', (done) => {
+            const buffer = new BigUint64Array(4);
+            arrayBufferStream.writeUint64(15n, 24n, 52n);
+
+            arrayBufferStream.setCursor(0);
+
+            let array = arrayBufferStream.getNextBigUint64Array(3, buffer, 1);
+
+            array[0].should.equal(0n);
+            array[1].should.equal(15n);
+            array[2].should.equal(24n);
+            array[3].should.equal(52n);
+            done();
+        });
+
+        it('Should read safe UINT64 values as numbers', (done) => {
+            arrayBufferStream.writeUint64(Number.MAX_SAFE_INTEGER);
+            arrayBufferStream.writeUint64(2n ** 53n);
+
+            arrayBufferStream.setCursor(0);
+
+            arrayBufferStream.getNextUint64().should.equal(Number.MAX_SAFE_INTEGER);
+            try{
+                arrayBufferStream.getNextUint64();
+                should.fail('Expected StreamError');
+            }catch(e){
+                e.should.be.instanceOf(StreamError);
+                e.operation.should.equal('getNextUint64');
+                e.cursor.should.equal(8);
+            }
+            arrayBufferStream.cursor.should.equal(8);
+            done();
+        });
+
+        it('Should throw when writing UINT64 out of bounds', (done) => {
+            should.throw(() => {
+                arrayBufferStream.setCursor(60);
+                arrayBufferStream.writeUint64(1n);
+            });
+            done();
+        });
+    });
+
+    describe('Can write and read INT64 values', () => {
+        it('Should write and read single INT64 values', (done) => {
+            arrayBufferStream.writeInt64(-2n);
+            arrayBufferStream.writeInt64(-(2n ** 63n));
+            arrayBufferStream.writeInt64(-52);
+
+            arrayBufferStream.setCursor(0);
+
+            let a = arrayBufferStream.getNextBigInt64();
+            a.should.equal(-2n);
+
+            a = arrayBufferStream.getNextBigInt64();
+            a.should.equal(-(2n ** 63n));
+
+            a = arrayBufferStream.getNextBigInt64();
+            a.should.equal(-52n);
+            done();
+        });
+
+        it('Should clamp to valid range', (done) => {
+            arrayBufferStream.writeInt64Clamped(15);
+            arrayBufferStream.writeInt64Clamped(2n ** 64n);
+            arrayBufferStream.writeInt64Clamped(-(2n ** 64n));
+
+            arrayBufferStream.setCursor(0);
+
+            arrayBufferStream.getNextBigInt64().should.equal(15n);
+            arrayBufferStream.getNextBigInt64().should.equal(2n ** 63n - 1n);
+            arrayBufferStream.getNextBigInt64().should.equal(-(2n ** 63n));
+            done();
+        });
+
+        it('Should read and write INT64 arrays', (done) => {
+            const values = new BigInt64Array([-15n, 24n, -52n]);
+            arrayBufferStream.writeInt64(...values);
+
+            arrayBufferStream.setCursor(0);
+
+            let array = arrayBufferStream.getNextBigInt64Array(3);
+
+            array.should.be.instanceOf(BigInt64Array);
+            array.length.should.equal(3);
+
+            array[0].should.equal(-15n);
+            array[1].should.equal(24n);
+            array[2].should.equal(-52n);
+            done();
+        });
+
+        it('Should read safe INT64 values as numbers', (done) => {
+            arrayBufferStream.writeInt64(-Number.MAX_SAFE_INTEGER);
+            arrayBufferStream.writeInt64(-(2n ** 53n));
+
+            arrayBufferStream.setCursor(0);
+
+            arrayBufferStream.getNextInt64().should.equal(-Number.MAX_SAFE_INTEGER);
+            try{
+                arrayBufferStream.getNextInt64();
+                should.fail('Expected StreamError');
+            }catch(e){
+                e.should.be.instanceOf(StreamError);
+                e.operation.should.equal('getNextInt64');
+                e.cursor.should.equal(8);
+            }
+            arrayBufferStream.cursor.should.equal(8);
+            done();
+        });
+
+        it('Should throw when writing INT64 out of bounds', (done) => {
+            should.throw(() => {
+                arrayBufferStream.setCursor(60);
+                arrayBufferStream.writeInt64(1n);
+            });
+            done();
+        });
+    });
+
+    describe('Can write and read FLOAT16 values', () => {
+        it('Should write and read single FLOAT16 values', (done) => {
+            arrayBufferStream.writeFloat16(1.5);
+            arrayBufferStream.writeFloat16(-2);
+            arrayBufferStream.writeFloat16(65504);
+
+            arrayBufferStream.setCursor(0);
+
+            let a = arrayBufferStream.getNextFloat16();
+            a.should.equal(1.5);
+
+            a = arrayBufferStream.getNextFloat16();
+            a.should.equal(-2);
+
+            a = arrayBufferStream.getNextFloat16();
+            a.should.equal(65504);
+            done();
+        });
+
+        it('Should encode IEEE 754 half precision bits', (done) => {
+            arrayBufferStream.writeFloat16(1, 65504, 2 ** -24, -0, Infinity, NaN);
+
+            arrayBufferStream.setCursor(0);
+
+            const bits = arrayBufferStream.getNextUint16Array(6);
+            bits[0].should.equal(0x3C00);
+            bits[1].should.equal(0x7BFF);
+            bits[2].should.equal(0x0001);
+            bits[3].should.equal(0x8000);
+            bits[4].should.equal(0x7C00);
+            (bits[5] & 0x7C00).should.equal(0x7C00);
+            (bits[5] & 0x03FF).should.not.equal(0);
+            done();
+        });
+
+        it('Should round to nearest even', (done) => {
+            arrayBufferStream.writeFloat16(1 + 2 ** -11, 1 + 3 * 2 ** -11, 1 + 2 ** -10 + 2 ** -12);
+
+            arrayBufferStream.setCursor(0);
+
+            arrayBufferStream.getNextFloat16().should.equal(1);
+            arrayBufferStream.getNextFloat16().should.equal(1 + 2 ** -9);
+            arrayBufferStream.getNextFloat16().should.equal(1 + 2 ** -10);
+            done();
+        });
+
+        it('Should handle subnormals, overflow and special values', (done) => {
+            arrayBufferStream.writeFloat16(2 ** -25, 3 * 2 ** -25, 5 * 2 ** -24, 2 ** -14 - 2 ** -26);
+            arrayBufferStream.writeFloat16(65519, 65520, -Infinity, NaN);
+
+            arrayBufferStream.setCursor(0);
+
+            arrayBufferStream.getNextFloat16().should.equal(0);
+            arrayBufferStream.getNextFloat16().should.equal(2 ** -23);
+            arrayBufferStream.getNextFloat16().should.equal(5 * 2 ** -24);
+            arrayBufferStream.getNextFloat16().should.equal(2 ** -14);
+            arrayBufferStream.getNextFloat16().should.equal(65504);
+            arrayBufferStream.getNextFloat16().should.equal(Infinity);
+            arrayBufferStream.getNextFloat16().should.equal(-Infinity);
+            arrayBufferStream.getNextFloat16().should.be.NaN;
+            done();
+        });
+
+        it('Should read into buffer with offset', (done) => {
+            const buffer = new Float32Array(8).fill(0);
+            arrayBufferStream.writeFloat16(0.5, -0.25, 1024);
+
+            arrayBufferStream.setCursor(0);
+
+            let array = arrayBufferStream.getNextFloat16Array(3, buffer, 1);
+
+            array[0].should.equal(0);
+            array[1].should.equal(0.5);
+            array[2].should.equal(-0.25);
+            array[3].should.equal(1024);
+            done();
+        });
+
+        it('Should throw when writing FLOAT16 out of bounds', (done) => {
+            should.throw(() => {
+                arrayBufferStream.setCursor(63);
+                arrayBufferStream.writeFloat16(1);
+            });
+            done();
+        });
+    });
+
     describe('Can write and read FLOAT32 values', () => {
         it('Should write and read single FLOAT32 values', (done) => {
             arrayBufferStream.writeFloat32(-25.6);
@@ -1136,26 +1411,1918 @@ describe('ArrayBufferStream Tests', () => {
         });
     });
 
-    describe('Can write and read ASCII strings', () => {
-        it('Should write and read ASCII string', (done) => {
-            arrayBufferStream.writeASCIIString('Test');
-            arrayBufferStream.writeASCIIString('Apples');
-            arrayBufferStream.writeASCIIString('Bananas');
+    describe('Can round or floor UNORM writes', () => {
+        it('Should round UNORM values to nearest', (done) => {
+            arrayBufferStream.writeUNorm8(0.999);
+            arrayBufferStream.writeUNorm16(0.5);
 
             arrayBufferStream.setCursor(0);
 
-            let str = arrayBufferStream.getNextASCIIString();
-            str.should.be.a('string');
-            str.should.equal('Test');
+            arrayBufferStream.getNextUint8().should.equal(0xFF);
+            arrayBufferStream.getNextUint16().should.equal(0x8000);
+            done();
+        });
 
-            str = arrayBufferStream.getNextASCIIString();
-            str.should.be.a('string');
-            str.should.equal('Apples');
+        it('Should floor UNORM values with floorNormalized option', (done) => {
+            const stream = new ArrayBufferStream(8, true, { floorNormalized: true });
+            stream.writeUNorm8(0.999);
+            stream.writeUNorm16(0.5);
 
-            str = arrayBufferStream.getNextASCIIString();
-            str.should.be.a('string');
-            str.should.equal('Bananas');
+            stream.setCursor(0);
+
+            stream.getNextUint8().should.equal(0xFE);
+            stream.getNextUint16().should.equal(0x7FFF);
+            done();
+        });
+    });
+
+    describe('Can write and read UNORM32 values', () => {
+        it('Should write and read single UNORM32 values', (done) => {
+            arrayBufferStream.writeUNorm32(0.2);
+            arrayBufferStream.writeUNorm32(0.5);
+            arrayBufferStream.writeUNorm32(1);
+
+            arrayBufferStream.setCursor(0);
+
+            let a = arrayBufferStream.getNextUNorm32();
+            a.should.be.approximately(0.2, 1e-9);
+
+            a = arrayBufferStream.getNextUNorm32();
+            a.should.be.approximately(0.5, 1e-9);
+
+            a = arrayBufferStream.getNextUNorm32();
+            a.should.equal(1);
+            done();
+        });
+
+        it('Should clamp to valid range', (done) => {
+            arrayBufferStream.writeUNorm32Clamped(-200, 0.5, 200);
+
+            arrayBufferStream.setCursor(0);
+
+            arrayBufferStream.getNextUNorm32().should.equal(0);
+            arrayBufferStream.getNextUNorm32().should.be.approximately(0.5, 1e-9);
+            arrayBufferStream.getNextUNorm32().should.equal(1);
+            done();
+        });
+
+        it('Should read into buffer with offset', (done) => {
+            const buffer = new Float64Array(8).fill(0);
+            arrayBufferStream.writeUNorm32(0.2, 0.5, 1);
+
+            arrayBufferStream.setCursor(0);
+
+            let array = arrayBufferStream.getNextUNorm32Array(3, buffer, 1);
+
+            array[0].should.equal(0);
+            array[1].should.be.approximately(0.2, 1e-9);
+            array[2].should.be.approximately(0.5, 1e-9);
+            array[3].should.equal(1);
+            done();
+        });
+
+        it('Should throw when writing UNORM32 out of bounds', (done) => {
+            should.throw(() => {
+                arrayBufferStream.setCursor(62);
+                arrayBufferStream.writeUNorm32(1);
+            });
+            done();
+        });
+    });
+
+    describe('Can write and read SNORM8 values', () => {
+        it('Should write and read single SNORM8 values', (done) => {
+            arrayBufferStream.writeSNorm8(-1);
+            arrayBufferStream.writeSNorm8(0.5);
+            arrayBufferStream.writeSNorm8(1);
+
+            arrayBufferStream.setCursor(0);
+
+            let a = arrayBufferStream.getNextSNorm8();
+            a.should.equal(-1);
+
+            a = arrayBufferStream.getNextSNorm8();
+            a.should.be.approximately(0.5, 0.01);
+
+            a = arrayBufferStream.getNextSNorm8();
+            a.should.equal(1);
+            done();
+        });
+
+        it('Should encode -1 as -127 and decode -128 as -1', (done) => {
+            arrayBufferStream.writeSNorm8(-1);
+            arrayBufferStream.writeInt8(-128);
+
+            arrayBufferStream.setCursor(0);
+
+            arrayBufferStream.getNextInt8().should.equal(-127);
+            arrayBufferStream.getNextSNorm8().should.equal(-1);
+            done();
+        });
+
+        it('Should encode a value and its negation symmetrically', (done) => {
+            arrayBufferStream.writeSNorm8(0.5, -0.5);
+            arrayBufferStream.writeSNorm8Array([0.5, -0.5]);
+            arrayBufferStream.writeSNorm8Clamped(0.5, -0.5);
+
+            arrayBufferStream.setCursor(0);
+
+            for(let i = 0; i < 3; ++i){
+                arrayBufferStream.getNextInt8().should.equal(64);
+                arrayBufferStream.getNextInt8().should.equal(-64);
+            }
+            done();
+        });
+
+        it('Should clamp to valid range', (done) => {
+            arrayBufferStream.writeSNorm8Clamped(-200, 0, 200);
+
+            arrayBufferStream.setCursor(0);
+
+            arrayBufferStream.getNextInt8().should.equal(-127);
+            arrayBufferStream.getNextInt8().should.equal(0);
+            arrayBufferStream.getNextInt8().should.equal(127);
+            done();
+        });
+
+        it('Should read into buffer with offset', (done) => {
+            const buffer = new Float32Array(8).fill(0);
+            arrayBufferStream.writeSNorm8(-0.5, 0.25, 1);
+
+            arrayBufferStream.setCursor(0);
+
+            let array = arrayBufferStream.getNextSNorm8Array(3, buffer, 1);
+
+            array[0].should.equal(0);
+            array[1].should.be.approximately(-0.5, 0.01);
+            array[2].should.be.approximately(0.25, 0.01);
+            array[3].should.equal(1);
+            done();
+        });
+
+        it('Should throw when writing SNORM8 out of bounds', (done) => {
+            should.throw(() => {
+                arrayBufferStream.setCursor(64);
+                arrayBufferStream.writeSNorm8(1);
+            });
+            done();
+        });
+    });
+
+    describe('Can write and read SNORM16 values', () => {
+        it('Should write and read single SNORM16 values', (done) => {
+            arrayBufferStream.writeSNorm16(-1);
+            arrayBufferStream.writeSNorm16(0.5);
+            arrayBufferStream.writeSNorm16(1);
+
+            arrayBufferStream.setCursor(0);
+
+            let a = arrayBufferStream.getNextSNorm16();
+            a.should.equal(-1);
+
+            a = arrayBufferStream.getNextSNorm16();
+            a.should.be.approximately(0.5, 0.0001);
+
+            a = arrayBufferStream.getNextSNorm16();
+            a.should.equal(1);
+            done();
+        });
+
+        it('Should encode -1 as -32767 and decode -32768 as -1', (done) => {
+            arrayBufferStream.writeSNorm16(-1);
+            arrayBufferStream.writeInt16(-32768);
+
+            arrayBufferStream.setCursor(0);
+
+            arrayBufferStream.getNextInt16().should.equal(-32767);
+            arrayBufferStream.getNextSNorm16().should.equal(-1);
+            done();
+        });
+
+        it('Should encode a value and its negation symmetrically', (done) => {
+            arrayBufferStream.writeSNorm16(0.5, -0.5);
+            arrayBufferStream.writeSNorm16Array([0.5, -0.5]);
+            arrayBufferStream.writeSNorm16Clamped(0.5, -0.5);
+
+            arrayBufferStream.setCursor(0);
+
+            for(let i = 0; i < 3; ++i){
+                arrayBufferStream.getNextInt16().should.equal(16384);
+                arrayBufferStream.getNextInt16().should.equal(-16384);
+            }
+            done();
+        });
+
+        it('Should clamp to valid range', (done) => {
+            arrayBufferStream.writeSNorm16Clamped(-200, 0, 200);
+
+            arrayBufferStream.setCursor(0);
+
+            arrayBufferStream.getNextInt16().should.equal(-32767);
+            arrayBufferStream.getNextInt16().should.equal(0);
+            arrayBufferStream.getNextInt16().should.equal(32767);
+            done();
+        });
+
+        it('Should read into buffer with offset', (done) => {
+            const buffer = new Float32Array(8).fill(0);
+            arrayBufferStream.writeSNorm16(-0.5, 0.25, 1);
+
+            arrayBufferStream.setCursor(0);
+
+            let array = arrayBufferStream.getNextSNorm16Array(3, buffer, 1);
+
+            array[0].should.equal(0);
+            array[1].should.be.approximately(-0.5, 0.0001);
+            array[2].should.be.approximately(0.25, 0.0001);
+            array[3].should.equal(1);
+            done();
+        });
+
+        it('Should throw when writing SNORM16 out of bounds', (done) => {
+            should.throw(() => {
+                arrayBufferStream.setCursor(63);
+                arrayBufferStream.writeSNorm16(1);
+            });
+            done();
+        });
+    });
+
+    describe('Can write and read ASCII strings', () => {
+        it('Should write and read ASCII string', (done) => {
+            arrayBufferStream.writeASCIIString('Test');
+            arrayBufferStream.writeASCIIString('Apples');
+            arrayBufferStream.writeASCIIString('Bananas');
+
+            arrayBufferStream.setCursor(0);
+
+            let str = arrayBufferStream.getNextASCIIString();
+            str.should.be.a('string');
+            str.should.equal('Test');
+
+            str = arrayBufferStream.getNextASCIIString();
+            str.should.be.a('string');
+            str.should.equal('Apples');
+
+            str = arrayBufferStream.getNextASCIIString();
+            str.should.be.a('string');
+            str.should.equal('Bananas');
+            done();
+        });
+
+        it('Should read long ASCII strings', (done) => {
+            const stream = new ArrayBufferStream(200001, true);
+            const str = 'a'.repeat(200000);
+            stream.writeASCIIString(str);
+
+            stream.setCursor(0);
+            stream.getNextASCIIString().should.equal(str);
+            stream.cursor.should.equal(200001);
+            done();
+        });
+    });
+
+    describe('Can write and read typed arrays in bulk', () => {
+        const types = [
+            ['Uint8', 'Uint8', Uint8Array, [1, 2, 255]],
+            ['Int8', 'Int8', Int8Array, [-1, 2, -128]],
+            ['Uint16', 'Uint16', Uint16Array, [1, 0xFFFF, 300]],
+            ['Int16', 'Int16', Int16Array, [-1, 0x7FFF, -300]],
+            ['Uint32', 'Uint32', Uint32Array, [1, 0xFFFFFFFF, 70000]],
+            ['Int32', 'Int32', Int32Array, [-1, 0x7FFFFFFF, -70000]],
+            ['Uint64', 'BigUint64', BigUint64Array, [1n, 2n ** 64n - 1n, 70000n]],
+            ['Int64', 'BigInt64', BigInt64Array, [-1n, 2n ** 63n - 1n, -70000n]],
+            ['Float32', 'Float32', Float32Array, [0.5, -1.25, 1024]],
+            ['Float64', 'Float64', Float64Array, [0.1, -1e300, Math.PI]]
+        ];
+
+        types.forEach(([writeName, readName, ArrayType, values]) => {
+            it(`Should write and read ${writeName} arrays in both byte orders and alignments`, (done) => {
+                [true, false].forEach(littleEndian => {
+                    [0, 1].forEach(start => {
+                        const stream = new ArrayBufferStream(64, littleEndian);
+                        stream.setCursor(start);
+                        stream[`write${writeName}Array`](new ArrayType(values));
+                        stream[`write${writeName}Array`](values);
+                        stream.cursor.should.equal(start + values.length * 2 * ArrayType.BYTES_PER_ELEMENT);
+
+                        stream.setCursor(start);
+                        stream[`getNext${readName}Array`](values.length).should.deep.equal(new ArrayType(values));
+                        stream[`getNext${readName}Array`](values.length, new Array(values.length)).should.deep.equal(values);
+
+                        stream.setCursor(start);
+                        values.forEach(value => {
+                            stream[`getNext${readName}`]().should.equal(value);
+                        });
+                    });
+                });
+                done();
+            });
+        });
+
+        it('Should read into typed arrays of another type', (done) => {
+            arrayBufferStream.writeFloat32Array([0.5, 1.5, 2.5]);
+
+            arrayBufferStream.setCursor(0);
+            const dest = arrayBufferStream.getNextFloat32Array(3, new Float64Array(5), 1);
+
+            dest.should.deep.equal(new Float64Array([0, 0.5, 1.5, 2.5, 0]));
+            arrayBufferStream.cursor.should.equal(12);
+            done();
+        });
+
+        it('Should write normalized and half precision arrays', (done) => {
+            arrayBufferStream.writeUNorm8Array([0, 0.5, 1]);
+            arrayBufferStream.writeUNorm16Array(new Float32Array([0, 1]));
+            arrayBufferStream.writeUNorm32Array([1]);
+            arrayBufferStream.writeSNorm8Array([-1, 1]);
+            arrayBufferStream.writeSNorm16Array([-1, 1]);
+            arrayBufferStream.writeFloat16Array([0.5, -2]);
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.getNextUint8Array(3).should.deep.equal(new Uint8Array([0, 128, 255]));
+            arrayBufferStream.getNextUNorm16Array(2).should.deep.equal(new Float32Array([0, 1]));
+            arrayBufferStream.getNextUNorm32().should.equal(1);
+            arrayBufferStream.getNextSNorm8Array(2).should.deep.equal(new Float32Array([-1, 1]));
+            arrayBufferStream.getNextSNorm16Array(2).should.deep.equal(new Float32Array([-1, 1]));
+            arrayBufferStream.getNextFloat16Array(2).should.deep.equal(new Float32Array([0.5, -2]));
+            done();
+        });
+
+        it('Should throw when writing arrays out of bounds', (done) => {
+            arrayBufferStream.setCursor(60);
+
+            should.throw(() => {
+                arrayBufferStream.writeFloat32Array(new Float32Array(2));
+            }, StreamOverflowError);
+            arrayBufferStream.cursor.should.equal(60);
+            done();
+        });
+
+        it('Should produce the same output with block copies as per element', (done) => {
+            const count = 0x100,
+                  values = new Float32Array(count).map((v, i) => i * 0.5 - 100),
+                  hostLittleEndian = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+
+            // [array type, cursor, byte order]. Float32Arrays are copied byte for byte at any cursor,
+            // other typed arrays through a Float32Array view at an aligned cursor. Plain Arrays are
+            // written through a view but read per element, and everything else falls back to per element.
+            const cases = [
+                [Float32Array, 0, hostLittleEndian],
+                [Float32Array, 1, hostLittleEndian],
+                [Float64Array, 0, hostLittleEndian],
+                [Float64Array, 1, hostLittleEndian],
+                [Array, 0, hostLittleEndian],
+                [Array, 1, hostLittleEndian],
+                [Float32Array, 0, !hostLittleEndian],
+                [Float64Array, 0, !hostLittleEndian]
+            ];
+
+            for(const [ArrayType, offset, littleEndian] of cases){
+                const block = new ArrayBufferStream(count * 4 + offset, littleEndian),
+                      perElement = new ArrayBufferStream(count * 4 + offset, littleEndian);
+
+                block.setCursor(offset);
+                block.writeFloat32Array(ArrayType === Array ? Array.from(values) : new ArrayType(values));
+                block.cursor.should.equal(count * 4 + offset);
+
+                perElement.setCursor(offset);
+                for(const v of values)
+                    perElement.writeFloat32(v);
+
+                new Uint8Array(block.buffer).should.deep.equal(new Uint8Array(perElement.buffer));
+
+                block.setCursor(offset);
+                const read = block.getNextFloat32Array(count, ArrayType === Array ? new Array(count) : new ArrayType(count));
+                read.should.be.instanceOf(ArrayType);
+                block.cursor.should.equal(count * 4 + offset);
+
+                perElement.setCursor(offset);
+                for(let i = 0; i < count; ++i)
+                    perElement.getNextFloat32().should.equal(read[i]);
+
+                Array.from(read).should.deep.equal(Array.from(values));
+            }
+            done();
+        });
+    });
+
+    describe('Can write and read UTF-8 strings', () => {
+        it('Should write and read null-terminated UTF-8 strings', (done) => {
+            let n = arrayBufferStream.writeUTF8String('Café');
+            n.should.equal(6);
+
+            n = arrayBufferStream.writeUTF8String('こんにちは 👋');
+            n.should.equal(21);
+
+            arrayBufferStream.setCursor(0);
+
+            let str = arrayBufferStream.getNextUTF8String();
+            str.should.equal('Café');
+            arrayBufferStream.cursor.should.equal(6);
+
+            str = arrayBufferStream.getNextUTF8String();
+            str.should.equal('こんにちは 👋');
+            arrayBufferStream.cursor.should.equal(27);
+            done();
+        });
+
+        it('Should write and read UTF-8 strings without terminator', (done) => {
+            const n = arrayBufferStream.writeUTF8String('Ünïcödé', false);
+            n.should.equal(11);
+            arrayBufferStream.cursor.should.equal(11);
+
+            arrayBufferStream.setCursor(0);
+
+            arrayBufferStream.getNextUTF8String(n).should.equal('Ünïcödé');
+            arrayBufferStream.cursor.should.equal(11);
+            done();
+        });
+
+        it('Should grow to fit UTF-8 strings', (done) => {
+            const stream = new ArrayBufferStream(0, true, { growable: true });
+            stream.writeUTF8String('Grüße');
+
+            stream.setCursor(0);
+            stream.getNextUTF8String().should.equal('Grüße');
+            done();
+        });
+
+        it('Should throw when writing UTF-8 out of bounds', (done) => {
+            should.throw(() => {
+                arrayBufferStream.setCursor(60);
+                arrayBufferStream.writeUTF8String('Überlauf');
+            });
+            done();
+        });
+    });
+
+    describe('Can write and read UTF-16 strings', () => {
+        it('Should write and read UTF-16LE strings', (done) => {
+            const n = arrayBufferStream.writeUTF16String('Hi 👋');
+            n.should.equal(12);
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.getNextUint8().should.equal(0x48);
+            arrayBufferStream.getNextUint8().should.equal(0x00);
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.getNextUTF16String().should.equal('Hi 👋');
+            arrayBufferStream.cursor.should.equal(12);
+            done();
+        });
+
+        it('Should write and read UTF-16BE strings', (done) => {
+            const stream = new ArrayBufferStream(64);
+            stream.writeUTF16String('Ωmega', false);
+            stream.writeUTF16String('Two');
+
+            stream.setCursor(0);
+            stream.getNextUint8().should.equal(0x03);
+            stream.getNextUint8().should.equal(0xA9);
+
+            stream.setCursor(0);
+            stream.getNextUTF16String(10).should.equal('Ωmega');
+            stream.getNextUTF16String().should.equal('Two');
+            done();
+        });
+    });
+
+    describe('Can write and read variable-length integers', () => {
+        it('Should write and read unsigned varints', (done) => {
+            arrayBufferStream.writeVarUint(0).should.equal(1);
+            arrayBufferStream.writeVarUint(127).should.equal(1);
+            arrayBufferStream.writeVarUint(624485).should.equal(3);
+
+            arrayBufferStream.setCursor(0);
+
+            arrayBufferStream.getNextUint8().should.equal(0);
+            arrayBufferStream.getNextUint8().should.equal(0x7F);
+            arrayBufferStream.getNextUint8Array(3).should.deep.equal(new Uint8Array([0xE5, 0x8E, 0x26]));
+
+            arrayBufferStream.setCursor(0);
+
+            arrayBufferStream.getNextVarUint().should.equal(0);
+            arrayBufferStream.getNextVarUint().should.equal(127);
+            arrayBufferStream.getNextVarUint().should.equal(624485);
+            done();
+        });
+
+        it('Should write and read BigInt unsigned varints', (done) => {
+            arrayBufferStream.writeVarUint(2n ** 64n - 1n).should.equal(10);
+            arrayBufferStream.writeVarUint(2n ** 53n);
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.getNextBigVarUint().should.equal(2n ** 64n - 1n);
+            should.throw(() => {
+                arrayBufferStream.getNextVarUint();
+            }, RangeError);
+
+            arrayBufferStream.setCursor(10);
+            arrayBufferStream.getNextBigVarUint().should.equal(2n ** 53n);
+            done();
+        });
+
+        it('Should write and read signed varints', (done) => {
+            arrayBufferStream.writeVarInt(-1).should.equal(1);
+            arrayBufferStream.writeVarInt(63).should.equal(1);
+            arrayBufferStream.writeVarInt(64).should.equal(2);
+            arrayBufferStream.writeVarInt(-123456).should.equal(3);
+            arrayBufferStream.writeVarInt(-(2n ** 63n)).should.equal(10);
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.getNextUint8().should.equal(0x7F);
+            arrayBufferStream.getNextUint8().should.equal(0x3F);
+            arrayBufferStream.getNextUint8Array(2).should.deep.equal(new Uint8Array([0xC0, 0x00]));
+            arrayBufferStream.getNextUint8Array(3).should.deep.equal(new Uint8Array([0xC0, 0xBB, 0x78]));
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.getNextVarInt().should.equal(-1);
+            arrayBufferStream.getNextVarInt().should.equal(63);
+            arrayBufferStream.getNextVarInt().should.equal(64);
+            arrayBufferStream.getNextVarInt().should.equal(-123456);
+            arrayBufferStream.getNextBigVarInt().should.equal(-(2n ** 63n));
+            done();
+        });
+
+        it('Should write and read ZigZag varints', (done) => {
+            arrayBufferStream.writeZigZagVarInt(0);
+            arrayBufferStream.writeZigZagVarInt(-1);
+            arrayBufferStream.writeZigZagVarInt(1);
+            arrayBufferStream.writeZigZagVarInt(-64);
+            arrayBufferStream.writeZigZagVarInt(2n ** 63n - 1n);
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.getNextUint8Array(4).should.deep.equal(new Uint8Array([0, 1, 2, 127]));
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.getNextZigZagVarInt().should.equal(0);
+            arrayBufferStream.getNextZigZagVarInt().should.equal(-1);
+            arrayBufferStream.getNextZigZagVarInt().should.equal(1);
+            arrayBufferStream.getNextZigZagVarInt().should.equal(-64);
+            arrayBufferStream.getNextBigZigZagVarInt().should.equal(2n ** 63n - 1n);
+            done();
+        });
+
+        it('Should throw on varints that never terminate', (done) => {
+            arrayBufferStream.writeUint8(...new Array(12).fill(0x80), 0x01);
+
+            arrayBufferStream.setCursor(0);
+            should.throw(() => {
+                arrayBufferStream.getNextBigVarUint();
+            }, StreamError);
+
+            arrayBufferStream.setCursor(0);
+            should.throw(() => {
+                arrayBufferStream.getNextVarInt();
+            }, StreamError);
+            arrayBufferStream.cursor.should.equal(0);
+            done();
+        });
+
+        it('Should throw on varints that do not fit in 64 bits', (done) => {
+            arrayBufferStream.writeUint8(...new Array(9).fill(0xFF), 0x7F);
+            arrayBufferStream.writeUint8(...new Array(9).fill(0x80), 0x01);
+
+            arrayBufferStream.setCursor(0);
+            should.throw(() => {
+                arrayBufferStream.getNextBigVarUint();
+            }, StreamError, 'offset 0');
+            arrayBufferStream.cursor.should.equal(0);
+
+            arrayBufferStream.setCursor(10);
+            should.throw(() => {
+                arrayBufferStream.getNextBigVarInt();
+            }, StreamError, 'offset 10');
+            arrayBufferStream.cursor.should.equal(10);
+            done();
+        });
+
+        it('Should leave the cursor in place when a varint read fails', (done) => {
+            arrayBufferStream.setCursor(62);
+            arrayBufferStream.writeUint8(0x80, 0x80);
+
+            arrayBufferStream.setCursor(62);
+            try{
+                arrayBufferStream.getNextVarUint();
+                should.fail('Expected StreamUnderflowError');
+            }catch(e){
+                e.should.be.instanceOf(StreamUnderflowError);
+                e.operation.should.equal('getNextVarUint');
+                e.cursor.should.equal(62);
+            }
+            arrayBufferStream.cursor.should.equal(62);
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.writeVarUint(2n ** 60n);
+            arrayBufferStream.writeZigZagVarInt(-(2n ** 60n));
+
+            for(const [offset, read] of [[0, 'getNextVarUint'], [9, 'getNextZigZagVarInt']]){
+                arrayBufferStream.setCursor(offset);
+                should.throw(() => {
+                    arrayBufferStream[read]();
+                }, RangeError);
+                arrayBufferStream.cursor.should.equal(offset);
+            }
+            done();
+        });
+
+        it('Should read the largest and smallest 64-bit varints', (done) => {
+            arrayBufferStream.writeUint8(...new Array(9).fill(0xFF), 0x01);
+            arrayBufferStream.writeUint8(...new Array(9).fill(0xFF), 0x7F);
+            arrayBufferStream.writeUint8(...new Array(9).fill(0xFF), 0x00);
+            arrayBufferStream.writeUint8(...new Array(9).fill(0x80), 0x7F);
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.getNextBigVarUint().should.equal(2n ** 64n - 1n);
+            arrayBufferStream.getNextBigVarInt().should.equal(-1n);
+            arrayBufferStream.getNextBigVarInt().should.equal(2n ** 63n - 1n);
+            arrayBufferStream.getNextBigVarInt().should.equal(-(2n ** 63n));
+            done();
+        });
+
+        it('Should throw when writing values outside 64-bit range', (done) => {
+            should.throw(() => {
+                arrayBufferStream.writeVarUint(2n ** 64n);
+            }, RangeError);
+            should.throw(() => {
+                arrayBufferStream.writeVarInt(1.5);
+            }, RangeError);
+            done();
+        });
+
+        it('Should throw when writing negative unsigned varints', (done) => {
+            should.throw(() => {
+                arrayBufferStream.writeVarUint(-1);
+            }, RangeError);
+            done();
+        });
+    });
+
+    describe('Can write and read length-prefixed strings', () => {
+        it('Should write and read strings with each prefix type', (done) => {
+            arrayBufferStream.writeLengthPrefixedString('One', 'uint8').should.equal(4);
+            arrayBufferStream.writeLengthPrefixedString('Twö', 'uint16').should.equal(6);
+            arrayBufferStream.writeLengthPrefixedString('Three', 'uint32').should.equal(9);
+            arrayBufferStream.writeLengthPrefixedString('Four', 'varint').should.equal(5);
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.getNextUint8().should.equal(3);
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.getNextLengthPrefixedString('uint8').should.equal('One');
+            arrayBufferStream.getNextLengthPrefixedString('uint16').should.equal('Twö');
+            arrayBufferStream.getNextLengthPrefixedString('uint32').should.equal('Three');
+            arrayBufferStream.getNextLengthPrefixedString('varint').should.equal('Four');
+            arrayBufferStream.cursor.should.equal(24);
+            done();
+        });
+
+        it('Should use the requested encoding', (done) => {
+            arrayBufferStream.writeLengthPrefixedString('Café', 'uint8', 'latin1').should.equal(5);
+            arrayBufferStream.writeLengthPrefixedString('Café', 'uint8', 'ascii').should.equal(5);
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.getNextLengthPrefixedString('uint8', 'latin1').should.equal('Café');
+            arrayBufferStream.getNextLengthPrefixedString('uint8', 'ascii').should.equal('Caf?');
+            done();
+        });
+
+        it('Should throw when the string does not fit the prefix', (done) => {
+            const stream = new ArrayBufferStream(0, true, { growable: true });
+            should.throw(() => {
+                stream.writeLengthPrefixedString('a'.repeat(256), 'uint8');
+            }, RangeError);
+            should.throw(() => {
+                stream.writeLengthPrefixedString('a', 'uint64');
+            }, TypeError);
+            done();
+        });
+
+        it('Should report overflows with the string write that caused them', (done) => {
+            const stream = new ArrayBufferStream(4);
+            stream.setCursor(1);
+
+            try{
+                stream.writeLengthPrefixedString('abc', 'uint16');
+                should.fail();
+            }catch(e){
+                e.should.be.instanceOf(StreamOverflowError);
+                e.operation.should.equal('writeLengthPrefixedString');
+                e.cursor.should.equal(1);
+                e.byteCount.should.equal(5);
+            }
+            try{
+                stream.writeLine('ab');
+                should.fail();
+            }catch(e){
+                e.should.be.instanceOf(StreamOverflowError);
+                e.operation.should.equal('writeLine');
+                e.cursor.should.equal(1);
+                e.byteCount.should.equal(4);
+            }
+
+            stream.cursor.should.equal(1);
+            new Uint8Array(stream.buffer).should.deep.equal(new Uint8Array(4));
+            done();
+        });
+    });
+
+    describe('Can write and read fixed-width strings', () => {
+        it('Should write and read zero-padded strings', (done) => {
+            arrayBufferStream.writeFixedString('Name', 8);
+            arrayBufferStream.cursor.should.equal(8);
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.getNextUint8Array(8).should.deep.equal(new Uint8Array([0x4E, 0x61, 0x6D, 0x65, 0, 0, 0, 0]));
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.getNextFixedString(8).should.equal('Name');
+            arrayBufferStream.cursor.should.equal(8);
+            done();
+        });
+
+        it('Should write and read space-padded strings', (done) => {
+            arrayBufferStream.writeFixedString('ID', 6, 'ascii', 0x20);
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.getNextFixedString(6, 'ascii').should.equal('ID    ');
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.getNextFixedString(6, 'ascii', 0x20).should.equal('ID');
+            done();
+        });
+
+        it('Should truncate without splitting multi-byte characters', (done) => {
+            arrayBufferStream.writeFixedString('aé€', 5);
+            arrayBufferStream.writeFixedString('Long name', 4, 'latin1');
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.getNextUint8Array(5).should.deep.equal(new Uint8Array([0x61, 0xC3, 0xA9, 0, 0]));
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.getNextFixedString(5).should.equal('aé');
+            arrayBufferStream.getNextFixedString(4, 'latin1').should.equal('Long');
+            done();
+        });
+
+        it('Should truncate single-byte encodings at any byte', (done) => {
+            arrayBufferStream.writeFixedString('ab°°', 3, 'latin1');
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.getNextUint8Array(3).should.deep.equal(new Uint8Array([0x61, 0x62, 0xB0]));
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.getNextFixedString(3, 'latin1').should.equal('ab°');
+            done();
+        });
+    });
+
+    describe('Can write and read line-terminated strings', () => {
+        it('Should write and read CRLF and LF lines', (done) => {
+            arrayBufferStream.writeLine('HTTP/1.1 200 OK').should.equal(17);
+            arrayBufferStream.writeLine('Servér: test', '\n');
+            arrayBufferStream.writeLine('', '\r\n');
+            arrayBufferStream.writeASCIIString('body');
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.getNextLine().should.equal('HTTP/1.1 200 OK');
+            arrayBufferStream.getNextLine().should.equal('Servér: test');
+            arrayBufferStream.getNextLine().should.equal('');
+            arrayBufferStream.getNextASCIIString().should.equal('body');
+            done();
+        });
+
+        it('Should read to the end when there is no line ending', (done) => {
+            const stream = new ArrayBufferStream(4);
+            stream.writeUint8(0x61, 0x62, 0x0D, 0x0A);
+
+            stream.setCursor(2);
+            stream.getNextLine('ascii').should.equal('');
+            stream.cursor.should.equal(4);
+
+            stream.setCursor(0);
+            stream.writeUint8(0x61, 0x62, 0x63, 0x64);
+            stream.setCursor(0);
+            stream.getNextLine('ascii').should.equal('abcd');
+            stream.cursor.should.equal(4);
+            done();
+        });
+
+        it('Should throw at the end of the stream', (done) => {
+            const stream = new ArrayBufferStream(new TextEncoder().encode('last'));
+            stream.getNextLine().should.equal('last');
+
+            should.throw(() => {
+                stream.getNextLine();
+            }, StreamUnderflowError);
+            stream.cursor.should.equal(4);
+            done();
+        });
+
+        it('Should throw on missing terminators in strict mode', (done) => {
+            const stream = new ArrayBufferStream(new TextEncoder().encode('partial'), true, { strictTerminators: true });
+
+            should.throw(() => {
+                stream.getNextLine();
+            }, StreamUnderflowError);
+            should.throw(() => {
+                stream.getNextUTF8String();
+            }, StreamUnderflowError);
+            should.throw(() => {
+                stream.getNextASCIIString();
+            }, StreamUnderflowError);
+            should.throw(() => {
+                stream.getNextUTF16String();
+            }, StreamUnderflowError);
+            stream.cursor.should.equal(0);
+
+            stream.getNextUTF8String(4).should.equal('part');
+            stream.strictTerminators = false;
+            stream.getNextLine().should.equal('ial');
+            done();
+        });
+    });
+
+    describe('Can write and read packed bit fields', () => {
+        it('Should write and read MSB-first bit fields', (done) => {
+            arrayBufferStream.writeBits(0b101, 3);
+            arrayBufferStream.writeBits(0b11, 2);
+            arrayBufferStream.writeBits(1, 1);
+            arrayBufferStream.alignToByte();
+            arrayBufferStream.cursor.should.equal(1);
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.getNextUint8().should.equal(0b10111100);
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.getNextBits(3).should.equal(0b101);
+            arrayBufferStream.getNextBits(2).should.equal(0b11);
+            arrayBufferStream.getNextBits(1).should.equal(1);
+            done();
+        });
+
+        it('Should write and read LSB-first bit fields', (done) => {
+            const stream = new ArrayBufferStream(8, true, { bitOrder: 'lsb' });
+            stream.writeBits(0b101, 3);
+            stream.writeBits(0b11, 2);
+            stream.alignToByte();
+
+            stream.setCursor(0);
+            stream.getNextUint8().should.equal(0b00011101);
+
+            stream.setCursor(0);
+            stream.getNextBits(3).should.equal(0b101);
+            stream.getNextBits(2).should.equal(0b11);
+            done();
+        });
+
+        it('Should write and read fields spanning several bytes', (done) => {
+            ['msb', 'lsb'].forEach(bitOrder => {
+                arrayBufferStream.setCursor(0);
+                arrayBufferStream.bitOrder = bitOrder;
+
+                arrayBufferStream.writeBits(1, 1);
+                arrayBufferStream.writeBits(0x1ABCDEF, 25);
+                arrayBufferStream.writeBits(0xFFFFFFFF, 32);
+                arrayBufferStream.writeBits(0x7FFFFFFF, 31);
+                arrayBufferStream.alignToByte();
+                arrayBufferStream.cursor.should.equal(12);
+
+                arrayBufferStream.setCursor(0);
+                arrayBufferStream.getNextBits(1).should.equal(1);
+                arrayBufferStream.getNextBits(25).should.equal(0x1ABCDEF);
+                arrayBufferStream.getNextBits(32).should.equal(0xFFFFFFFF);
+                arrayBufferStream.getNextBits(31).should.equal(0x7FFFFFFF);
+            });
+            done();
+        });
+
+        it('Should write and read signed bit fields', (done) => {
+            arrayBufferStream.writeBits(-3, 4);
+            arrayBufferStream.writeBits(7, 4);
+            arrayBufferStream.writeBits(-1, 13);
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.getNextSignedBits(4).should.equal(-3);
+            arrayBufferStream.getNextSignedBits(4).should.equal(7);
+            arrayBufferStream.getNextSignedBits(13).should.equal(-1);
+            done();
+        });
+
+        it('Should zero unused bits when aligning after writes', (done) => {
+            arrayBufferStream.writeUint8(0xFF, 0xFF);
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.writeBits(1, 1);
+            arrayBufferStream.alignToByte();
+            arrayBufferStream.writeUint8(0x12);
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.getNextUint8().should.equal(0x80);
+            arrayBufferStream.getNextUint8().should.equal(0x12);
+            done();
+        });
+
+        it('Should reset the bit cursor when setting cursor', (done) => {
+            arrayBufferStream.writeBits(1, 3);
+            arrayBufferStream.bitOffset.should.equal(3);
+
+            arrayBufferStream.setCursor(4);
+            arrayBufferStream.bitOffset.should.equal(0);
+            done();
+        });
+
+        it('Should accept bit counts from 1 to 32', (done) => {
+            arrayBufferStream.writeBits(1, 1);
+            arrayBufferStream.writeBits(0xFFFFFFFF, 32);
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.getNextBits(1).should.equal(1);
+            arrayBufferStream.getNextBits(32).should.equal(0xFFFFFFFF);
+            done();
+        });
+
+        it('Should throw on invalid bit counts', (done) => {
+            for(const count of [0, 33, -1, 1.5, NaN, undefined]){
+                should.throw(() => {
+                    arrayBufferStream.writeBits(1, count);
+                }, RangeError);
+                should.throw(() => {
+                    arrayBufferStream.getNextBits(count);
+                }, RangeError);
+                should.throw(() => {
+                    arrayBufferStream.getNextSignedBits(count);
+                }, RangeError);
+            }
+
+            arrayBufferStream.cursor.should.equal(0);
+            arrayBufferStream.bitOffset.should.equal(0);
+            done();
+        });
+    });
+
+    describe('Can peek and access values at absolute offsets', () => {
+        it('Should peek values without advancing cursor', (done) => {
+            arrayBufferStream.writeUint32(0xDEADBEEF);
+            arrayBufferStream.writeFloat32(5.5);
+            arrayBufferStream.writeUTF8String('Peek');
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.peekUint32().should.equal(0xDEADBEEF);
+            arrayBufferStream.peekUint8().should.equal(0xEF);
+            arrayBufferStream.cursor.should.equal(0);
+
+            arrayBufferStream.setCursor(4);
+            arrayBufferStream.peekFloat32().should.equal(5.5);
+            arrayBufferStream.cursor.should.equal(4);
+
+            arrayBufferStream.setCursor(8);
+            arrayBufferStream.peekUTF8String().should.equal('Peek');
+            arrayBufferStream.getNextUTF8String().should.equal('Peek');
+            done();
+        });
+
+        it('Should get and set values at absolute offsets', (done) => {
+            arrayBufferStream.setCursor(10);
+
+            arrayBufferStream.setUint32At(0x1C, 123456);
+            arrayBufferStream.setInt16At(2, -5);
+            arrayBufferStream.setUint64At(40, 2n ** 40n);
+            arrayBufferStream.setUNorm16At(4, 0.5);
+            arrayBufferStream.setASCIIStringAt(48, 'TOC').should.equal(4);
+            arrayBufferStream.cursor.should.equal(10);
+
+            arrayBufferStream.getUint32At(0x1C).should.equal(123456);
+            arrayBufferStream.getInt16At(2).should.equal(-5);
+            arrayBufferStream.getBigUint64At(40).should.equal(2n ** 40n);
+            arrayBufferStream.getUint64At(40).should.equal(2 ** 40);
+            arrayBufferStream.getUNorm16At(4).should.be.approximately(0.5, 0.0001);
+            arrayBufferStream.getASCIIStringAt(48).should.equal('TOC');
+            arrayBufferStream.cursor.should.equal(10);
+            done();
+        });
+
+        it('Should read and write at offsets with any method', (done) => {
+            arrayBufferStream.writeAt(8, arrayBufferStream.writeFixedString, 'Fixed', 8);
+            arrayBufferStream.readAt(8, arrayBufferStream.getNextFixedString, 8).should.equal('Fixed');
+            arrayBufferStream.cursor.should.equal(0);
+            done();
+        });
+
+        it('Should restore cursor when access fails', (done) => {
+            arrayBufferStream.setCursor(6);
+
+            should.throw(() => {
+                arrayBufferStream.getUint32At(62);
+            });
+            should.throw(() => {
+                arrayBufferStream.setFloat64At(100, 1);
+            });
+            arrayBufferStream.cursor.should.equal(6);
+            done();
+        });
+    });
+
+    describe('Can report typed errors with context', () => {
+        it('Should throw StreamUnderflowError when reading past the end', (done) => {
+            arrayBufferStream.setCursor(62);
+
+            try{
+                arrayBufferStream.getNextUint32();
+                done(new Error('Expected getNextUint32 to throw'));
+                return;
+            }catch(e){
+                e.should.be.instanceOf(StreamUnderflowError);
+                e.should.be.instanceOf(StreamError);
+                e.should.be.instanceOf(RangeError);
+                e.name.should.equal('StreamUnderflowError');
+                e.operation.should.equal('getNextUint32');
+                e.cursor.should.equal(62);
+                e.byteCount.should.equal(4);
+                e.size.should.equal(64);
+            }
+
+            arrayBufferStream.cursor.should.equal(62);
+            done();
+        });
+
+        it('Should throw StreamOverflowError when writing past the end', (done) => {
+            arrayBufferStream.setCursor(60);
+
+            try{
+                arrayBufferStream.writeUint16(1, 2, 3);
+                done(new Error('Expected writeUint16 to throw'));
+                return;
+            }catch(e){
+                e.should.be.instanceOf(StreamOverflowError);
+                e.operation.should.equal('writeUint16');
+                e.cursor.should.equal(60);
+                e.byteCount.should.equal(6);
+                e.size.should.equal(64);
+            }
+
+            arrayBufferStream.cursor.should.equal(60);
+            done();
+        });
+
+        it('Should throw StreamUnderflowError for array and string reads', (done) => {
+            arrayBufferStream.setCursor(56);
+            should.throw(() => {
+                arrayBufferStream.getNextFloat32Array(3);
+            }, StreamUnderflowError);
+            arrayBufferStream.cursor.should.equal(56);
+
+            should.throw(() => {
+                arrayBufferStream.getNextUTF8String(16);
+            }, StreamUnderflowError);
+
+            arrayBufferStream.setCursor(64);
+            should.throw(() => {
+                arrayBufferStream.getNextVarUint();
+            }, StreamUnderflowError);
+            done();
+        });
+
+        it('Should throw InvalidCursorError for invalid cursors', (done) => {
+            should.throw(() => {
+                arrayBufferStream.setCursor('one');
+            }, InvalidCursorError, /Invalid value for cursor/);
+
+            try{
+                arrayBufferStream.setCursor(65);
+                done(new Error('Expected setCursor to throw'));
+                return;
+            }catch(e){
+                e.should.be.instanceOf(InvalidCursorError);
+                e.operation.should.equal('setCursor');
+                e.cursor.should.equal(65);
+                e.size.should.equal(64);
+            }
+            done();
+        });
+
+        it('Should throw UnsupportedSourceError for unsupported sources', (done) => {
+            should.throw(() => {
+                new ArrayBufferStream('not a buffer');
+            }, UnsupportedSourceError);
+            done();
+        });
+
+        it('Should not translate errors unrelated to bounds', (done) => {
+            arrayBufferStream.writeUint64(2n ** 60n);
+            arrayBufferStream.setCursor(0);
+
+            should.throw(() => {
+                arrayBufferStream.getNextUint64();
+            }, RangeError, /safe integer/);
+            done();
+        });
+    });
+
+    describe('Can validate operations up front in checked mode', () => {
+        it('Should not write anything when a variadic write does not fit', (done) => {
+            const stream = new ArrayBufferStream(8, true, { checked: true });
+            stream.setCursor(4);
+
+            should.throw(() => {
+                stream.writeUint16(1, 2, 3);
+            }, StreamOverflowError);
+
+            stream.cursor.should.equal(4);
+            stream.setCursor(0);
+            stream.getNextUint8Array(8).should.deep.equal(new Uint8Array(8));
+            done();
+        });
+
+        it('Should write part of the data without checked mode', (done) => {
+            arrayBufferStream.setCursor(60);
+
+            should.throw(() => {
+                arrayBufferStream.writeUint16(1, 2, 3);
+            }, StreamOverflowError);
+
+            arrayBufferStream.getUint16At(60).should.equal(1);
+            done();
+        });
+
+        it('Should not fill the destination when an array read does not fit', (done) => {
+            const stream = new ArrayBufferStream(8, true, { checked: true });
+            stream.writeFloat32(1, 2);
+            stream.setCursor(0);
+
+            const dest = new Float32Array(3);
+            should.throw(() => {
+                stream.getNextFloat32Array(3, dest);
+            }, StreamUnderflowError);
+
+            dest.should.deep.equal(new Float32Array(3));
+            stream.cursor.should.equal(0);
+            done();
+        });
+
+        it('Should validate strings, varints and bit fields', (done) => {
+            const stream = new ArrayBufferStream(4, true, { checked: true });
+            stream.setCursor(1);
+
+            should.throw(() => {
+                stream.writeUTF8String('abcd');
+            }, StreamOverflowError);
+            should.throw(() => {
+                stream.writeLengthPrefixedString('abc', 'uint8');
+            }, StreamOverflowError);
+            should.throw(() => {
+                stream.writeLine('ab');
+            }, StreamOverflowError);
+            should.throw(() => {
+                stream.writeVarUint(2 ** 28);
+            }, StreamOverflowError);
+            should.throw(() => {
+                stream.writeBits(0xFFFFFF, 25);
+            }, StreamOverflowError);
+
+            stream.cursor.should.equal(1);
+            stream.setCursor(0);
+            stream.getNextUint32().should.equal(0);
+            done();
+        });
+
+        it('Should toggle checked mode at runtime', (done) => {
+            arrayBufferStream.checked.should.equal(false);
+            arrayBufferStream.checked = true;
+            arrayBufferStream.setCursor(62);
+
+            should.throw(() => {
+                arrayBufferStream.writeUint8(1, 2, 3);
+            }, StreamOverflowError);
+
+            arrayBufferStream.getUint8At(62).should.equal(0);
+            done();
+        });
+
+        it('Should still grow when growable and checked', (done) => {
+            const stream = new ArrayBufferStream(2, true, { checked: true, growable: true });
+            stream.writeUint32(1, 2);
+            stream.size.should.be.at.least(8);
+            done();
+        });
+    });
+
+    describe('Can wrap existing memory without copying', () => {
+        it('Should use an ArrayBuffer in place', (done) => {
+            const buffer = new ArrayBuffer(8),
+                  stream = new ArrayBufferStream(buffer, true);
+
+            stream.size.should.equal(8);
+            stream.buffer.should.equal(buffer);
+            stream.writeUint32(0xDEADBEEF);
+
+            new DataView(buffer).getUint32(0, true).should.equal(0xDEADBEEF);
+            done();
+        });
+
+        it('Should respect the byteOffset and byteLength of a typed array', (done) => {
+            const bytes = new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8]),
+                  stream = new ArrayBufferStream(bytes.subarray(2, 6), true);
+
+            stream.size.should.equal(4);
+            stream.byteOffset.should.equal(2);
+            stream.getNextUint8().should.equal(3);
+            stream.getNextUint8Array(3).should.deep.equal(new Uint8Array([4, 5, 6]));
+
+            stream.setCursor(0);
+            stream.writeUint16(0xFFFF);
+            bytes.should.deep.equal(new Uint8Array([1, 2, 0xFF, 0xFF, 5, 6, 7, 8]));
+            done();
+        });
+
+        it('Should not read or write past the end of a window', (done) => {
+            const bytes = new Uint8Array([1, 2, 3, 4, 0x41, 0x42, 0x43, 0]),
+                  stream = new ArrayBufferStream(bytes.subarray(0, 4), true);
+
+            stream.setCursor(2);
+            should.throw(() => {
+                stream.getNextUint32();
+            }, StreamUnderflowError);
+            should.throw(() => {
+                stream.writeUint8Array(new Uint8Array([9, 9, 9]));
+            }, StreamOverflowError);
+            should.throw(() => {
+                stream.getNextUTF8String(4);
+            }, StreamUnderflowError);
+
+            bytes.should.deep.equal(new Uint8Array([1, 2, 3, 4, 0x41, 0x42, 0x43, 0]));
+            done();
+        });
+
+        it('Should use a DataView window in place', (done) => {
+            const buffer = new ArrayBuffer(12),
+                  stream = new ArrayBufferStream(new DataView(buffer, 4, 8), true);
+
+            stream.size.should.equal(8);
+            stream.writeFloat64(Math.PI);
+            new DataView(buffer).getFloat64(4, true).should.equal(Math.PI);
+            done();
+        });
+
+        it('Should use a Node Buffer in place', (done) => {
+            // Small Buffers are usually slices of a shared pool with a non-zero byteOffset
+            const nodeBuffer = Buffer.from([0, 1, 0, 2]),
+                  stream = new ArrayBufferStream(nodeBuffer, false);
+
+            stream.size.should.equal(4);
+            stream.getNextUint16Array(2).should.deep.equal(new Uint16Array([1, 2]));
+
+            stream.setCursor(0);
+            stream.writeUint16(0x0304);
+            nodeBuffer.readUint16BE(0).should.equal(0x0304);
+            done();
+        });
+
+        it('Should share memory through a SharedArrayBuffer', (done) => {
+            const shared = new SharedArrayBuffer(4),
+                  stream = new ArrayBufferStream(shared, true);
+
+            stream.writeUint32(42);
+            new Uint32Array(shared)[0].should.equal(42);
+            done();
+        });
+
+        it('Should copy the window when requested', (done) => {
+            const bytes = new Uint8Array([1, 2, 3, 4, 5, 6]),
+                  stream = new ArrayBufferStream(bytes.subarray(1, 5), true, { copy: true });
+
+            stream.size.should.equal(4);
+            stream.byteOffset.should.equal(0);
+            stream.buffer.byteLength.should.equal(4);
+            stream.writeUint8(0xFF);
+
+            bytes[1].should.equal(2);
+            stream.setCursor(0);
+            stream.getNextUint8Array(4).should.deep.equal(new Uint8Array([0xFF, 3, 4, 5]));
+            done();
+        });
+
+        it('Should not mistake a typed array for a size', (done) => {
+            const stream = new ArrayBufferStream(new Uint8Array([64]));
+            stream.size.should.equal(1);
+            stream.getNextUint8().should.equal(64);
+            done();
+        });
+
+        it('Should trim and grow only the window', (done) => {
+            const bytes = new Uint8Array([9, 9, 9, 9, 9, 9]),
+                  stream = new ArrayBufferStream(bytes.subarray(1, 3), true, { growable: true });
+
+            stream.writeUint8(1, 2);
+            new Uint8Array(stream.trimToCursor()).should.deep.equal(new Uint8Array([1, 2]));
+
+            stream.writeUint8(3);
+            stream.byteOffset.should.equal(0);
+            new Uint8Array(stream.trimToCursor()).should.deep.equal(new Uint8Array([1, 2, 3]));
+            bytes.should.deep.equal(new Uint8Array([9, 1, 2, 9, 9, 9]));
+            done();
+        });
+    });
+
+    describe('Can create sub-streams over shared memory', () => {
+        it('Should read relative to the start of the region', (done) => {
+            arrayBufferStream.writeUint32(1, 2, 3, 4);
+
+            const sub = arrayBufferStream.subStream(4, 8);
+            sub.size.should.equal(8);
+            sub.cursor.should.equal(0);
+            sub.littleEndian.should.equal(true);
+            sub.getNextUint32().should.equal(2);
+            sub.getNextUint32().should.equal(3);
+            arrayBufferStream.cursor.should.equal(16);
+            done();
+        });
+
+        it('Should share writes with the parent', (done) => {
+            const sub = arrayBufferStream.subStream(8, 4);
+            sub.writeUint16(0xABCD);
+
+            arrayBufferStream.getUint16At(8).should.equal(0xABCD);
+            arrayBufferStream.setUint16At(10, 0x1234);
+            sub.getNextUint16().should.equal(0x1234);
+            done();
+        });
+
+        it('Should not overrun into sibling data', (done) => {
+            arrayBufferStream.writeUint8(1, 2, 3, 4, 5, 6, 7, 8);
+
+            const sub = arrayBufferStream.subStream(0, 4);
+            sub.setCursor(2);
+            should.throw(() => {
+                sub.getNextUint32();
+            }, StreamUnderflowError);
+            should.throw(() => {
+                sub.writeUint8Array(new Uint8Array([9, 9, 9]));
+            }, StreamOverflowError);
+
+            arrayBufferStream.getUint8At(4).should.equal(5);
+            done();
+        });
+
+        it('Should default to the rest of the stream', (done) => {
+            arrayBufferStream.subStream(60).size.should.equal(4);
+            arrayBufferStream.subStream(64).size.should.equal(0);
+            done();
+        });
+
+        it('Should allow a different byte order', (done) => {
+            arrayBufferStream.writeUint16(0x0102);
+
+            const sub = arrayBufferStream.subStream(0, 2, false);
+            sub.littleEndian.should.equal(false);
+            sub.getNextUint16().should.equal(0x0201);
+            done();
+        });
+
+        it('Should take sub-streams and advance the cursor', (done) => {
+            arrayBufferStream.writeUint32(8);
+            arrayBufferStream.writeUint16(10, 20, 30, 40);
+            arrayBufferStream.setCursor(0);
+
+            const chunk = arrayBufferStream.takeSubStream(arrayBufferStream.getNextUint32());
+            arrayBufferStream.cursor.should.equal(12);
+            chunk.getNextUint16Array(4).should.deep.equal(new Uint16Array([10, 20, 30, 40]));
+
+            const nested = chunk.subStream(4, 4);
+            nested.getNextUint16().should.equal(30);
+            done();
+        });
+
+        it('Should throw when the region is out of range', (done) => {
+            should.throw(() => {
+                arrayBufferStream.subStream(65, 0);
+            }, InvalidCursorError);
+            should.throw(() => {
+                arrayBufferStream.subStream(60, 8);
+            }, StreamUnderflowError);
+
+            arrayBufferStream.setCursor(60);
+            should.throw(() => {
+                arrayBufferStream.takeSubStream(8);
+            }, StreamUnderflowError);
+            arrayBufferStream.cursor.should.equal(60);
+            done();
+        });
+    });
+
+    describe('Can navigate with skip, seek and alignment', () => {
+        it('Should skip forward and back', (done) => {
+            arrayBufferStream.skip(10).should.equal(10);
+            arrayBufferStream.skip(-4).should.equal(6);
+            arrayBufferStream.cursor.should.equal(6);
+            done();
+        });
+
+        it('Should seek from the start, current position and end', (done) => {
+            arrayBufferStream.seek(8).should.equal(8);
+            arrayBufferStream.seek(8, 'current').should.equal(16);
+            arrayBufferStream.seek(-2, 'current').should.equal(14);
+            arrayBufferStream.seek(-4, 'end').should.equal(60);
+            arrayBufferStream.seek(0, 'end').should.equal(64);
+            done();
+        });
+
+        it('Should read a trailer relative to the end', (done) => {
+            arrayBufferStream.seek(-4, 'end');
+            arrayBufferStream.writeUint32(0xCAFEBABE);
+
+            arrayBufferStream.seek(-4, 'end');
+            arrayBufferStream.getNextUint32().should.equal(0xCAFEBABE);
+            done();
+        });
+
+        it('Should throw InvalidCursorError when moving out of range', (done) => {
+            arrayBufferStream.setCursor(10);
+
+            should.throw(() => {
+                arrayBufferStream.skip(55);
+            }, InvalidCursorError);
+            should.throw(() => {
+                arrayBufferStream.seek(-11, 'current');
+            }, InvalidCursorError);
+            should.throw(() => {
+                arrayBufferStream.seek(1, 'end');
+            }, InvalidCursorError);
+            should.throw(() => {
+                arrayBufferStream.seek(0, 'middle');
+            }, TypeError);
+
+            arrayBufferStream.cursor.should.equal(10);
+            done();
+        });
+
+        it('Should align to the next multiple', (done) => {
+            arrayBufferStream.writeUint8(1);
+            arrayBufferStream.align(4).should.equal(4);
+            arrayBufferStream.align(4).should.equal(4);
+
+            arrayBufferStream.skip(1);
+            arrayBufferStream.align(16).should.equal(16);
+
+            should.throw(() => {
+                arrayBufferStream.align(0);
+            }, RangeError);
+            done();
+        });
+
+        it('Should grow when aligning past the end of a growable stream', (done) => {
+            const stream = new ArrayBufferStream(0, true, { growable: true });
+            stream.writeUint8(1);
+            stream.align(16);
+
+            stream.cursor.should.equal(16);
+            stream.size.should.be.at.least(16);
+            done();
+        });
+
+        it('Should write padding bytes', (done) => {
+            arrayBufferStream.writeUint8(1);
+            arrayBufferStream.writePadding(3);
+            arrayBufferStream.writePadding(2, 0xCC);
+
+            arrayBufferStream.cursor.should.equal(6);
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.getNextUint8Array(6).should.deep.equal(new Uint8Array([1, 0, 0, 0, 0xCC, 0xCC]));
+            done();
+        });
+
+        it('Should throw StreamOverflowError when padding past the end', (done) => {
+            arrayBufferStream.setCursor(62);
+
+            should.throw(() => {
+                arrayBufferStream.writePadding(4);
+            }, StreamOverflowError);
+            arrayBufferStream.cursor.should.equal(62);
+            done();
+        });
+
+        it('Should report remaining bytes and EOF', (done) => {
+            arrayBufferStream.remaining().should.equal(64);
+            arrayBufferStream.isEOF().should.equal(false);
+
+            arrayBufferStream.seek(-3, 'end');
+            arrayBufferStream.remaining().should.equal(3);
+
+            arrayBufferStream.skip(3);
+            arrayBufferStream.remaining().should.equal(0);
+            arrayBufferStream.isEOF().should.equal(true);
+            done();
+        });
+    });
+
+    describe('Can save and restore the cursor', () => {
+        it('Should push and pop cursors in order', (done) => {
+            arrayBufferStream.setCursor(4);
+            arrayBufferStream.pushCursor();
+            arrayBufferStream.pushCursor(20);
+            arrayBufferStream.cursor.should.equal(20);
+
+            arrayBufferStream.skip(8);
+            arrayBufferStream.popCursor().should.equal(4);
+            arrayBufferStream.cursor.should.equal(4);
+            arrayBufferStream.popCursor().should.equal(4);
+            arrayBufferStream.cursorStack.length.should.equal(0);
+            done();
+        });
+
+        it('Should restore the bit cursor', (done) => {
+            arrayBufferStream.writeBits(1, 3);
+            arrayBufferStream.pushCursor(10);
+            arrayBufferStream.popCursor();
+
+            arrayBufferStream.cursor.should.equal(0);
+            arrayBufferStream.bitOffset.should.equal(3);
+            done();
+        });
+
+        it('Should not push when the offset is out of range', (done) => {
+            should.throw(() => {
+                arrayBufferStream.pushCursor(65);
+            }, InvalidCursorError);
+            arrayBufferStream.cursorStack.length.should.equal(0);
+            done();
+        });
+
+        it('Should throw when popping an empty stack', (done) => {
+            should.throw(() => {
+                arrayBufferStream.popCursor();
+            }, RangeError);
+            done();
+        });
+
+        it('Should follow an offset table with withCursor', (done) => {
+            arrayBufferStream.writeUint32(12, 16);
+            arrayBufferStream.writeUint32(0);
+            arrayBufferStream.writeUint32(111, 222);
+            arrayBufferStream.setCursor(0);
+
+            const values = [];
+            for(let i = 0; i < 2; ++i){
+                const offset = arrayBufferStream.getNextUint32();
+                values.push(arrayBufferStream.withCursor(offset, (stream) => stream.getNextUint32()));
+            }
+
+            values.should.deep.equal([111, 222]);
+            arrayBufferStream.cursor.should.equal(8);
+            done();
+        });
+
+        it('Should restore the cursor when the callback throws', (done) => {
+            arrayBufferStream.setCursor(5);
+
+            should.throw(() => {
+                arrayBufferStream.withCursor(62, (stream) => stream.getNextUint32());
+            }, StreamUnderflowError);
+            arrayBufferStream.cursor.should.equal(5);
+
+            should.throw(() => {
+                arrayBufferStream.withCursor(70, () => {});
+            }, InvalidCursorError);
+            arrayBufferStream.cursor.should.equal(5);
+            done();
+        });
+    });
+
+    describe('Can reserve fields and write sized blocks', () => {
+        it('Should fill in a reserved length later', (done) => {
+            const length = arrayBufferStream.reserveUint32();
+            length.offset.should.equal(0);
+            length.byteLength.should.equal(4);
+            arrayBufferStream.cursor.should.equal(4);
+
+            arrayBufferStream.writeUint16(1, 2, 3);
+            length.setLength();
+            arrayBufferStream.cursor.should.equal(10);
+
+            arrayBufferStream.getUint32At(0).should.equal(6);
+            done();
+        });
+
+        it('Should fill in reserved offsets', (done) => {
+            arrayBufferStream.writeUint8(0xFF);
+            const offsets = [arrayBufferStream.reserveUint16(), arrayBufferStream.reserveUint8()];
+
+            offsets[0].setToCursor();
+            arrayBufferStream.writeUint32(7);
+            offsets[1].set(42);
+
+            arrayBufferStream.getUint16At(1).should.equal(4);
+            arrayBufferStream.getUint8At(3).should.equal(42);
+            done();
+        });
+
+        it('Should throw when a value does not fit the reservation', (done) => {
+            const field = arrayBufferStream.reserveUint8();
+
+            should.throw(() => {
+                field.set(256);
+            }, RangeError);
+            should.throw(() => {
+                field.set(-1);
+            }, RangeError);
+            arrayBufferStream.getUint8At(0).should.equal(0);
+            done();
+        });
+
+        it('Should write blocks with fixed-size length prefixes', (done) => {
+            arrayBufferStream.writeSized('uint8', (stream) => stream.writeUint8(1, 2, 3)).should.equal(3);
+            arrayBufferStream.writeSized('uint16', (stream) => stream.writeUint32(4)).should.equal(4);
+            arrayBufferStream.writeSized('uint32', () => {}).should.equal(0);
+            arrayBufferStream.cursor.should.equal(4 + 6 + 4);
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.getNextUint8().should.equal(3);
+            arrayBufferStream.skip(3);
+            arrayBufferStream.getNextUint16().should.equal(4);
+            arrayBufferStream.getNextUint32().should.equal(4);
+            arrayBufferStream.getNextUint32().should.equal(0);
+            done();
+        });
+
+        it('Should nest sized blocks', (done) => {
+            arrayBufferStream.writeSized('uint16', (outer) => {
+                outer.writeUint8(9);
+                outer.writeSized('uint8', (inner) => inner.writeUint16(5, 6));
+            });
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.getNextUint16().should.equal(6);
+            arrayBufferStream.getNextUint8().should.equal(9);
+            arrayBufferStream.getNextUint8().should.equal(4);
+            done();
+        });
+
+        it('Should insert varint prefixes before the body', (done) => {
+            const stream = new ArrayBufferStream(0, true, { growable: true }),
+                  body = new Uint8Array(200).map((_, i) => i);
+
+            stream.writeSized('varint', (s) => s.writeUint8Array(body)).should.equal(200);
+            stream.writeSized('varint', (s) => s.writeUint8(7)).should.equal(1);
+            stream.cursor.should.equal(2 + 200 + 1 + 1);
+
+            stream.setCursor(0);
+            stream.getNextVarUint().should.equal(200);
+            stream.getNextUint8Array(200).should.deep.equal(body);
+            stream.getNextVarUint().should.equal(1);
+            stream.getNextUint8().should.equal(7);
+            done();
+        });
+
+        it('Should reject reservations inside varint-prefixed blocks', (done) => {
+            const stream = new ArrayBufferStream(0, true, { growable: true }),
+                  body = new Uint8Array(200).fill(0xAA);
+
+            stream.writeUint8(1);
+            should.throw(() => {
+                stream.writeSized('varint', (s) => {
+                    s.writeUint8Array(body);
+                    s.reserveUint16();
+                });
+            }, TypeError);
+            stream.cursor.should.equal(1);
+            stream.varintBlockDepth.should.equal(0);
+
+            // Fixed-size prefixes do not move the body, so nested reservations stay valid
+            let count;
+            stream.writeSized('uint16', (s) => {
+                s.writeUint8Array(body);
+                count = s.reserveUint16();
+            }).should.equal(202);
+            count.set(3);
+
+            stream.setCursor(1);
+            stream.getNextUint16().should.equal(202);
+            stream.getNextUint8Array(200).should.deep.equal(body);
+            stream.getNextUint16().should.equal(3);
+            done();
+        });
+
+        it('Should restore the cursor when a block fails', (done) => {
+            arrayBufferStream.writeUint8(1);
+
+            should.throw(() => {
+                arrayBufferStream.writeSized('uint8', (stream) => stream.writeUint8Array(new Uint8Array(256)));
+            }, StreamOverflowError);
+            arrayBufferStream.cursor.should.equal(1);
+
+            should.throw(() => {
+                arrayBufferStream.writeSized('uint8', (stream) => stream.writePadding(256 - 64));
+            });
+            arrayBufferStream.cursor.should.equal(1);
+
+            arrayBufferStream.setCursor(60);
+            should.throw(() => {
+                arrayBufferStream.writeSized('varint', (stream) => stream.writeUint32(1));
+            }, StreamOverflowError);
+            arrayBufferStream.cursor.should.equal(60);
+
+            should.throw(() => {
+                arrayBufferStream.writeSized('uint24', () => {});
+            }, TypeError);
+            done();
+        });
+
+        it('Should throw when the body does not fit the prefix', (done) => {
+            const stream = new ArrayBufferStream(0, true, { growable: true });
+
+            should.throw(() => {
+                stream.writeSized('uint8', (s) => s.writePadding(256));
+            }, RangeError, /exceeds uint8/);
+            stream.cursor.should.equal(0);
+            done();
+        });
+    });
+
+    describe('Can dump and annotate bytes for debugging', () => {
+        it('Should format offset, hex and ASCII columns', (done) => {
+            arrayBufferStream.writeUTF8String('Hello World');
+            arrayBufferStream.writeUint16(0x0102);
+            arrayBufferStream.setCursor(0);
+
+            const lines = arrayBufferStream.hexDump({ end: 20 }).split('\n');
+            lines.length.should.equal(2);
+            lines[0].should.equal('00000000 >48 65 6c 6c 6f 20 57 6f  72 6c 64 00 02 01 00 00  |Hello World.....|');
+            lines[1].should.equal('00000010  00 00 00 00                                       |....|');
+            done();
+        });
+
+        it('Should mark the cursor within a range', (done) => {
+            arrayBufferStream.setCursor(6);
+
+            arrayBufferStream.hexDump({ start: 4, end: 12, width: 4 }).should.equal([
+                '00000004  00 00>00 00  |....|',
+                '00000008  00 00 00 00  |....|'
+            ].join('\n'));
+            done();
+        });
+
+        it('Should mark the cursor at the end of the range', (done) => {
+            arrayBufferStream.setCursor(8);
+
+            arrayBufferStream.hexDump({ end: 8, width: 4 }).split('\n')[2].should.equal('00000008 >');
+            arrayBufferStream.hexDump({ end: 8, width: 6 }).split('\n')[1].should.equal('00000006  00 00>             |..|');
+            done();
+        });
+
+        it('Should throw for invalid ranges and widths', (done) => {
+            should.throw(() => {
+                arrayBufferStream.hexDump({ end: 65 });
+            }, StreamUnderflowError);
+            should.throw(() => {
+                arrayBufferStream.hexDump({ width: 0 });
+            }, RangeError);
+            done();
+        });
+
+        it('Should not record reads unless annotation mode is enabled', (done) => {
+            should.not.exist(arrayBufferStream.annotations);
+            arrayBufferStream.annotate('value', (stream) => stream.getNextUint32()).should.equal(0);
+            arrayBufferStream.getNextUint8();
+            should.not.exist(arrayBufferStream.annotations);
+            done();
+        });
+
+        it('Should record the range of each read', (done) => {
+            const stream = new ArrayBufferStream(32, true, { annotate: true });
+            stream.writeUint32(7);
+            stream.writeLengthPrefixedString('abc');
+            stream.writeFloat32(1.5);
+            stream.setCursor(0);
+
+            stream.getNextUint32();
+            stream.getNextLengthPrefixedString();
+            stream.peekFloat32();
+            stream.getFloat32At(9);
+            stream.getNextFloat32();
+
+            stream.annotations.should.deep.equal([
+                { start: 0, end: 4, name: 'getNextUint32' },
+                { start: 4, end: 9, name: 'getNextLengthPrefixedString' },
+                { start: 9, end: 13, name: 'getNextFloat32' }
+            ]);
+            done();
+        });
+
+        it('Should record named fields', (done) => {
+            const stream = new ArrayBufferStream(16, true, { annotate: true });
+            stream.writeUint16(640, 480);
+            stream.setCursor(0);
+
+            stream.annotate('size', (s) => {
+                s.annotate('width', () => s.getNextUint16()).should.equal(640);
+                s.getNextUint16();
+            });
+
+            stream.annotations.should.deep.equal([{ start: 0, end: 4, name: 'size' }]);
+            stream.hexDump({ end: 8 }).split('\n')[1].should.equal('00000000  +4  size  80 02 e0 01');
+            done();
+        });
+
+        it('Should not record failed reads', (done) => {
+            const stream = new ArrayBufferStream(2, true);
+            stream.enableAnnotations();
+
+            should.throw(() => {
+                stream.getNextUint32();
+            }, StreamUnderflowError);
+            stream.annotations.length.should.equal(0);
+            stream.annotationDepth.should.equal(0);
+            done();
+        });
+    });
+
+    describe('Can grow buffer on write when growable', () => {
+        it('Should grow when writing past the end', (done) => {
+            const stream = new ArrayBufferStream(4, true, { growable: true });
+            stream.writeUint32(1, 2, 3);
+            stream.writeFloat64(5.5);
+
+            stream.size.should.be.at.least(20);
+            stream.buffer.byteLength.should.equal(stream.size);
+            stream.dv.byteLength.should.equal(stream.size);
+
+            stream.setCursor(0);
+            stream.getNextUint32Array(3).should.deep.equal(new Uint32Array([1, 2, 3]));
+            stream.getNextFloat64().should.equal(5.5);
+            done();
+        });
+
+        it('Should grow from an empty buffer', (done) => {
+            const stream = new ArrayBufferStream(0, true, { growable: true });
+            stream.writeASCIIString('Hello World');
+
+            stream.setCursor(0);
+            stream.getNextASCIIString().should.equal('Hello World');
+            done();
+        });
+
+        it('Should trim to exactly the written bytes', (done) => {
+            const stream = new ArrayBufferStream(1, true, { growable: true });
+            stream.writeUint8(1, 2, 3, 4, 5);
+
+            const trimmed = stream.trimToCursor();
+            trimmed.byteLength.should.equal(5);
+            new Uint8Array(trimmed).should.deep.equal(new Uint8Array([1, 2, 3, 4, 5]));
+            done();
+        });
+
+        it('Should grow an existing ArrayBuffer', (done) => {
+            const stream = new ArrayBufferStream(new ArrayBuffer(2), true, { growable: true });
+            stream.writeUint32(0x01020304);
+
+            stream.size.should.be.at.least(4);
+            stream.setCursor(0);
+            stream.getNextUint32().should.equal(0x01020304);
+            done();
+        });
+
+        it('Should not grow past maxSize', (done) => {
+            for(const arg of [4, new ArrayBuffer(4)]){
+                const stream = new ArrayBufferStream(arg, true, { growable: true, maxSize: 10 });
+                stream.writeUint32(1, 2);
+                stream.size.should.equal(10);
+
+                try{
+                    stream.writeUint32(3);
+                    should.fail();
+                }catch(e){
+                    e.should.be.instanceOf(StreamOverflowError);
+                    e.operation.should.equal('writeUint32');
+                    e.cursor.should.equal(8);
+                    e.byteCount.should.equal(4);
+                }
+
+                stream.cursor.should.equal(8);
+                stream.size.should.equal(10);
+                stream.writeUint16(4);
+                stream.cursor.should.equal(10);
+            }
+            done();
+        });
+
+        it('Should throw on an invalid maxSize', (done) => {
+            should.throw(() => {
+                new ArrayBufferStream(0, true, { growable: true, maxSize: -1 });
+            }, RangeError);
+            should.throw(() => {
+                new ArrayBufferStream(0, true, { growable: true, maxSize: NaN });
+            }, RangeError);
+            done();
+        });
+
+        it('Should still throw when writing out of bounds without growable', (done) => {
+            should.throw(() => {
+                arrayBufferStream.setCursor(64);
+                arrayBufferStream.writeUint8(1);
+            });
+            arrayBufferStream.size.should.equal(64);
             done();
         });
     });
-});
\ No newline at end of file
+});
@@ -0,0 +1,205 @@
+import chai from 'chai';
+import { Readable } from 'node:stream';
+
+import ArrayBufferStream, { AsyncStreamReader, Struct, EndOfStreamError, StreamUnderflowError, UnsupportedSourceError } from '../index.js';
+import { split, sample, checkSample } from './helpers/fixtures.js';
+
+const should = chai.should();
+
+/**
+ * @param {Uint8Array[]} chunks 
+ * @returns {ReadableStream}
+ */
+function toReadableStream(chunks){
+    let i = 0;
+
+    return new ReadableStream({
+        pull(controller){
+            if(i < chunks.length){
+                controller.enqueue(chunks[i++]);
+            }else{
+                controller.close();
+            }
+        }
+    });
+}
+
+describe('AsyncStreamReader Tests', () => {
+    describe('Can read from streaming sources', () => {
+        it('Should read from a ReadableStream', async () => {
+            const bytes = sample();
+            await checkSample(new AsyncStreamReader(toReadableStream([bytes]), true));
+        });
+
+        it('Should read values that straddle chunk boundaries', async () => {
+            const bytes = sample();
+
+            for(const sizes of [[1], [2, 3], [5, 1, 7]]){
+                await checkSample(new AsyncStreamReader(toReadableStream(split(bytes, sizes)), true));
+            }
+        });
+
+        it('Should read from a Node Readable', async () => {
+            const bytes = sample(),
+                  reader = new AsyncStreamReader(Readable.from(split(bytes, [3]).map((c) => Buffer.from(c))), true);
+
+            await checkSample(reader);
+        });
+
+        it('Should read from an async iterable of chunks', async () => {
+            const bytes = sample();
+
+            async function* chunks(){
+                yield* split(bytes, [4, 0, 9]);
+            }
+
+            await checkSample(new AsyncStreamReader(chunks(), true));
+        });
+
+        it('Should read structs with a callback', async () => {
+            const Point = new Struct({ x: 'float32', y: 'float32', label: 'string' }),
+                  stream = new ArrayBufferStream(0, false, { growable: true });
+
+            Point.write(stream, { x: 1.5, y: -2, label: 'origin' });
+            Point.write(stream, { x: 3, y: 4, label: 'far' });
+
+            const reader = new AsyncStreamReader(toReadableStream(split(new Uint8Array(stream.trimToCursor()), [3])));
+
+            (await reader.read((s) => Point.read(s))).should.deep.equal({ x: 1.5, y: -2, label: 'origin' });
+            (await reader.read((s) => Point.read(s))).should.deep.equal({ x: 3, y: 4, label: 'far' });
+            reader.position.should.equal(stream.cursor);
+        });
+
+        it('Should complete queued reads in order', async () => {
+            const reader = new AsyncStreamReader(toReadableStream(split(new Uint8Array([1, 2, 3, 4, 5]), [2])));
+
+            const values = await Promise.all([
+                reader.getNextUint8(),
+                reader.getNextUint16(),
+                reader.getNextUint8Array(2)
+            ]);
+
+            values.should.deep.equal([1, 0x0203, new Uint8Array([4, 5])]);
+        });
+
+        it('Should skip bytes across chunks', async () => {
+            const bytes = new Uint8Array(100).map((_, i) => i),
+                  reader = new AsyncStreamReader(toReadableStream(split(bytes, [7])));
+
+            await reader.skip(95);
+            reader.position.should.equal(95);
+            (await reader.getNextUint8()).should.equal(95);
+        });
+    });
+
+    describe('Can apply backpressure', () => {
+        it('Should only pull chunks as they are needed', async () => {
+            let pulls = 0;
+
+            const source = new ReadableStream({
+                pull(controller){
+                    ++pulls;
+                    controller.enqueue(new Uint8Array(4).fill(pulls));
+                }
+            }, { highWaterMark: 0 });
+
+            const reader = new AsyncStreamReader(source);
+
+            (await reader.getNextUint8()).should.equal(1);
+            pulls.should.be.at.most(2);
+
+            (await reader.getNextUint8Array(6)).should.deep.equal(new Uint8Array([1, 1, 1, 2, 2, 2]));
+            pulls.should.be.at.most(3);
+
+            await reader.cancel();
+        });
+
+        it('Should keep a Node Readable paused between reads', async () => {
+            let reads = 0;
+
+            const source = new Readable({
+                highWaterMark: 16,
+                read(){
+                    ++reads;
+                    this.push(Buffer.alloc(16, reads));
+                }
+            });
+
+            const reader = new AsyncStreamReader(source);
+            (await reader.getNextUint8()).should.equal(1);
+
+            await new Promise((resolve) => setTimeout(resolve, 10));
+            reads.should.be.below(10);
+
+            await reader.cancel();
+            source.destroyed.should.equal(true);
+        });
+    });
+
+    describe('Can report the end of the source', () => {
+        it('Should reject with EndOfStreamError when a read runs out of data', async () => {
+            const reader = new AsyncStreamReader(toReadableStream([new Uint8Array([1, 2]), new Uint8Array([3])]));
+
+            try{
+                await reader.getNextUint32();
+                should.fail('Expected EndOfStreamError');
+            }catch(e){
+                e.should.be.instanceOf(EndOfStreamError);
+                e.should.be.instanceOf(StreamUnderflowError);
+                e.operation.should.equal('getNextUint32');
+                e.cursor.should.equal(0);
+                e.size.should.equal(3);
+            }
+
+            // Nothing was consumed by the failed read
+            (await reader.getNextUint16()).should.equal(0x0102);
+            (await reader.getNextUint8()).should.equal(3);
+            (await reader.isEOF()).should.equal(true);
+        });
+
+        it('Should reject delimited reads at the end of the source', async () => {
+            const reader = new AsyncStreamReader(toReadableStream([new TextEncoder().encode('no newline')]));
+
+            (await reader.getNextLine()).should.equal('no newline');
+
+            try{
+                await reader.getNextLine();
+                should.fail('Expected EndOfStreamError');
+            }catch(e){
+                e.should.be.instanceOf(EndOfStreamError);
+                e.operation.should.equal('getNextLine');
+            }
+        });
+
+        it('Should reject when skipping past the end', async () => {
+            const reader = new AsyncStreamReader(toReadableStream([new Uint8Array(10)]));
+
+            try{
+                await reader.skip(11);
+                should.fail('Expected EndOfStreamError');
+            }catch(e){
+                e.should.be.instanceOf(EndOfStreamError);
+            }
+        });
+
+        it('Should report EOF for an empty source', async () => {
+            const reader = new AsyncStreamReader(toReadableStream([]));
+            (await reader.isEOF()).should.equal(true);
+        });
+
+        it('Should reject unsupported sources and chunks', async () => {
+            should.throw(() => {
+                new AsyncStreamReader(new Uint8Array(4));
+            }, UnsupportedSourceError);
+
+            const reader = new AsyncStreamReader(Readable.from(['text']));
+
+            try{
+                await reader.getNextUint8();
+                should.fail('Expected TypeError');
+            }catch(e){
+                e.should.be.instanceOf(TypeError);
+            }
+        });
+    });
+});
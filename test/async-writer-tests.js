@@ -0,0 +1,199 @@
+import chai from 'chai';
+import { Writable } from 'node:stream';
+
+import ArrayBufferStream, { AsyncStreamWriter, Struct, UnsupportedSourceError } from '../index.js';
+import { concat } from './helpers/fixtures.js';
+
+const should = chai.should();
+
+/**
+ * Creates a WritableStream that collects chunks
+ * @param {object} [options]
+ * @param {number} [options.delay] milliseconds to wait before accepting each chunk
+ * @returns {{sink: WritableStream, chunks: Uint8Array[], closed: boolean}}
+ */
+function collectingWritableStream(options){
+    const result = { chunks: [], closed: false };
+
+    result.sink = new WritableStream({
+        async write(chunk){
+            if(options?.delay)
+                await new Promise((resolve) => setTimeout(resolve, options.delay));
+
+            result.chunks.push(chunk);
+        },
+        close(){
+            result.closed = true;
+        }
+    }, { highWaterMark: 1 });
+
+    return result;
+}
+
+describe('AsyncStreamWriter Tests', () => {
+    describe('Can write to streaming sinks', () => {
+        it('Should write fixed-size chunks to a WritableStream', async () => {
+            const { sink, chunks } = collectingWritableStream(),
+                  writer = new AsyncStreamWriter(sink, true, { chunkSize: 4 });
+
+            await writer.writeUint32(1, 2);
+            await writer.writeUint8(3);
+            writer.position.should.equal(9);
+            writer.flushed.should.equal(8);
+
+            await writer.close();
+
+            chunks.map((c) => c.length).should.deep.equal([4, 4, 1]);
+
+            const stream = new ArrayBufferStream(concat(chunks), true);
+            stream.getNextUint32().should.equal(1);
+            stream.getNextUint32().should.equal(2);
+            stream.getNextUint8().should.equal(3);
+        });
+
+        it('Should split large writes into several chunks', async () => {
+            const { sink, chunks } = collectingWritableStream(),
+                  writer = new AsyncStreamWriter(sink, false, { chunkSize: 16 }),
+                  bytes = new Uint8Array(100).map((_, i) => i);
+
+            await writer.writeBytes(bytes);
+            writer.position.should.equal(100);
+
+            await writer.close();
+            chunks.map((c) => c.length).should.deep.equal([16, 16, 16, 16, 16, 16, 4]);
+            concat(chunks).should.deep.equal(bytes);
+        });
+
+        it('Should write to a Node Writable', async () => {
+            const received = [];
+
+            const sink = new Writable({
+                highWaterMark: 8,
+                write(chunk, encoding, callback){
+                    received.push(new Uint8Array(chunk));
+                    setImmediate(callback);
+                }
+            });
+
+            const writer = new AsyncStreamWriter(sink, true, { chunkSize: 8 });
+
+            for(let i = 0; i < 100; ++i)
+                await writer.writeFloat64(i / 2);
+
+            await writer.writeUTF8String('end');
+            await writer.close();
+
+            const stream = new ArrayBufferStream(concat(received), true);
+            for(let i = 0; i < 100; ++i)
+                stream.getNextFloat64().should.equal(i / 2);
+
+            stream.getNextUTF8String().should.equal('end');
+            sink.writableFinished.should.equal(true);
+        });
+
+        it('Should write structs and sized blocks with a callback', async () => {
+            const Point = new Struct({ x: 'int16', y: 'int16' }),
+                  { sink, chunks } = collectingWritableStream(),
+                  writer = new AsyncStreamWriter(sink, true, { chunkSize: 3 });
+
+            (await writer.write((s) => s.writeSized('uint8', () => {
+                Point.write(s, { x: 1, y: -1 });
+                Point.write(s, { x: 2, y: -2 });
+            }))).should.equal(8);
+
+            await writer.close();
+
+            const stream = new ArrayBufferStream(concat(chunks), true);
+            stream.getNextUint8().should.equal(8);
+            Point.read(stream).should.deep.equal({ x: 1, y: -1 });
+            Point.read(stream).should.deep.equal({ x: 2, y: -2 });
+        });
+
+        it('Should keep chunks in order when writes are not awaited', async () => {
+            const { sink, chunks } = collectingWritableStream({ delay: 1 }),
+                  writer = new AsyncStreamWriter(sink, false, { chunkSize: 2 });
+
+            for(let i = 0; i < 20; ++i)
+                writer.writeUint8(i);
+
+            await writer.close();
+            concat(chunks).should.deep.equal(new Uint8Array(20).map((_, i) => i));
+        });
+    });
+
+    describe('Can apply backpressure', () => {
+        it('Should wait for a slow sink before resolving writes', async () => {
+            const { sink, chunks } = collectingWritableStream({ delay: 5 }),
+                  writer = new AsyncStreamWriter(sink, false, { chunkSize: 4 });
+
+            for(let i = 0; i < 10; ++i){
+                await writer.writeUint32(i);
+
+                // The sink never falls more than a couple of chunks behind
+                (writer.flushed / 4 - chunks.length).should.be.at.most(3);
+            }
+
+            await writer.close();
+            chunks.length.should.equal(10);
+        });
+
+        it('Should not pass data on before a chunk is full', async () => {
+            const { sink, chunks } = collectingWritableStream(),
+                  writer = new AsyncStreamWriter(sink, false, { chunkSize: 64 });
+
+            await writer.writeUint32(1, 2, 3);
+            chunks.length.should.equal(0);
+
+            await writer.flush();
+            chunks.length.should.equal(1);
+            chunks[0].length.should.equal(12);
+            writer.flushed.should.equal(12);
+        });
+    });
+
+    describe('Can report errors', () => {
+        it('Should reject writes after close', async () => {
+            const { sink } = collectingWritableStream(),
+                  writer = new AsyncStreamWriter(sink);
+
+            await writer.close();
+
+            try{
+                await writer.writeUint8(1);
+                should.fail('Expected TypeError');
+            }catch(e){
+                e.should.be.instanceOf(TypeError);
+            }
+        });
+
+        it('Should reject when the sink fails', async () => {
+            const sink = new Writable({
+                write(chunk, encoding, callback){
+                    callback(new Error('disk full'));
+                }
+            });
+
+            const writer = new AsyncStreamWriter(sink, false, { chunkSize: 1 });
+
+            try{
+                await writer.writeUint8(1);
+                await new Promise((resolve) => setImmediate(resolve));
+                await writer.writeUint8(2);
+                await writer.close();
+                should.fail('Expected the sink error');
+            }catch(e){
+                e.message.should.equal('disk full');
+            }
+        });
+
+        it('Should reject unsupported sinks and chunk sizes', (done) => {
+            should.throw(() => {
+                new AsyncStreamWriter({});
+            }, UnsupportedSourceError);
+            should.throw(() => {
+                new AsyncStreamWriter(new WritableStream(), false, { chunkSize: 0 });
+            }, RangeError);
+            done();
+        });
+    });
+});
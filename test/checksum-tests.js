@@ -0,0 +1,128 @@
+import chai from 'chai';
+
+import ArrayBufferStream, { crc32, crc32c, crc16ccitt, adler32, sum8, xor8, StreamUnderflowError } from '../index.js';
+
+const should = chai.should();
+
+// Standard check input for CRC catalogues
+const CHECK = new TextEncoder().encode('123456789');
+
+/**
+ * @type {ArrayBufferStream}
+ */
+let arrayBufferStream;
+
+describe('Checksum Tests', () => {
+    beforeEach((done) => {
+        arrayBufferStream = new ArrayBufferStream(64, false);
+        done();
+    });
+
+    describe('Can compute checksums over bytes', () => {
+        it('Should match the standard check values', (done) => {
+            crc32(CHECK).should.equal(0xCBF43926);
+            crc32c(CHECK).should.equal(0xE3069283);
+            crc16ccitt(CHECK).should.equal(0x29B1);
+            adler32(CHECK).should.equal(0x091E01DE);
+            sum8(CHECK).should.equal(0xDD);
+            xor8(CHECK).should.equal(0x31);
+            done();
+        });
+
+        it('Should return initial values for empty input', (done) => {
+            const empty = new Uint8Array(0);
+
+            crc32(empty).should.equal(0);
+            crc32c(empty).should.equal(0);
+            crc16ccitt(empty).should.equal(0xFFFF);
+            adler32(empty).should.equal(1);
+            done();
+        });
+
+        it('Should continue running checksums', (done) => {
+            const head = CHECK.subarray(0, 4),
+                  tail = CHECK.subarray(4);
+
+            crc32(tail, crc32(head)).should.equal(crc32(CHECK));
+            crc32c(tail, crc32c(head)).should.equal(crc32c(CHECK));
+            crc16ccitt(tail, crc16ccitt(head)).should.equal(crc16ccitt(CHECK));
+            adler32(tail, adler32(head)).should.equal(adler32(CHECK));
+            sum8(tail, sum8(head)).should.equal(sum8(CHECK));
+            xor8(tail, xor8(head)).should.equal(xor8(CHECK));
+            done();
+        });
+
+        it('Should keep Adler-32 exact for long input', (done) => {
+            const bytes = new Uint8Array(1 << 20).fill(0xFF);
+
+            let a = 1, b = 0;
+            for(let i = 0; i < bytes.length; ++i){
+                a = (a + bytes[i]) % 65521;
+                b = (b + a) % 65521;
+            }
+
+            adler32(bytes).should.equal(((b << 16) | a) >>> 0);
+            done();
+        });
+    });
+
+    describe('Can compute checksums over stream ranges', () => {
+        it('Should default to the bytes before the cursor', (done) => {
+            arrayBufferStream.writeUint8Array(CHECK);
+
+            arrayBufferStream.checksum('crc32').should.equal(0xCBF43926);
+            arrayBufferStream.checksum('adler32', 0, 9).should.equal(0x091E01DE);
+            arrayBufferStream.checksum('crc16-ccitt', 2, 5).should.equal(crc16ccitt(CHECK.subarray(2, 5)));
+            arrayBufferStream.cursor.should.equal(9);
+            done();
+        });
+
+        it('Should write and verify a CRC-32 trailer', (done) => {
+            const chunk = new Uint8Array([0x49, 0x48, 0x44, 0x52, 0, 0, 0, 16, 0, 0, 0, 16]);
+
+            arrayBufferStream.writeUint8Array(chunk);
+            arrayBufferStream.writeCRC32Of(0, 12).should.equal(crc32(chunk));
+            arrayBufferStream.cursor.should.equal(16);
+
+            arrayBufferStream.setCursor(12);
+            arrayBufferStream.verifyCRC32(0, 12).should.equal(true);
+            arrayBufferStream.cursor.should.equal(16);
+
+            arrayBufferStream.setUint8At(0, 0x69);
+            arrayBufferStream.setCursor(12);
+            arrayBufferStream.verifyCRC32(0, 12).should.equal(false);
+            done();
+        });
+
+        it('Should verify against an expected value', (done) => {
+            arrayBufferStream.writeUint8Array(CHECK);
+
+            arrayBufferStream.verifyCRC32(0, 9, 0xCBF43926).should.equal(true);
+            arrayBufferStream.verifyCRC32(0, 9, 0xE3069283, 'crc32c').should.equal(true);
+            arrayBufferStream.verifyCRC32(0, 9, 0xE3069283).should.equal(false);
+            arrayBufferStream.cursor.should.equal(9);
+            done();
+        });
+
+        it('Should run over a window of a larger buffer', (done) => {
+            const bytes = new Uint8Array(20);
+            bytes.set(CHECK, 5);
+
+            new ArrayBufferStream(bytes.subarray(5, 14)).checksum('crc32', 0, 9).should.equal(0xCBF43926);
+            done();
+        });
+
+        it('Should throw for invalid ranges and algorithms', (done) => {
+            should.throw(() => {
+                arrayBufferStream.checksum('crc32', 60, 70);
+            }, StreamUnderflowError);
+            should.throw(() => {
+                arrayBufferStream.checksum('crc32', 10, 5);
+            }, RangeError);
+            should.throw(() => {
+                arrayBufferStream.checksum('md5', 0, 4);
+            }, TypeError);
+            done();
+        });
+    });
+});
@@ -0,0 +1,136 @@
+import chai from 'chai';
+
+import ArrayBufferStream, { ChunkedStreamReader, Struct, StreamUnderflowError, UnsupportedSourceError } from '../index.js';
+import { split, sample, checkSample } from './helpers/fixtures.js';
+
+const should = chai.should();
+
+describe('ChunkedStreamReader Tests', () => {
+    describe('Can read across fragments', () => {
+        it('Should read a single fragment in place', async () => {
+            await checkSample(new ChunkedStreamReader([sample()], true));
+        });
+
+        it('Should read values that straddle fragment boundaries', async () => {
+            const bytes = sample();
+
+            for(const sizes of [[1], [2], [3, 5], [7, 1, 4], [16]]){
+                await checkSample(new ChunkedStreamReader(split(bytes, sizes).map((piece) => piece.buffer), true));
+            }
+        });
+
+        it('Should decode a FLOAT64 split 3/5', (done) => {
+            const stream = new ArrayBufferStream(8, false);
+            stream.writeFloat64(-1234.5678);
+
+            const bytes = new Uint8Array(stream.buffer),
+                  reader = new ChunkedStreamReader([bytes.subarray(0, 3), bytes.subarray(3)]);
+
+            reader.getNextFloat64().should.equal(-1234.5678);
+            reader.position.should.equal(8);
+            done();
+        });
+
+        it('Should read long strings that span many fragments', (done) => {
+            const text = 'x'.repeat(1000),
+                  stream = new ArrayBufferStream(0, true, { growable: true });
+
+            stream.writeUTF8String(text);
+            stream.writeUint8(42);
+
+            const reader = new ChunkedStreamReader(split(new Uint8Array(stream.trimToCursor()), [10]));
+            reader.getNextUTF8String().should.equal(text);
+            reader.getNextUint8().should.equal(42);
+            done();
+        });
+
+        it('Should read structs with a callback', (done) => {
+            const Entry = new Struct({ id: 'uint16', name: 'string', score: 'float32' }),
+                  stream = new ArrayBufferStream(0, true, { growable: true });
+
+            Entry.write(stream, { id: 1, name: 'first', score: 0.5 });
+            Entry.write(stream, { id: 2, name: 'second', score: 1.5 });
+
+            const reader = new ChunkedStreamReader(split(new Uint8Array(stream.trimToCursor()), [5]), true);
+            reader.read((s) => Entry.read(s)).should.deep.equal({ id: 1, name: 'first', score: 0.5 });
+            reader.read((s) => Entry.read(s)).should.deep.equal({ id: 2, name: 'second', score: 1.5 });
+            reader.isEOF().should.equal(true);
+            done();
+        });
+
+        it('Should accept typed arrays, Node Buffers and empty fragments', (done) => {
+            const reader = new ChunkedStreamReader([new Uint8Array([1, 2]), new ArrayBuffer(0), Buffer.from([3, 4])]);
+
+            reader.fragments.length.should.equal(2);
+            reader.getNextUint32().should.equal(0x01020304);
+
+            should.throw(() => {
+                reader.append('not a buffer');
+            }, UnsupportedSourceError);
+            done();
+        });
+    });
+
+    describe('Can append and discard fragments', () => {
+        it('Should retry a read after appending the rest of a value', (done) => {
+            const reader = new ChunkedStreamReader([new Uint8Array([0x12, 0x34])]);
+
+            should.throw(() => {
+                reader.getNextUint32();
+            }, StreamUnderflowError);
+            reader.position.should.equal(0);
+
+            reader.append(new Uint8Array([0x56, 0x78]));
+            reader.getNextUint32().should.equal(0x12345678);
+            done();
+        });
+
+        it('Should wait for a terminator in a later fragment in strict mode', (done) => {
+            const encoder = new TextEncoder(),
+                  reader = new ChunkedStreamReader([encoder.encode('incomplete ')], false, { strictTerminators: true });
+
+            should.throw(() => {
+                reader.getNextLine();
+            }, StreamUnderflowError);
+
+            reader.append(encoder.encode('line\nnext'));
+            reader.getNextLine().should.equal('incomplete line');
+            reader.remaining().should.equal(4);
+            done();
+        });
+
+        it('Should discard consumed fragments', (done) => {
+            const reader = new ChunkedStreamReader([new Uint8Array([1, 2]), new Uint8Array([3, 4]), new Uint8Array([5, 6])]);
+
+            reader.getNextUint8Array(3).should.deep.equal(new Uint8Array([1, 2, 3]));
+            reader.discardConsumed().should.equal(2);
+            reader.fragments.length.should.equal(2);
+            reader.position.should.equal(3);
+
+            reader.getNextUint16().should.equal(0x0405);
+            reader.getNextUint8().should.equal(6);
+            reader.discardConsumed().should.equal(4);
+            reader.fragments.length.should.equal(0);
+            reader.position.should.equal(6);
+
+            reader.append(new Uint8Array([7]));
+            reader.getNextUint8().should.equal(7);
+            reader.position.should.equal(7);
+            reader.size.should.equal(7);
+            done();
+        });
+
+        it('Should skip across fragments', (done) => {
+            const reader = new ChunkedStreamReader(split(new Uint8Array(20).map((_, i) => i), [3]));
+
+            reader.skip(10);
+            reader.getNextUint8().should.equal(10);
+
+            should.throw(() => {
+                reader.skip(10);
+            }, StreamUnderflowError);
+            reader.position.should.equal(11);
+            done();
+        });
+    });
+});
@@ -0,0 +1,272 @@
+import chai from 'chai';
+
+import ArrayBufferStream, { Struct, StreamUnderflowError, StreamOverflowError } from '../index.js';
+import { setCompressionBackend } from '../lib/compression.js';
+
+const should = chai.should();
+
+const FORMATS = ['deflate-raw', 'deflate', 'gzip'];
+
+const BACKENDS = ['zlib', 'streams'];
+
+const Vertex = new Struct({ x: 'float32', y: 'float32', z: 'float32', color: 'uint32' });
+
+/**
+ * Pipes bytes through a CompressionStream or DecompressionStream
+ * @param {TransformStream} transform 
+ * @param {Uint8Array} bytes 
+ * @returns {Promise<Uint8Array>}
+ */
+async function pipe(transform, bytes){
+    return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer());
+}
+
+/**
+ * @param {string} format 
+ * @returns {boolean} whether CompressionStream and DecompressionStream support the format on this platform
+ */
+function supportsStreams(format){
+    if(typeof Blob !== 'function' || typeof Response !== 'function')
+        return false;
+
+    try{
+        new CompressionStream(format);
+        new DecompressionStream(format);
+        return true;
+    }catch(e){
+        return false;
+    }
+}
+
+/**
+ * @param {number} count 
+ * @returns {object[]} vertices with repetitive values
+ */
+function vertices(count){
+    return Array.from({ length: count }, (_, i) => ({ x: i % 8, y: 1, z: -1, color: 0xFF00FF00 }));
+}
+
+/**
+ * Asserts that a promise rejects with the given error type
+ * @param {Promise} promise 
+ * @param {Function} type 
+ * @returns {Promise<Error>}
+ */
+async function rejects(promise, type){
+    try{
+        await promise;
+    }catch(e){
+        e.should.be.instanceOf(type);
+        return e;
+    }
+
+    should.fail(`Expected ${type.name}`);
+}
+
+describe('Compression Tests', () => {
+    describe('Can compress stream sections', () => {
+        for(const format of FORMATS){
+            it(`Should write and read a ${format} section between uncompressed fields`, async () => {
+                const stream = new ArrayBufferStream(0, true, { growable: true }),
+                      data = vertices(500);
+
+                stream.writeASCIIString('SAVE');
+                const length = stream.reserveUint32();
+
+                const compressedLength = await stream.writeCompressed(format, (s) => {
+                    s.writeUint32(data.length);
+                    for(const v of data)
+                        Vertex.write(s, v);
+                });
+
+                length.set(compressedLength);
+                stream.cursor.should.equal(9 + compressedLength);
+                compressedLength.should.be.below(4 + data.length * Vertex.byteLength());
+                stream.writeUint16(0xBEEF);
+
+                stream.setCursor(0);
+                stream.getNextASCIIString().should.equal('SAVE');
+
+                const section = await stream.getNextDecompressed(format, stream.getNextUint32());
+                section.littleEndian.should.equal(true);
+                section.size.should.equal(4 + data.length * Vertex.byteLength());
+                section.getNextUint32().should.equal(data.length);
+                for(const v of data)
+                    Vertex.read(section).should.deep.equal(v);
+
+                stream.getNextUint16().should.equal(0xBEEF);
+            });
+
+            it(`Should produce ${format} data that CompressionStream understands`, async function(){
+                if(!supportsStreams(format))
+                    this.skip();
+
+                const stream = new ArrayBufferStream(0, false, { growable: true });
+
+                await stream.writeCompressed(format, (s) => s.writeUTF8String('hello, '.repeat(50), false));
+                const bytes = await pipe(new DecompressionStream(format), new Uint8Array(stream.trimToCursor()));
+
+                new TextDecoder().decode(bytes).should.equal('hello, '.repeat(50));
+            });
+        }
+
+        it('Should read data compressed by CompressionStream', async function(){
+            if(!supportsStreams('gzip'))
+                this.skip();
+
+            const text = 'a'.repeat(1000),
+                  compressed = await pipe(new CompressionStream('gzip'), new TextEncoder().encode(text)),
+                  stream = new ArrayBufferStream(compressed.length + 2);
+
+            stream.writeUint8Array(compressed);
+            stream.writeUint16(7);
+            stream.setCursor(0);
+
+            compressed[0].should.equal(0x1F);
+            compressed[1].should.equal(0x8B);
+
+            const section = await stream.getNextDecompressed('gzip', compressed.length);
+            section.getNextUTF8String().should.equal(text);
+            stream.getNextUint16().should.equal(7);
+        });
+
+        it('Should decompress the rest of the stream by default', async () => {
+            const stream = new ArrayBufferStream(0, false, { growable: true });
+
+            stream.writeUint8(1);
+            await stream.writeCompressed('deflate', (s) => s.writeFloat64(Math.PI, Math.E));
+
+            const data = stream.trimToCursor(),
+                  read = new ArrayBufferStream(data);
+
+            read.getNextUint8().should.equal(1);
+            const section = await read.getNextDecompressed('deflate');
+            section.getNextFloat64().should.equal(Math.PI);
+            section.getNextFloat64().should.equal(Math.E);
+            read.isEOF().should.equal(true);
+        });
+
+        it('Should annotate decompressed sections once they have been read', async () => {
+            const stream = new ArrayBufferStream(0, false, { growable: true });
+
+            stream.writeUint16(1);
+            const n = await stream.writeCompressed('gzip', (s) => s.writeUint32(1, 2, 3));
+
+            const read = new ArrayBufferStream(stream.trimToCursor(), false, { annotate: true });
+            read.getNextUint16();
+            await read.getNextDecompressed('gzip', n);
+
+            read.annotations.should.deep.equal([
+                { start: 0, end: 2, name: 'getNextUint16' },
+                { start: 2, end: 2 + n, name: 'getNextDecompressed' }
+            ]);
+            read.annotationDepth.should.equal(0);
+
+            await rejects(read.getNextDecompressed('gzip', 0), RangeError);
+            read.annotationDepth.should.equal(0);
+            read.annotations.length.should.equal(2);
+        });
+    });
+
+    for(const backend of BACKENDS){
+        describe(`Can compress with the ${backend} backend`, () => {
+            before(() => setCompressionBackend(backend));
+            after(() => setCompressionBackend());
+
+            for(const format of FORMATS){
+                it(`Should round-trip ${format} sections`, async function(){
+                    if(backend === 'streams' && !supportsStreams(format))
+                        this.skip();
+
+                    const stream = new ArrayBufferStream(0, true, { growable: true }),
+                          data = vertices(300);
+
+                    stream.writeUint8(0xAA);
+                    const n = await stream.writeCompressed(format, (s) => data.forEach((v) => Vertex.write(s, v)));
+                    stream.writeUint8(0xBB);
+
+                    stream.setCursor(1);
+                    const section = await stream.getNextDecompressed(format, n);
+                    data.forEach((v) => Vertex.read(section).should.deep.equal(v));
+                    stream.getNextUint8().should.equal(0xBB);
+                });
+
+                it(`Should read ${format} data written by the other backend`, async function(){
+                    if(!supportsStreams(format))
+                        this.skip();
+
+                    const stream = new ArrayBufferStream(0, false, { growable: true });
+
+                    setCompressionBackend(BACKENDS.find((b) => b !== backend));
+                    const n = await stream.writeCompressed(format, (s) => s.writeUTF8String('x'.repeat(500)));
+                    setCompressionBackend(backend);
+
+                    stream.setCursor(0);
+                    (await stream.getNextDecompressed(format, n)).getNextUTF8String().should.equal('x'.repeat(500));
+                });
+            }
+
+            it('Should reject data that inflates beyond the limit', async function(){
+                if(backend === 'streams' && !supportsStreams('gzip'))
+                    this.skip();
+
+                const stream = new ArrayBufferStream(0, false, { growable: true });
+                const n = await stream.writeCompressed('gzip', (s) => s.writePadding(0x400000));
+                n.should.be.below(0x10000);
+
+                stream.setCursor(0);
+                const e = await rejects(stream.getNextDecompressed('gzip', n, 0x100000), RangeError);
+                e.message.should.contain('exceeds');
+                stream.cursor.should.equal(0);
+
+                (await stream.getNextDecompressed('gzip', n, 0x400000)).size.should.equal(0x400000);
+            });
+        });
+    }
+
+    describe('Can report compression errors', () => {
+        it('Should reject corrupt data without moving the cursor', async () => {
+            const stream = new ArrayBufferStream(new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8]));
+            stream.setCursor(2);
+
+            const e = await rejects(stream.getNextDecompressed('gzip', 6), RangeError);
+            e.message.should.contain('offset 2');
+            stream.cursor.should.equal(2);
+        });
+
+        it('Should reject unsupported backends', (done) => {
+            should.throw(() => setCompressionBackend('brotli'), TypeError);
+            done();
+        });
+
+        it('Should reject unsupported formats', async () => {
+            const stream = new ArrayBufferStream(16);
+
+            stream.writeUint8(1);
+            await rejects(stream.writeCompressed('brotli', (s) => s.writeUint32(1)), TypeError);
+            stream.cursor.should.equal(1);
+            await rejects(stream.getNextDecompressed('zstd', 4), TypeError);
+        });
+
+        it('Should reject lengths past the end of the stream', async () => {
+            const stream = new ArrayBufferStream(8);
+
+            await rejects(stream.getNextDecompressed('deflate', 9), StreamUnderflowError);
+            await rejects(stream.getNextDecompressed('deflate', -1), StreamUnderflowError);
+            await rejects(stream.getNextDecompressed('deflate', 8, 0), RangeError);
+        });
+
+        it('Should restore the cursor when the section does not fit', async () => {
+            const stream = new ArrayBufferStream(20);
+
+            stream.writeUint8(1);
+            await rejects(stream.writeCompressed('gzip', (s) => s.writeUint32(1, 2)), StreamOverflowError);
+            stream.cursor.should.equal(1);
+
+            await rejects(stream.writeCompressed('gzip', () => {
+                throw new Error('failed');
+            }), Error);
+            stream.cursor.should.equal(1);
+        });
+    });
+});
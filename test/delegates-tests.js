@@ -0,0 +1,72 @@
+import chai from 'chai';
+
+import ArrayBufferStream, { AsyncStreamReader, ChunkedStreamReader, AsyncStreamWriter } from '../index.js';
+import { READ_METHODS, WRITE_METHODS } from '../lib/delegates.js';
+
+chai.should();
+
+describe('Delegate Tests', () => {
+    describe('Can delegate to ArrayBufferStream methods', () => {
+        it('Should only delegate methods that ArrayBufferStream has', (done) => {
+            for(const name of [...Object.keys(READ_METHODS), ...WRITE_METHODS])
+                ArrayBufferStream.prototype[name].should.be.a('function', name);
+            done();
+        });
+
+        it('Should delegate every cursor read and write', (done) => {
+            // Bit fields keep a bit cursor between calls, the others are asynchronous
+            // or take callbacks or absolute offsets, so they go through read(fn) and write(fn)
+            const excluded = [
+                'getNextBits', 'getNextSignedBits', 'getNextDecompressed',
+                'writeBits', 'writeAt', 'writeSized', 'writeCRC32Of', 'writeCompressed'
+            ];
+            const names = Object.getOwnPropertyNames(ArrayBufferStream.prototype)
+                .filter((name) => !excluded.includes(name));
+
+            Object.keys(READ_METHODS).sort().should.deep.equal(names.filter((name) => name.startsWith('getNext')).sort());
+            [...WRITE_METHODS].sort().should.deep.equal(names.filter((name) => name.startsWith('write')).sort());
+            done();
+        });
+
+        it('Should add the delegates to the readers and the writer', (done) => {
+            for(const name of Object.keys(READ_METHODS)){
+                ChunkedStreamReader.prototype[name].name.should.equal(name);
+                AsyncStreamReader.prototype[name].name.should.equal(name);
+            }
+
+            for(const name of WRITE_METHODS)
+                AsyncStreamWriter.prototype[name].name.should.equal(name);
+
+            Object.keys(ChunkedStreamReader.prototype).should.deep.equal([]);
+            done();
+        });
+
+        it('Should pass arguments through', (done) => {
+            const stream = new ArrayBufferStream(16, true);
+            stream.writeFixedString('ab', 4, 'ascii', 0x20);
+            stream.writeUint8Array(new Uint8Array([1, 2, 3]));
+
+            const reader = new ChunkedStreamReader([stream.trimToCursor()], true);
+            reader.getNextFixedString(4, 'ascii', 0x20).should.equal('ab');
+            reader.getNextUint8Array(3).should.deep.equal(new Uint8Array([1, 2, 3]));
+            done();
+        });
+
+        it('Should pass the byte count of array reads to read', (done) => {
+            const reads = [],
+                  reader = new ChunkedStreamReader([new Uint8Array(16)], true);
+
+            const read = reader.read;
+            reader.read = function(fn, byteCount, operation){
+                reads.push([operation, byteCount]);
+                return read.call(this, fn, byteCount);
+            };
+
+            reader.getNextFloat32Array(2);
+            reader.getNextUNorm16Array(3);
+            reader.getNextSNorm8();
+            reads.should.deep.equal([['getNextFloat32Array', 8], ['getNextUNorm16Array', 6], ['getNextSNorm8', 1]]);
+            done();
+        });
+    });
+});
@@ -0,0 +1,243 @@
+import chai from 'chai';
+import net from 'node:net';
+
+import ArrayBufferStream, { MessageEncoder, MessageDecoder, Struct, EndOfStreamError, StreamUnderflowError } from '../index.js';
+import { split, concat } from './helpers/fixtures.js';
+
+const should = chai.should();
+
+/**
+ * Opens a TCP connection to a server on the loopback interface of this process
+ * @returns {Promise<{client: net.Socket, server: net.Socket, close: function(): Promise<void>}>}
+ */
+function socketPair(){
+    return new Promise((resolve, reject) => {
+        const listener = net.createServer();
+
+        listener.once('error', reject);
+        listener.once('connection', (server) => {
+            client.once('connect', () => resolve({
+                client,
+                server,
+                close: () => new Promise((done) => {
+                    client.destroy();
+                    server.destroy();
+                    listener.close(() => done());
+                })
+            }));
+        });
+
+        let client;
+        listener.listen(0, '127.0.0.1', () => {
+            client = net.connect(listener.address().port, '127.0.0.1');
+        });
+    });
+}
+
+describe('Message Framing Tests', () => {
+    describe('Can encode messages', () => {
+        it('Should write the length of everything after the length field', (done) => {
+            const encoder = new MessageEncoder(false, { lengthType: 'uint16', typed: true, sequenceType: 'uint16' });
+
+            encoder.encode(new Uint8Array([0xAA, 0xBB]), 7).should.deep.equal(new Uint8Array([0, 5, 7, 0, 0, 0xAA, 0xBB]));
+            encoder.encode((s) => s.writeUint8(0xCC), 8).should.deep.equal(new Uint8Array([0, 4, 8, 0, 1, 0xCC]));
+            encoder.sequence.should.equal(2);
+            done();
+        });
+
+        it('Should write frames with a varint length into an existing stream', (done) => {
+            const encoder = new MessageEncoder(true, { lengthType: 'varint' }),
+                  stream = new ArrayBufferStream(0, true, { growable: true });
+
+            stream.writeUint8(0xFF);
+            encoder.write(stream, new Uint8Array(200)).should.equal(202);
+            encoder.write(stream, (s) => s.writeUint32(1)).should.equal(5);
+
+            stream.setCursor(1);
+            stream.getNextVarUint().should.equal(200);
+            stream.skip(200);
+            stream.getNextVarUint().should.equal(4);
+            stream.getNextUint32().should.equal(1);
+            done();
+        });
+
+        it('Should wrap sequence numbers around', (done) => {
+            const encoder = new MessageEncoder(false, { sequenceType: 'uint16' });
+
+            encoder.sequence = 0xFFFF;
+            encoder.encode(new Uint8Array(0));
+            encoder.sequence.should.equal(0);
+            done();
+        });
+
+        it('Should reject invalid options and message types', (done) => {
+            should.throw(() => {
+                new MessageEncoder(false, { lengthType: 'int32' });
+            }, TypeError);
+            should.throw(() => {
+                new MessageDecoder(false, { sequenceType: 'uint8' });
+            }, TypeError);
+            should.throw(() => {
+                new MessageEncoder(false, { typed: true }).encode(new Uint8Array(0), 256);
+            }, RangeError);
+            should.throw(() => {
+                new MessageEncoder(false, { lengthType: 'uint8' }).encode(new Uint8Array(300));
+            }, RangeError);
+            done();
+        });
+    });
+
+    describe('Can decode partial input', () => {
+        const options = { lengthType: 'varint', typed: true, sequenceType: 'uint32' },
+              Point = new Struct({ x: 'float64', y: 'float64' });
+
+        /**
+         * @returns {Uint8Array} several messages of different sizes
+         */
+        function messages(){
+            const encoder = new MessageEncoder(true, options);
+
+            return concat([
+                encoder.encode((s) => Point.write(s, { x: 1.5, y: -2 }), 1),
+                encoder.encode(new Uint8Array(0), 2),
+                encoder.encode(new Uint8Array(300).fill(9), 3),
+                encoder.encode((s) => s.writeUTF8String('done'), 4)
+            ]);
+        }
+
+        /**
+         * @param {Array} decoded 
+         */
+        function check(decoded){
+            decoded.map((m) => [m.type, m.sequence, m.body.size]).should.deep.equal([
+                [1, 0, 16], [2, 1, 0], [3, 2, 300], [4, 3, 5]
+            ]);
+
+            Point.read(decoded[0].body).should.deep.equal({ x: 1.5, y: -2 });
+            decoded[0].body.littleEndian.should.equal(true);
+            decoded[2].body.getNextUint8Array(300).every((b) => b === 9).should.equal(true);
+            decoded[3].body.getNextUTF8String().should.equal('done');
+        }
+
+        it('Should decode input pushed at once', (done) => {
+            const decoder = new MessageDecoder(true, options);
+
+            check(decoder.push(messages()));
+            decoder.buffered.should.equal(0);
+            decoder.end();
+            done();
+        });
+
+        it('Should decode input pushed one byte at a time', (done) => {
+            const decoder = new MessageDecoder(true, options),
+                  decoded = [];
+
+            for(const piece of split(messages(), [1]))
+                decoded.push(...decoder.push(piece));
+
+            check(decoded);
+            decoder.reader.fragments.length.should.equal(0);
+            done();
+        });
+
+        it('Should decode input split at uneven boundaries', (done) => {
+            for(const sizes of [[2, 3], [7], [17, 1, 100], [299, 5]]){
+                const decoder = new MessageDecoder(true, options),
+                      decoded = [];
+
+                for(const piece of split(messages(), sizes))
+                    decoded.push(...decoder.push(piece));
+
+                check(decoded);
+            }
+            done();
+        });
+
+        it('Should report messages cut off at the end of the input', (done) => {
+            const bytes = messages(),
+                  decoder = new MessageDecoder(true, options);
+
+            // The first message and the length field of the second
+            decoder.push(bytes.slice(0, 23)).length.should.equal(1);
+            decoder.length.should.equal(5);
+            should.throw(() => decoder.end(), EndOfStreamError);
+
+            decoder.push(bytes.slice(23, 30)).length.should.equal(1);
+            decoder.length.should.equal(305);
+            should.throw(() => decoder.end(), EndOfStreamError);
+
+            const partial = new MessageDecoder(false);
+            partial.push(new Uint8Array([0, 0])).length.should.equal(0);
+            partial.buffered.should.equal(2);
+            should.throw(() => partial.end(), EndOfStreamError);
+            done();
+        });
+
+        it('Should reject messages longer than the maximum', (done) => {
+            new MessageDecoder(false, { maxLength: 1024 }).push(new Uint8Array([0, 0, 4, 0])).length.should.equal(0);
+            should.throw(() => {
+                new MessageDecoder(false, { maxLength: 1024 }).push(new Uint8Array([0, 0, 4, 1]));
+            }, RangeError);
+            done();
+        });
+
+        it('Should throw for frames shorter than their header', (done) => {
+            const decoder = new MessageDecoder(false, { lengthType: 'uint8', typed: true, sequenceType: 'uint16' });
+
+            should.throw(() => {
+                decoder.push(new Uint8Array([2, 1, 0]));
+            }, StreamUnderflowError);
+            done();
+        });
+    });
+
+    describe('Can exchange messages over a socket', () => {
+        it('Should send messages both ways over a loopback connection', async () => {
+            const { client, server, close } = await socketPair(),
+                  options = { lengthType: 'uint16', typed: true, sequenceType: 'varint' };
+
+            try{
+                // The server echoes each message with its body reversed
+                const serverEncoder = new MessageEncoder(false, options),
+                      serverDecoder = new MessageDecoder(false, options);
+
+                server.on('data', (data) => {
+                    for(const { type, body } of serverDecoder.push(data))
+                        server.write(serverEncoder.encode(body.getNextUint8Array(body.size).reverse(), type));
+                });
+
+                const clientEncoder = new MessageEncoder(false, options),
+                      clientDecoder = new MessageDecoder(false, options),
+                      replies = [];
+
+                const received = new Promise((resolve, reject) => {
+                    client.on('error', reject);
+                    client.on('data', (data) => {
+                        replies.push(...clientDecoder.push(data));
+
+                        if(replies.length === 100)
+                            resolve();
+                    });
+                });
+
+                for(let i = 0; i < 100; ++i){
+                    const body = new Uint8Array(i * 37).map((_, j) => j + i);
+                    client.write(clientEncoder.encode(body, i % 4));
+                }
+
+                await received;
+
+                replies.forEach(({ type, sequence, body }, i) => {
+                    type.should.equal(i % 4);
+                    sequence.should.equal(i);
+                    body.size.should.equal(i * 37);
+                    body.getNextUint8Array(body.size).should.deep.equal(new Uint8Array(i * 37).map((_, j) => j + i).reverse());
+                });
+
+                clientDecoder.end();
+            }finally{
+                await close();
+            }
+        });
+    });
+});
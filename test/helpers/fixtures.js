@@ -0,0 +1,88 @@
+import ArrayBufferStream from '../../index.js';
+
+/**
+ * Splits bytes into pieces of the given sizes, cycling through the sizes.
+ * Each piece is a copy with its own buffer.
+ * @param {Uint8Array} bytes 
+ * @param {number[]} sizes 
+ * @returns {Uint8Array[]}
+ */
+function split(bytes, sizes){
+    const pieces = [];
+
+    for(let i = 0, j = 0; i < bytes.length; ++j){
+        const n = sizes[j % sizes.length];
+        pieces.push(bytes.slice(i, i + n));
+        i += n;
+    }
+
+    return pieces;
+}
+
+/**
+ * @param {Uint8Array[]} chunks 
+ * @returns {Uint8Array}
+ */
+function concat(chunks){
+    const bytes = new Uint8Array(chunks.reduce((n, c) => n + c.length, 0));
+
+    let offset = 0;
+    for(const chunk of chunks){
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    }
+
+    return bytes;
+}
+
+/**
+ * Writes some sample values and returns the bytes
+ * @returns {Uint8Array}
+ */
+function sample(){
+    const stream = new ArrayBufferStream(0, true, { growable: true });
+    stream.writeUint32(0xDEADBEEF);
+    stream.writeUint8(7);
+    stream.writeInt16(-2);
+    stream.writeFloat64(Math.PI);
+    stream.writeUint64(2n ** 60n);
+    stream.writeInt32(-123456);
+    stream.writeInt64(-(2n ** 50n));
+    stream.writeVarUint(300);
+    stream.writeZigZagVarInt(-1000000);
+    stream.writeUTF8String('Hello World');
+    stream.writeUTF16String('utf-16');
+    stream.writeLengthPrefixedString('prefixed');
+    stream.writeFixedString('fixed', 8);
+    stream.writeLine('first line', '\n');
+    stream.writeLine('second line', '\r\n');
+    stream.writeUint16(0xBEEF);
+
+    return new Uint8Array(stream.trimToCursor());
+}
+
+/**
+ * Reads back the values written by sample. Works with synchronous and asynchronous readers.
+ * @param {(import('../../index.js').ChunkedStreamReader|import('../../index.js').AsyncStreamReader)} reader 
+ */
+async function checkSample(reader){
+    (await reader.getNextUint32()).should.equal(0xDEADBEEF);
+    (await reader.getNextUint8()).should.equal(7);
+    (await reader.getNextInt16()).should.equal(-2);
+    (await reader.getNextFloat64()).should.equal(Math.PI);
+    (await reader.getNextBigUint64()).should.equal(2n ** 60n);
+    (await reader.getNextInt32()).should.equal(-123456);
+    (await reader.getNextBigInt64()).should.equal(-(2n ** 50n));
+    (await reader.getNextVarUint()).should.equal(300);
+    (await reader.getNextZigZagVarInt()).should.equal(-1000000);
+    (await reader.getNextUTF8String()).should.equal('Hello World');
+    (await reader.getNextUTF16String()).should.equal('utf-16');
+    (await reader.getNextLengthPrefixedString()).should.equal('prefixed');
+    (await reader.getNextFixedString(8)).should.equal('fixed');
+    (await reader.getNextLine()).should.equal('first line');
+    (await reader.getNextLine()).should.equal('second line');
+    (await reader.getNextUint16()).should.equal(0xBEEF);
+    (await reader.isEOF()).should.equal(true);
+}
+
+export { split, concat, sample, checkSample };
@@ -0,0 +1,179 @@
+import chai from 'chai';
+
+import ArrayBufferStream, { Struct } from '../index.js';
+
+const should = chai.should();
+
+/**
+ * @type {ArrayBufferStream}
+ */
+let arrayBufferStream;
+
+describe('Struct Tests', () => {
+    beforeEach((done) => {
+        arrayBufferStream = new ArrayBufferStream(256, true);
+        done();
+    });
+
+    describe('Can describe records with primitive fields', () => {
+        const Header = new Struct({
+            magic: 'uint32',
+            version: 'uint16',
+            flags: 'int8',
+            scale: 'float32',
+            id: 'uint64'
+        });
+
+        it('Should write and read a record', (done) => {
+            const header = { magic: 0x46464952, version: 3, flags: -1, scale: 0.5, id: 2n ** 60n };
+            Header.write(arrayBufferStream, header);
+            arrayBufferStream.cursor.should.equal(19);
+
+            arrayBufferStream.setCursor(0);
+            Header.read(arrayBufferStream).should.deep.equal(header);
+            arrayBufferStream.cursor.should.equal(19);
+            done();
+        });
+
+        it('Should write fields in declaration order', (done) => {
+            Header.write(arrayBufferStream, { magic: 1, version: 2, flags: 3, scale: 4, id: 5n });
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.getNextUint32().should.equal(1);
+            arrayBufferStream.getNextUint16().should.equal(2);
+            arrayBufferStream.getNextInt8().should.equal(3);
+            arrayBufferStream.getNextFloat32().should.equal(4);
+            arrayBufferStream.getNextBigUint64().should.equal(5n);
+            done();
+        });
+
+        it('Should calculate byte length', (done) => {
+            Header.byteLength().should.equal(19);
+            done();
+        });
+
+        it('Should throw on unsupported field types', (done) => {
+            should.throw(() => {
+                new Struct({ value: 'uint24' });
+            }, TypeError);
+            done();
+        });
+    });
+
+    describe('Can describe records with arrays', () => {
+        const Mesh = new Struct({
+            position: { type: 'float32', length: 3 },
+            indices: { type: 'uint16', lengthPrefix: 'uint32' },
+            tags: { type: 'string', lengthPrefix: 'varint' }
+        });
+
+        it('Should write and read fixed and count-prefixed arrays', (done) => {
+            const mesh = { position: [1, 2, 3], indices: [0, 1, 2, 2, 1, 3], tags: 'low,poly' };
+            Mesh.write(arrayBufferStream, mesh);
+
+            arrayBufferStream.setCursor(0);
+            const result = Mesh.read(arrayBufferStream);
+
+            result.position.should.deep.equal(new Float32Array([1, 2, 3]));
+            result.indices.should.deep.equal(new Uint16Array([0, 1, 2, 2, 1, 3]));
+            arrayBufferStream.cursor.should.equal(Mesh.byteLength(mesh));
+            done();
+        });
+
+        it('Should write the element count as prefix', (done) => {
+            Mesh.write(arrayBufferStream, { position: [0, 0, 0], indices: [7, 8], tags: 'low,poly' });
+
+            arrayBufferStream.setCursor(12);
+            arrayBufferStream.getNextUint32().should.equal(2);
+            done();
+        });
+
+        it('Should throw when a fixed array has the wrong length', (done) => {
+            should.throw(() => {
+                Mesh.write(arrayBufferStream, { position: [1, 2], indices: [], tags: 'low,poly' });
+            }, RangeError);
+            done();
+        });
+
+        it('Should throw when the element count does not fit the prefix', (done) => {
+            const Bytes = new Struct({ values: { type: 'uint8', lengthPrefix: 'uint8' } });
+
+            should.throw(() => {
+                Bytes.write(arrayBufferStream, { values: new Array(256).fill(0) });
+            }, RangeError);
+            done();
+        });
+
+        it('Should write and read arrays of strings and structs', (done) => {
+            const Point = new Struct({ x: 'int16', y: 'int16' });
+            const Shape = new Struct({
+                names: { type: 'string', length: 2 },
+                points: { type: Point, lengthPrefix: 'uint8' }
+            });
+
+            const shape = { names: ['tri', 'ängel'], points: [{ x: 1, y: -1 }, { x: 2, y: -2 }] };
+            Shape.write(arrayBufferStream, shape);
+            arrayBufferStream.cursor.should.equal(Shape.byteLength(shape));
+
+            arrayBufferStream.setCursor(0);
+            Shape.read(arrayBufferStream).should.deep.equal(shape);
+            done();
+        });
+
+        it('Should write and read count-prefixed arrays of strings', (done) => {
+            const Tags = new Struct({
+                tags: { type: { type: 'string', encoding: 'ascii' }, lengthPrefix: 'uint8' }
+            });
+
+            Tags.write(arrayBufferStream, { tags: ['a', 'bc'] });
+            arrayBufferStream.cursor.should.equal(6);
+
+            arrayBufferStream.setCursor(0);
+            arrayBufferStream.getNextUint8().should.equal(2);
+
+            arrayBufferStream.setCursor(0);
+            Tags.read(arrayBufferStream).should.deep.equal({ tags: ['a', 'bc'] });
+            done();
+        });
+    });
+
+    describe('Can describe records with strings and nested structs', () => {
+        const Vector = new Struct({ x: 'float32', y: 'float32', z: 'float32' });
+        const Player = new Struct({
+            name: { type: 'string', byteWidth: 16 },
+            title: { type: 'string', lengthPrefix: 'uint8', encoding: 'latin1' },
+            motd: 'string',
+            clan: { type: 'string', encoding: 'ascii' },
+            position: Vector
+        });
+
+        it('Should write and read a nested record', (done) => {
+            const player = {
+                name: 'Zoë',
+                title: 'Señor',
+                motd: 'こんにちは',
+                clan: 'ABC',
+                position: { x: 1, y: 2, z: 3 }
+            };
+            Player.write(arrayBufferStream, player);
+
+            arrayBufferStream.cursor.should.equal(Player.byteLength(player));
+            arrayBufferStream.cursor.should.equal(16 + 6 + 16 + 4 + 12);
+
+            arrayBufferStream.setCursor(0);
+            Player.read(arrayBufferStream).should.deep.equal(player);
+            done();
+        });
+
+        it('Should throw on UTF-16 length-prefixed and fixed-width strings', (done) => {
+            should.throw(() => {
+                new Struct({ name: { type: 'string', lengthPrefix: 'uint8', encoding: 'utf16' } });
+            }, TypeError);
+            should.throw(() => {
+                new Struct({ name: { type: 'string', byteWidth: 16, encoding: 'utf16' } });
+            }, TypeError);
+            new Struct({ name: { type: 'string', encoding: 'utf16' } });
+            done();
+        });
+    });
+});